@@ -0,0 +1,73 @@
+/**
+ * AI Routes
+ * Exposes AI service statistics, token usage, budget status and cache management
+ */
+const express = require('express');
+
+const router = express.Router();
+
+// AI service is accessed via global.aiService
+
+/**
+ * Get AI service statistics with daily/monthly usage totals and budget status
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await global.aiService.getStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting AI stats:', error);
+    res.status(500).json({ error: 'Failed to get AI stats' });
+  }
+});
+
+/**
+ * Get every AI call made while processing a recording
+ */
+router.get('/usage/:recordingId', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const calls = await global.db.getAIUsageForRecording(req.params.recordingId);
+    const totals = calls.reduce((acc, call) => ({
+      calls: acc.calls + 1,
+      prompt_tokens: acc.prompt_tokens + call.prompt_tokens,
+      completion_tokens: acc.completion_tokens + call.completion_tokens,
+      total_tokens: acc.total_tokens + call.total_tokens,
+      cost_usd: acc.cost_usd + call.cost_usd
+    }), { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 });
+
+    res.json({
+      success: true,
+      data: { recordingId: req.params.recordingId, totals, calls }
+    });
+  } catch (error) {
+    console.error('Error getting AI usage:', error);
+    res.status(500).json({ success: false, error: 'Failed to get AI usage' });
+  }
+});
+
+/**
+ * Purge cached AI responses used by a recording so it is regenerated from scratch
+ */
+router.delete('/cache/recordings/:recordingId', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const deleted = await global.aiService.cache.purgeRecording(req.params.recordingId);
+
+    res.json({
+      success: true,
+      data: { recordingId: req.params.recordingId, deleted }
+    });
+  } catch (error) {
+    console.error('Error purging AI cache:', error);
+    res.status(500).json({ success: false, error: 'Failed to purge AI cache' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * API Token Routes
+ * Create, list and revoke the API tokens used by the browser extension and other clients
+ */
+const express = require('express');
+const { generateToken, hashToken } = require('../services/apiTokens');
+
+const router = express.Router();
+
+// Database service is accessed via global.db
+
+const requireDatabase = (req, res, next) => {
+  if (!global.db || !global.db.isHealthy()) {
+    return res.status(503).json({ success: false, error: 'Database not available' });
+  }
+  next();
+};
+
+/**
+ * List tokens without their secrets
+ */
+router.get('/', requireDatabase, async (req, res) => {
+  try {
+    const tokens = await global.db.getApiTokens();
+    res.json({ success: true, data: tokens });
+  } catch (error) {
+    console.error('Failed to load API tokens:', error);
+    res.status(500).json({ success: false, error: 'Failed to load API tokens' });
+  }
+});
+
+/**
+ * Create a token. The response is the only time the token itself is returned.
+ */
+router.post('/', requireDatabase, async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'A token name is required' });
+    }
+
+    const token = generateToken();
+    const created = await global.db.createApiToken({
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, 8)
+    });
+
+    res.status(201).json({ success: true, data: { ...created, token } });
+  } catch (error) {
+    console.error('Failed to create API token:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API token' });
+  }
+});
+
+/**
+ * Revoke a token; clients using it are rejected from then on
+ */
+router.delete('/:id', requireDatabase, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const revoked = Number.isInteger(id) ? await global.db.revokeApiToken(id) : null;
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API token not found or already revoked' });
+    }
+
+    res.json({ success: true, data: revoked });
+  } catch (error) {
+    console.error('Failed to revoke API token:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API token' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,14 @@
  * Handles live API execution, testing, and Swagger documentation
  */
 const express = require('express');
+const APIRegistry = require('../services/apiRegistry');
+const ExecutionJobService = require('../services/executionJobs');
+const SampleDataGenerator = require('../services/sampleDataGenerator');
+
 const router = express.Router();
+const apiRegistry = new APIRegistry();
+const executionJobs = new ExecutionJobService(apiRegistry);
+const sampleData = new SampleDataGenerator();
 
 // Database service will be accessed via global.db
 
@@ -19,7 +26,7 @@ router.get('/apis', async (req, res) => {
       });
     }
 
-    const apis = await global.db.getAllAPIs();
+    const apis = await apiRegistry.getAllAPIs();
     res.json({
       success: true,
       data: apis,
@@ -40,7 +47,7 @@ router.get('/apis', async (req, res) => {
 router.get('/apis/:apiId', async (req, res) => {
   try {
     const { apiId } = req.params;
-    const api = apiRegistry.getAPI(apiId);
+    const api = await apiRegistry.getAPI(apiId);
     
     if (!api) {
       return res.status(404).json({
@@ -55,7 +62,7 @@ router.get('/apis/:apiId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching API:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to fetch API'
     });
@@ -64,12 +71,24 @@ router.get('/apis/:apiId', async (req, res) => {
 
 /**
  * Execute a live API
+ * Pass ?async=true to get a job ID back immediately instead of waiting for the result
  */
 router.post('/apis/:apiId/execute', async (req, res) => {
   try {
     const { apiId } = req.params;
     const parameters = req.body;
 
+    if (req.query.async === 'true') {
+      const job = await executionJobs.createJob(apiId, parameters);
+      return res.status(202).json({
+        success: true,
+        data: {
+          ...job,
+          statusUrl: `/api/live/jobs/${job.jobId}`
+        }
+      });
+    }
+
     const result = await apiRegistry.executeAPI(apiId, parameters);
     
     res.json({
@@ -78,6 +97,21 @@ router.post('/apis/:apiId/execute', async (req, res) => {
     });
   } catch (error) {
     console.error('Error executing API:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'API not found'
+      });
+    }
+
+    if (error.code === 'DB_UNAVAILABLE' || error.code === 'POOL_QUEUE_FULL' || error.code === 'POOL_QUEUE_TIMEOUT') {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to execute API'
@@ -85,13 +119,75 @@ router.post('/apis/:apiId/execute', async (req, res) => {
   }
 });
 
+/**
+ * Get execution job status and result
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await executionJobs.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching execution job:', error);
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
+      success: false,
+      error: error.code === 'DB_UNAVAILABLE' ? error.message : 'Failed to fetch job'
+    });
+  }
+});
+
+/**
+ * Cancel a queued or running execution job
+ */
+router.delete('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await executionJobs.cancelJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job cancelled'
+    });
+  } catch (error) {
+    if (error.code === 'JOB_FINISHED') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error cancelling execution job:', error);
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
+      success: false,
+      error: error.code === 'DB_UNAVAILABLE' ? error.message : 'Failed to cancel job'
+    });
+  }
+});
+
 /**
  * Get API status and statistics
  */
 router.get('/apis/:apiId/status', async (req, res) => {
   try {
     const { apiId } = req.params;
-    const api = apiRegistry.getAPI(apiId);
+    const api = await apiRegistry.getAPI(apiId);
     
     if (!api) {
       return res.status(404).json({
@@ -114,7 +210,7 @@ router.get('/apis/:apiId/status', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching API status:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to fetch API status'
     });
@@ -127,7 +223,7 @@ router.get('/apis/:apiId/status', async (req, res) => {
 router.get('/apis/:apiId/openapi', async (req, res) => {
   try {
     const { apiId } = req.params;
-    const api = apiRegistry.getAPI(apiId);
+    const api = await apiRegistry.getAPI(apiId);
     
     if (!api) {
       return res.status(404).json({
@@ -136,9 +232,16 @@ router.get('/apis/:apiId/openapi', async (req, res) => {
       });
     }
 
-    // Enhance OpenAPI spec with live server information
+    // Enhance OpenAPI spec with live server information; the exported paths
+    // (/api/<name>/execute) are served as /execute below the live server URL
+    const exportedPrefix = `/api/${api.openApiSpec.info?.title || api.name}`;
+    const paths = Object.fromEntries(Object.entries(api.openApiSpec?.paths || {}).map(([path, operations]) => [
+      path.startsWith(`${exportedPrefix}/`) ? path.slice(exportedPrefix.length) : path,
+      operations
+    ]));
     const openApiSpec = {
       ...api.openApiSpec,
+      paths,
       servers: [
         {
           url: `${req.protocol}://${req.get('host')}/api/live/apis/${apiId}`,
@@ -150,20 +253,69 @@ router.get('/apis/:apiId/openapi', async (req, res) => {
     res.json(openApiSpec);
   } catch (error) {
     console.error('Error fetching OpenAPI spec:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to fetch OpenAPI specification'
     });
   }
 });
 
+/**
+ * Generate sample request payloads for an API's parameters.
+ * source=ai asks the AI service and falls back to the offline generator; seed makes offline samples repeatable.
+ */
+router.get('/apis/:apiId/sample-data', async (req, res) => {
+  try {
+    const { apiId } = req.params;
+    const api = await apiRegistry.getAPI(apiId);
+
+    if (!api) {
+      return res.status(404).json({
+        success: false,
+        error: 'API not found'
+      });
+    }
+
+    const { count, source = 'offline', seed } = req.query;
+    if (!['offline', 'ai'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source must be one of: offline, ai'
+      });
+    }
+
+    const parameters = api.metadata?.parameters || [];
+    const options = {
+      count,
+      // A fresh seed per request unless one is given, so each fill gives new values
+      seed: seed !== undefined ? parseInt(seed) || 0 : Math.floor(Math.random() * 2 ** 32),
+      context: { recordingId: api.recordingId }
+    };
+
+    const result = source === 'ai'
+      ? await sampleData.generateWithAI(parameters, options)
+      : { samples: sampleData.generate(parameters, options), source: 'offline' };
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error generating sample data:', error);
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
+      success: false,
+      error: 'Failed to generate sample data'
+    });
+  }
+});
+
 /**
  * Get API documentation
  */
 router.get('/apis/:apiId/docs', async (req, res) => {
   try {
     const { apiId } = req.params;
-    const api = apiRegistry.getAPI(apiId);
+    const api = await apiRegistry.getAPI(apiId);
     
     if (!api) {
       return res.status(404).json({
@@ -175,7 +327,7 @@ router.get('/apis/:apiId/docs', async (req, res) => {
     res.type('text/markdown').send(api.documentation);
   } catch (error) {
     console.error('Error fetching API docs:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to fetch API documentation'
     });
@@ -188,19 +340,23 @@ router.get('/apis/:apiId/docs', async (req, res) => {
 router.get('/apis/:apiId/swagger', async (req, res) => {
   try {
     const { apiId } = req.params;
-    const swaggerHTML = apiRegistry.generateSwaggerUI(apiId);
-    res.type('text/html').send(swaggerHTML);
+    const api = await apiRegistry.getAPI(apiId);
+    if (!api) {
+      return res.status(404).send(`
+        <html>
+          <body>
+            <h1>API Not Found</h1>
+            <p>The requested API documentation could not be found.</p>
+            <a href="/api/live/apis">← Back to API List</a>
+          </body>
+        </html>
+      `);
+    }
+
+    res.type('text/html').send(apiRegistry.generateSwaggerUI(api));
   } catch (error) {
     console.error('Error generating Swagger UI:', error);
-    res.status(404).send(`
-      <html>
-        <body>
-          <h1>API Not Found</h1>
-          <p>The requested API documentation could not be found.</p>
-          <a href="/api/live/apis">← Back to API List</a>
-        </body>
-      </html>
-    `);
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).send('Failed to generate API documentation');
   }
 });
 
@@ -225,7 +381,7 @@ router.delete('/apis/:apiId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting API:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to delete API'
     });
@@ -237,14 +393,17 @@ router.delete('/apis/:apiId', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
   try {
-    const stats = apiRegistry.getRegistryStats();
+    const stats = await apiRegistry.getRegistryStats();
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        browserPool: apiRegistry.executionEngine.browserPool.getStats()
+      }
     });
   } catch (error) {
     console.error('Error fetching registry stats:', error);
-    res.status(500).json({
+    res.status(error.code === 'DB_UNAVAILABLE' ? 503 : 500).json({
       success: false,
       error: 'Failed to fetch registry statistics'
     });
@@ -256,8 +415,8 @@ router.get('/stats', async (req, res) => {
  */
 router.get('/dashboard', async (req, res) => {
   try {
-    const apis = apiRegistry.getAllAPIs();
-    const stats = apiRegistry.getRegistryStats();
+    const apis = await apiRegistry.getAllAPIs();
+    const stats = await apiRegistry.getRegistryStats();
     
     const dashboardHTML = `<!DOCTYPE html>
 <html lang="en">
@@ -400,6 +559,4 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Export the router
-// Note: apiRegistry is now handled by the database service
-
 module.exports = router;
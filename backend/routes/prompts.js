@@ -0,0 +1,161 @@
+/**
+ * Prompt Template Routes
+ * Edit, version, preview and roll back the AI prompt templates
+ */
+const express = require('express');
+const PromptTemplateService = require('../services/promptTemplates');
+const { TEMPLATE_VARIABLES } = PromptTemplateService;
+
+const router = express.Router();
+const promptTemplates = new PromptTemplateService();
+
+// Database service is accessed via global.db, AI service via global.aiService
+
+const requireDatabase = (req, res, next) => {
+  if (!global.db || !global.db.isHealthy()) {
+    return res.status(503).json({ success: false, error: 'Database not available' });
+  }
+  next();
+};
+
+const requireTemplate = (req, res, next) => {
+  if (!TEMPLATE_VARIABLES[req.params.name]) {
+    return res.status(404).json({ success: false, error: `Unknown prompt template: ${req.params.name}` });
+  }
+  next();
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * List all templates with their version history and available variables
+ */
+router.get('/', requireDatabase, async (req, res) => {
+  try {
+    const templates = await promptTemplates.load();
+    const data = Object.entries(templates).map(([name, entry]) => ({
+      name,
+      variables: TEMPLATE_VARIABLES[name],
+      ...entry
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Failed to load prompt templates');
+  }
+});
+
+/**
+ * Save a new version of a template and make it active
+ */
+router.post('/:name', requireDatabase, requireTemplate, async (req, res) => {
+  try {
+    const { template, note } = req.body || {};
+    if (typeof template !== 'string' || !template.trim()) {
+      return res.status(400).json({ success: false, error: 'Template is required' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ success: false, error: 'Note must be a string' });
+    }
+
+    const entry = await promptTemplates.saveVersion(req.params.name, template, note || '');
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to save prompt template');
+  }
+});
+
+/**
+ * Make an earlier version of a template active again
+ */
+router.post('/:name/rollback', requireDatabase, requireTemplate, async (req, res) => {
+  try {
+    const version = Number((req.body || {}).version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ success: false, error: 'Version must be a positive integer' });
+    }
+
+    const entry = await promptTemplates.rollback(req.params.name, version);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to roll back prompt template');
+  }
+});
+
+/**
+ * Render a template against a stored recording, with personal data redacted as it would be sent.
+ * Renders the unsaved body.template when given, else body.version or the active version.
+ */
+router.post('/:name/preview', requireDatabase, requireTemplate, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { recordingId, template, version } = req.body || {};
+
+    if (!recordingId) {
+      return res.status(400).json({ success: false, error: 'Recording ID is required' });
+    }
+    if (template !== undefined && typeof template !== 'string') {
+      return res.status(400).json({ success: false, error: 'Template must be a string' });
+    }
+    if (version !== undefined && version !== null && !(Number.isInteger(Number(version)) && Number(version) >= 1)) {
+      return res.status(400).json({ success: false, error: 'Version must be a positive integer' });
+    }
+
+    const recording = await global.db.getRecording(recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+
+    let source = template;
+    let renderedVersion = null;
+    if (source === undefined) {
+      const stored = await promptTemplates.load();
+      const found = promptTemplates.getVersion(stored, name, version ? Number(version) : null);
+      source = found.template;
+      renderedVersion = found.version;
+    }
+
+    const errors = promptTemplates.validateTemplate(name, source);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    // The documentation prompt describes the enhanced script, the enhancement prompt the basic one
+    const scripts = recording.automation_package?.scripts?.playwright || {};
+    const script = (name === 'documentation' ? scripts.enhanced : scripts.basic) || '';
+
+    const redaction = await global.aiService.createRedaction(recording.interactions || []);
+    const prompt = global.aiService.scrubber.scrubText(promptTemplates.render(name, source, {
+      interactions: redaction.interactions,
+      script,
+      metadata: recording.metadata || {}
+    }), redaction);
+
+    res.json({
+      success: true,
+      data: {
+        name,
+        version: renderedVersion,
+        recordingId,
+        scriptAvailable: script.length > 0,
+        redactedParameters: global.aiService.scrubber.describe(redaction),
+        prompt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview prompt template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Recording Events Routes
+ * Streams recording processing progress to clients as server-sent events
+ */
+const express = require('express');
+
+const router = express.Router();
+
+// Database service and recording processor are accessed via global.db and global.recordingProcessor
+
+/**
+ * Stream stage-by-stage processing progress for a recording
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { id } = req.params;
+    const recording = await global.db.getRecording(id);
+
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let heartbeat;
+    let statusCheck;
+    let finished = false;
+
+    const finish = (status, error) => {
+      if (finished) return;
+      finished = true;
+      send(status === 'completed' ? 'completed' : 'failed', { id, status, error });
+      cleanup();
+      res.end();
+    };
+
+    const onProgress = (event) => {
+      if (event.recordingId !== String(id)) return;
+
+      if (event.stage === 'done') {
+        finish(event.status, event.error);
+      } else {
+        send('stage', event);
+      }
+    };
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      clearInterval(statusCheck);
+      global.recordingProcessor.off('progress', onProgress);
+    };
+
+    send('status', { id, status: recording.status });
+
+    // Replay stages that happened before the client connected
+    global.recordingProcessor.getProgress(id)
+      .filter(event => event.stage !== 'done')
+      .forEach(event => send('stage', event));
+
+    if (recording.status !== 'processing') {
+      finished = true;
+      send(recording.status === 'completed' ? 'completed' : 'failed', {
+        id,
+        status: recording.status,
+        error: recording.error_message
+      });
+      return res.end();
+    }
+
+    global.recordingProcessor.on('progress', onProgress);
+
+    // Keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    // Another instance may be processing this recording, so watch the database too
+    statusCheck = setInterval(async () => {
+      try {
+        const current = await global.db.getRecording(id);
+        if (current && current.status !== 'processing') {
+          finish(current.status, current.error_message);
+        }
+      } catch (error) {
+        console.error('Failed to check recording status:', error);
+      }
+    }, 5000);
+
+    req.on('close', () => {
+      finished = true;
+      cleanup();
+    });
+  } catch (error) {
+    console.error('Error streaming recording events:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream recording events' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Recording From Prompt Routes
+ * Turns a natural-language task description into a recording that goes through the normal processing pipeline,
+ * and registers its API once a person has approved the planned steps
+ */
+const express = require('express');
+
+const router = express.Router();
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Database, recording processor and AI service are accessed via globals
+
+/**
+ * Plan interactions for a task with the AI service and queue them as an AI-authored recording
+ */
+router.post('/from-prompt', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const { description, startUrl, title } = req.body || {};
+
+    if (typeof description !== 'string' || !description.trim()) {
+      return res.status(400).json({ success: false, error: 'Task description is required' });
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Task description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+      });
+    }
+
+    let url;
+    try {
+      url = new URL(startUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return res.status(400).json({ success: false, error: 'Start URL must be an absolute http(s) URL' });
+    }
+
+    const plan = await global.aiService.generateInteractionsFromPrompt(description.trim(), url.href);
+
+    const recording = await global.db.createRecording({
+      title: title || plan.title || `Task ${new Date().toISOString()}`,
+      description: description.trim(),
+      interactions: plan.interactions,
+      metadata: {
+        title: title || plan.title,
+        url: url.href,
+        interactionCount: plan.interactions.length,
+        // Planned rather than recorded, so a person should review the steps before relying on them
+        source: 'prompt',
+        aiAuthored: true,
+        needsReview: true,
+        taskDescription: description.trim(),
+        plannedBy: plan.model,
+        promptVersion: plan.templateVersion
+      }
+    });
+
+    await global.recordingProcessor.enqueue(recording.id);
+
+    res.json({
+      success: true,
+      id: recording.id,
+      status: 'processing',
+      message: 'Planned recording submitted for processing',
+      data: {
+        title: recording.title,
+        interactions: plan.interactions,
+        aiAuthored: true
+      }
+    });
+  } catch (error) {
+    if (error.code === 'AI_UNAVAILABLE') {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error.code === 'ALL_MODELS_FAILED') {
+      console.error('Task planning failed:', error.message);
+      return res.status(502).json({ success: false, error: 'No AI model could plan this task' });
+    }
+
+    console.error('Error creating recording from prompt:', error);
+    res.status(500).json({ success: false, error: 'Failed to create recording from prompt' });
+  }
+});
+
+/**
+ * Approve an AI-planned recording after reviewing its steps and register the API it was held back from
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const recording = await global.db.getRecording(req.params.id);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+    if (!recording.metadata?.needsReview) {
+      return res.status(409).json({ success: false, error: 'Recording is not waiting for a review' });
+    }
+    if (recording.status !== 'completed' || !recording.automation_package) {
+      return res.status(409).json({ success: false, error: 'Recording has not finished processing' });
+    }
+
+    // Approval lifts the review hold only; safety findings still block the API
+    const reviewed = { ...recording, metadata: { ...recording.metadata, needsReview: false } };
+    const reason = global.recordingProcessor.registrationBlocker(reviewed, recording.automation_package);
+    if (reason) {
+      return res.status(409).json({ success: false, error: reason });
+    }
+
+    const approved = await global.db.approveRecordingReview(recording.id);
+    if (!approved) {
+      return res.status(409).json({ success: false, error: 'Recording was already approved' });
+    }
+
+    let api;
+    try {
+      api = await global.recordingProcessor.registerAPI(approved, approved.automation_package);
+    } catch (error) {
+      await global.db.reopenRecordingReview(recording.id);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: { recordingId: approved.id, apiId: api.id },
+      message: 'Recording approved and its API registered'
+    });
+  } catch (error) {
+    console.error('Error approving recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve recording' });
+  }
+});
+
+module.exports = router;
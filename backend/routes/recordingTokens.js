@@ -0,0 +1,258 @@
+/**
+ * Recording Token Routes
+ * Serve the bookmarklet recorder and collect the interactions it posts under short-lived recording tokens
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { buildRecorderScript, buildLoaders } = require('../services/recorderBundle');
+const { getCandidates } = require('../services/selectorCandidates');
+
+const router = express.Router();
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.RECORDING_TOKEN_TTL_MINUTES) || 60;
+const MAX_INTERACTIONS = 5000;
+const MAX_BATCH = 500;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_CANDIDATES = 10;
+
+// Fields kept from posted interactions; anything else a page sends is dropped
+const INTERACTION_FIELDS = ['action', 'selector', 'element', 'text', 'inputType', 'key', 'url', 'x', 'y', 'coordinates', 'field', 'accessibility', 'timestamp'];
+
+// Database and recording processor are accessed via globals
+
+let recorderScript = null;
+
+function isDatabaseAvailable(res) {
+  if (!global.db || !global.db.isHealthy()) {
+    res.status(503).json({ success: false, error: 'Database not available' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Keep the known fields of a posted interaction and cap its strings; null when it is not an interaction
+ */
+function sanitizeInteraction(interaction) {
+  if (!interaction || typeof interaction !== 'object' || typeof interaction.action !== 'string') {
+    return null;
+  }
+
+  const clean = {};
+  INTERACTION_FIELDS.forEach(key => {
+    const value = interaction[key];
+    if (value === undefined || value === null) return;
+    if (typeof value === 'string') clean[key] = value.slice(0, MAX_TEXT_LENGTH);
+    else if (typeof value === 'number' && Number.isFinite(value)) clean[key] = value;
+    else if (typeof value === 'object' && !Array.isArray(value) && JSON.stringify(value).length <= MAX_TEXT_LENGTH * 2) clean[key] = value;
+  });
+
+  const candidates = getCandidates(interaction).slice(0, MAX_CANDIDATES).map(candidate => ({
+    type: candidate.type,
+    value: candidate.value.slice(0, MAX_TEXT_LENGTH),
+    ...(candidate.type === 'role' && { name: candidate.name.slice(0, MAX_TEXT_LENGTH) })
+  }));
+  if (candidates.length > 0) clean.selectors = candidates;
+
+  return clean;
+}
+
+/**
+ * Why a token cannot take interactions any more, as a response status and message
+ */
+function tokenUnavailable(token) {
+  if (!token) return { status: 404, error: 'Recording token not found' };
+  if (token.finished_at) return { status: 410, error: 'This recording has already been saved' };
+  if (!token.active) return { status: 410, error: 'This recording token has expired; create a new bookmarklet in the app' };
+  return null;
+}
+
+/**
+ * The recorder script for bookmarklets and script tags
+ */
+router.get('/recorder.js', (req, res) => {
+  try {
+    recorderScript = recorderScript || buildRecorderScript();
+  } catch (error) {
+    if (error.code === 'RECORDER_NOT_BUILT') {
+      console.error(error.message);
+      return res.status(503).json({ success: false, error: 'The recorder script is not available' });
+    }
+    throw error;
+  }
+
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.send(recorderScript);
+});
+
+/**
+ * Create a short-lived recording token with the bookmarklet and script tag that use it
+ */
+router.post('/tokens', async (req, res) => {
+  try {
+    if (!isDatabaseAvailable(res)) return;
+
+    const { title, backendUrl: requestedBackend } = req.body || {};
+    let backendUrl = `${req.protocol}://${req.get('host')}`;
+    if (requestedBackend) {
+      let url;
+      try {
+        url = new URL(requestedBackend);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        return res.status(400).json({ success: false, error: 'Backend URL must be an absolute http(s) URL' });
+      }
+      backendUrl = url.origin;
+    }
+
+    await global.db.deleteExpiredRecordingTokens();
+    const token = await global.db.createRecordingToken({
+      token: crypto.randomBytes(24).toString('base64url'),
+      title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 200) : null,
+      expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token: token.token,
+        title: token.title,
+        expiresAt: token.expires_at,
+        backendUrl,
+        ...buildLoaders({ scriptUrl: `${backendUrl}/api/recordings/recorder.js`, token: token.token, backendUrl })
+      }
+    });
+  } catch (error) {
+    console.error('Error creating recording token:', error);
+    res.status(500).json({ success: false, error: 'Failed to create recording token' });
+  }
+});
+
+/**
+ * Token status and how many interactions it holds
+ */
+router.get('/tokens/:token', async (req, res) => {
+  try {
+    if (!isDatabaseAvailable(res)) return;
+
+    const token = await global.db.getRecordingToken(req.params.token);
+    const unavailable = tokenUnavailable(token);
+    if (unavailable) {
+      return res.status(unavailable.status).json({ success: false, error: unavailable.error, recordingId: token?.recording_id || null });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        title: token.title,
+        interactionCount: token.interaction_count,
+        expiresAt: token.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recording token:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch recording token' });
+  }
+});
+
+/**
+ * Append a batch of interactions. Bodies may be sent as text/plain, which pages can post without a CORS preflight.
+ */
+router.post('/tokens/:token/interactions', express.text({ type: 'text/plain', limit: '1mb' }), async (req, res) => {
+  try {
+    if (!isDatabaseAvailable(res)) return;
+
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: 'Body must be JSON' });
+      }
+    }
+
+    const posted = Array.isArray(body?.interactions) ? body.interactions : null;
+    if (!posted || posted.length === 0 || posted.length > MAX_BATCH) {
+      return res.status(400).json({ success: false, error: `Send between 1 and ${MAX_BATCH} interactions` });
+    }
+
+    const interactions = posted.map(sanitizeInteraction).filter(Boolean);
+    const metadata = typeof body.metadata?.userAgent === 'string' ? { userAgent: body.metadata.userAgent.slice(0, 500) } : {};
+    const count = await global.db.appendRecordingTokenInteractions(req.params.token, interactions, metadata, MAX_INTERACTIONS);
+
+    if (count === null) {
+      const token = await global.db.getRecordingToken(req.params.token);
+      const unavailable = tokenUnavailable(token) || { status: 413, error: `A recording can hold at most ${MAX_INTERACTIONS} interactions` };
+      return res.status(unavailable.status).json({ success: false, error: unavailable.error });
+    }
+
+    res.json({ success: true, data: { interactionCount: count } });
+  } catch (error) {
+    console.error('Error storing recorded interactions:', error);
+    res.status(500).json({ success: false, error: 'Failed to store interactions' });
+  }
+});
+
+/**
+ * Save the token's interactions as a recording and queue it for processing, like POST /api/recordings
+ */
+router.post('/tokens/:token/finish', async (req, res) => {
+  try {
+    if (!isDatabaseAvailable(res)) return;
+
+    const current = await global.db.getRecordingToken(req.params.token);
+    const unavailable = tokenUnavailable(current);
+    if (unavailable) {
+      return res.status(unavailable.status).json({ success: false, error: unavailable.error });
+    }
+    if (current.interaction_count === 0) {
+      return res.status(400).json({ success: false, error: 'No interactions recorded yet' });
+    }
+
+    const token = await global.db.claimRecordingToken(req.params.token);
+    if (!token) {
+      return res.status(410).json({ success: false, error: 'This recording has already been saved' });
+    }
+
+    // Pages post in batches, so order by the time each interaction happened
+    const interactions = [...token.interactions].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const startTime = interactions[0].timestamp || Date.now();
+    interactions.forEach(interaction => {
+      interaction.relativeTime = (interaction.timestamp || startTime) - startTime;
+    });
+
+    const firstUrl = interactions.find(interaction => interaction.action === 'navigation')?.url || null;
+    const title = token.title || `Bookmarklet recording ${new Date().toISOString()}`;
+    const recording = await global.db.createRecording({
+      title,
+      description: 'Browser automation recording',
+      interactions,
+      metadata: {
+        title,
+        url: firstUrl,
+        userAgent: token.metadata.userAgent || null,
+        interactionCount: interactions.length,
+        duration: interactions[interactions.length - 1].relativeTime,
+        source: 'bookmarklet'
+      }
+    });
+
+    await global.db.setRecordingTokenRecording(token.token, recording.id);
+    await global.recordingProcessor.enqueue(recording.id);
+
+    res.json({
+      success: true,
+      id: recording.id,
+      status: 'processing',
+      message: 'Recording submitted for processing'
+    });
+  } catch (error) {
+    console.error('Error saving bookmarklet recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to save recording' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * Remote Recording Routes
+ * Start and stop browser sessions that record flows on third-party sites, and stream their
+ * interactions to the client over a websocket
+ */
+const express = require('express');
+const { WebSocketServer } = require('ws');
+
+const router = express.Router();
+
+const STREAM_PATH = /^\/api\/recordings\/remote\/([\w-]+)\/stream$/;
+
+// The remote recorder is accessed via global.remoteRecorder; deployments without one do not offer remote recording
+
+function isAvailable(res) {
+  if (!global.remoteRecorder) {
+    res.status(503).json({ success: false, error: 'Remote recording is not available on this deployment' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Launch a browser at the target URL and start recording
+ */
+router.post('/remote', async (req, res) => {
+  try {
+    if (!isAvailable(res)) return;
+
+    const { url: targetUrl, title } = req.body || {};
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return res.status(400).json({ success: false, error: 'Target URL must be an absolute http(s) URL' });
+    }
+
+    const session = await global.remoteRecorder.startSession({ url: url.href, title: title || null });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...session,
+        streamUrl: `/api/recordings/remote/${session.id}/stream`
+      }
+    });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_SESSIONS' || error.code === 'NO_DISPLAY') {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error.code === 'RECORDER_NOT_BUILT') {
+      console.error(error.message);
+      return res.status(503).json({ success: false, error: 'The page recorder is not available' });
+    }
+
+    console.error('Error starting remote recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to start remote recording' });
+  }
+});
+
+/**
+ * Session status and the interactions recorded so far
+ */
+router.get('/remote/:sessionId', (req, res) => {
+  if (!isAvailable(res)) return;
+
+  const session = global.remoteRecorder.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Remote recording session not found' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...session,
+      interactions: global.remoteRecorder.getInteractions(req.params.sessionId)
+    }
+  });
+});
+
+/**
+ * Close the browser and return the recording; the client submits it to POST /api/recordings
+ */
+router.post('/remote/:sessionId/stop', async (req, res) => {
+  try {
+    if (!isAvailable(res)) return;
+
+    const recording = await global.remoteRecorder.stopSession(req.params.sessionId);
+    res.json({ success: true, data: recording });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error stopping remote recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to stop remote recording' });
+  }
+});
+
+/**
+ * Close the browser and throw the recording away
+ */
+router.delete('/remote/:sessionId', async (req, res) => {
+  try {
+    if (!isAvailable(res)) return;
+
+    await global.remoteRecorder.discardSession(req.params.sessionId);
+    res.json({ success: true, message: 'Remote recording discarded' });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error discarding remote recording:', error);
+    res.status(500).json({ success: false, error: 'Failed to discard remote recording' });
+  }
+});
+
+/**
+ * Serve /api/recordings/remote/:sessionId/stream on an HTTP server's upgrade requests.
+ * Messages are JSON: { type: 'session' | 'interaction' | 'stopped', data }. Interactions recorded
+ * before the client connected are replayed first.
+ */
+function attachRemoteRecordingStream(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = new URL(req.url, 'http://localhost').pathname.match(STREAM_PATH);
+    if (!match) return;
+
+    const sessionId = match[1];
+    const session = global.remoteRecorder?.getSession(sessionId);
+    if (!session) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      const send = (type, data) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type, data }));
+      };
+
+      const onInteraction = event => {
+        if (event.sessionId === sessionId) send('interaction', event.interaction);
+      };
+      const onStopped = event => {
+        if (event.sessionId !== sessionId) return;
+        send('stopped', event);
+        ws.close();
+      };
+
+      send('session', session);
+      global.remoteRecorder.getInteractions(sessionId).forEach(interaction => send('interaction', interaction));
+
+      if (session.status === 'stopped') {
+        send('stopped', { sessionId, reason: session.stopReason, interactionCount: session.interactionCount });
+        return ws.close();
+      }
+
+      global.remoteRecorder.on('interaction', onInteraction);
+      global.remoteRecorder.on('stopped', onStopped);
+      ws.on('close', () => {
+        global.remoteRecorder.off('interaction', onInteraction);
+        global.remoteRecorder.off('stopped', onStopped);
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = router;
+module.exports.attachRemoteRecordingStream = attachRemoteRecordingStream;
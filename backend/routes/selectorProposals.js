@@ -0,0 +1,144 @@
+/**
+ * Selector Proposal Routes
+ * Review selectors healed during live executions and apply them to the stored recording
+ */
+const express = require('express');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'applied', 'dismissed', 'superseded'];
+
+// Database is accessed via global.db
+
+function requestError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Throw unless the proposal belongs to the recording and is still pending
+ */
+function checkPendingProposal(proposal, recordingId) {
+  if (!proposal || proposal.recording_id !== String(recordingId)) {
+    throw requestError('Selector proposal not found', 'NOT_FOUND');
+  }
+  if (proposal.status !== 'pending') {
+    throw requestError(`Selector proposal is already ${proposal.status}`, 'CONFLICT');
+  }
+}
+
+/**
+ * Send the response for an error thrown by checkPendingProposal or an apply, or false for other errors
+ */
+function sendRequestError(res, error) {
+  const status = { NOT_FOUND: 404, CONFLICT: 409 }[error.code];
+  if (!status) return false;
+  res.status(status).json({ success: false, error: error.message });
+  return true;
+}
+
+/**
+ * List healed selectors proposed for a recording, optionally filtered by status
+ */
+router.get('/:id/selector-proposals', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const proposals = await global.db.getSelectorProposals(req.params.id, status || null);
+    res.json({ success: true, data: proposals });
+  } catch (error) {
+    console.error('Error fetching selector proposals:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch selector proposals' });
+  }
+});
+
+/**
+ * Replace the step's selector in the stored recording with the proposed one
+ */
+router.post('/:id/selector-proposals/:proposalId/apply', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const proposalId = parseInt(req.params.proposalId);
+    if (!Number.isInteger(proposalId)) {
+      return res.status(404).json({ success: false, error: 'Selector proposal not found' });
+    }
+
+    // The recording and proposal stay locked from the checks until the rewrite is stored
+    const applied = await global.db.applySelectorProposal(req.params.id, proposalId, (proposal, recording) => {
+      if (!recording) {
+        throw requestError('Recording not found', 'NOT_FOUND');
+      }
+      checkPendingProposal(proposal, req.params.id);
+
+      const interactions = Array.isArray(recording.interactions) ? [...recording.interactions] : [];
+      const step = interactions[proposal.step_index];
+      // The recording was edited since the execution that healed it
+      if (!step || step.selector !== proposal.original_selector) {
+        throw requestError(`Step ${proposal.step_index + 1} no longer uses ${proposal.original_selector}`, 'CONFLICT');
+      }
+
+      interactions[proposal.step_index] = { ...step, selector: proposal.proposed_selector };
+      // Executions try candidate locators before the selector, so the healed one goes first among them
+      if (Array.isArray(step.selectors)) {
+        interactions[proposal.step_index].selectors = [
+          { type: 'css', value: proposal.proposed_selector },
+          ...step.selectors.filter(candidate => candidate.value !== proposal.proposed_selector)
+        ];
+      }
+      return interactions;
+    });
+
+    res.json({
+      success: true,
+      data: applied,
+      message: 'Selector updated; live API executions use it from now on'
+    });
+  } catch (error) {
+    if (sendRequestError(res, error)) return;
+    console.error('Error applying selector proposal:', error);
+    res.status(500).json({ success: false, error: 'Failed to apply selector proposal' });
+  }
+});
+
+/**
+ * Reject a proposal; healing the same way again will not reopen it
+ */
+router.post('/:id/selector-proposals/:proposalId/dismiss', async (req, res) => {
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const proposalId = parseInt(req.params.proposalId);
+    if (!Number.isInteger(proposalId)) {
+      return res.status(404).json({ success: false, error: 'Selector proposal not found' });
+    }
+
+    const proposal = await global.db.getSelectorProposal(proposalId);
+    checkPendingProposal(proposal, req.params.id);
+
+    const dismissed = await global.db.resolveSelectorProposal(proposal.id, 'dismissed');
+    // Applied or dismissed since it was read
+    if (!dismissed) {
+      return res.status(409).json({ success: false, error: 'Selector proposal is no longer pending' });
+    }
+    res.json({ success: true, data: dismissed });
+  } catch (error) {
+    if (sendRequestError(res, error)) return;
+    console.error('Error dismissing selector proposal:', error);
+    res.status(500).json({ success: false, error: 'Failed to dismiss selector proposal' });
+  }
+});
+
+module.exports = router;
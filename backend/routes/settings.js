@@ -5,21 +5,30 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
-const { OpenAI } = require('openai');
+const AIProviderManager = require('../services/aiProviders');
+const { PROVIDERS, DEFAULT_AI_SETTINGS } = AIProviderManager;
+const { SETTINGS_KEY: PROMPT_TEMPLATES_KEY } = require('../services/promptTemplates');
+const { customPatternError } = require('../services/piiScrubber');
+const promptRoutes = require('./prompts');
+const apiTokenRoutes = require('./apiTokens');
 
 const router = express.Router();
+const providerManager = new AIProviderManager();
+
+const MASKED_VALUE = '***masked***';
+
+// Prompt templates live in the settings table but are managed through their own versioned routes
+router.use('/prompts', promptRoutes);
+
+// API tokens for the browser extension and other clients that submit recordings
+router.use('/tokens', apiTokenRoutes);
 
 // Settings file path
 const SETTINGS_FILE = path.join(__dirname, '../data/settings.json');
 
 // Default settings
 const DEFAULT_SETTINGS = {
-  aiProvider: 'openai',
-  aiModel: 'gpt-4.1-mini',
-  customBaseUrl: '',
-  apiKey: '',
-  timeout: 30,
-  retryAttempts: 3,
+  ...DEFAULT_AI_SETTINGS,
   enableAnalytics: true,
   enableErrorReporting: true,
   maxRecordingDuration: 300,
@@ -61,6 +70,34 @@ async function saveSettings(settings) {
   }
 }
 
+/**
+ * Check custom PII patterns compile and rule names can be used as script parameters
+ */
+function validatePIIRedaction(config) {
+  if (!config || typeof config !== 'object') {
+    return 'PII redaction settings must be an object';
+  }
+
+  const identifier = /^[A-Za-z_$][\w$]*$/;
+  for (const rule of config.customPatterns || []) {
+    if (!identifier.test(rule?.name || '')) {
+      return `PII pattern name "${rule?.name || ''}" must be a valid identifier`;
+    }
+    const patternError = customPatternError(rule.pattern);
+    if (patternError) {
+      return `PII pattern ${rule.name} ${patternError}`;
+    }
+  }
+
+  for (const rule of config.selectorRules || []) {
+    if (!rule?.selector || !identifier.test(rule.parameter || '')) {
+      return 'PII selector rules need a selector and a parameter name that is a valid identifier';
+    }
+  }
+
+  return null;
+}
+
 /**
  * Get current settings
  */
@@ -70,9 +107,16 @@ router.get('/', async (req, res) => {
     
     // Don't send sensitive data like API keys to frontend
     const safeSettings = { ...settings };
+    delete safeSettings[PROMPT_TEMPLATES_KEY];
     if (safeSettings.apiKey) {
-      safeSettings.apiKey = '***masked***';
+      safeSettings.apiKey = MASKED_VALUE;
     }
+    safeSettings.providerCredentials = Object.fromEntries(
+      Object.entries(settings.providerCredentials || {}).map(([provider, credentials]) => [
+        provider,
+        { ...credentials, apiKey: credentials.apiKey ? MASKED_VALUE : '' }
+      ])
+    );
     
     res.json(safeSettings);
   } catch (error) {
@@ -91,8 +135,57 @@ router.post('/', async (req, res) => {
   try {
     const currentSettings = await loadSettings();
     const newSettings = { ...currentSettings, ...req.body };
+    delete newSettings[PROMPT_TEMPLATES_KEY];
+
+    // Masked keys echoed back by the frontend keep their stored values
+    if (newSettings.apiKey === MASKED_VALUE) {
+      newSettings.apiKey = currentSettings.apiKey;
+    }
+    if (newSettings.providerCredentials) {
+      newSettings.providerCredentials = Object.fromEntries(
+        Object.entries(newSettings.providerCredentials).map(([provider, credentials]) => [
+          provider,
+          {
+            ...credentials,
+            apiKey: credentials.apiKey === MASKED_VALUE
+              ? currentSettings.providerCredentials?.[provider]?.apiKey || ''
+              : credentials.apiKey
+          }
+        ])
+      );
+    }
+
+    if (!Array.isArray(newSettings.fallbackChain) ||
+        newSettings.fallbackChain.some(entry => !PROVIDERS.some(p => p.id === entry?.provider) || !entry.model)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Fallback chain entries need a supported provider and a model'
+      });
+    }
     
     // Validate settings
+    if (!['ai', 'offline'].includes(newSettings.aiMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'AI mode must be "ai" or "offline"'
+      });
+    }
+    
+    if (isNaN(parseFloat(newSettings.monthlyBudget)) || parseFloat(newSettings.monthlyBudget) < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Monthly budget must be 0 (unlimited) or a positive amount'
+      });
+    }
+    
+    const piiError = validatePIIRedaction(newSettings.piiRedaction);
+    if (piiError) {
+      return res.status(400).json({
+        success: false,
+        error: piiError
+      });
+    }
+    
     if (newSettings.timeout < 10 || newSettings.timeout > 300) {
       return res.status(400).json({
         success: false,
@@ -152,9 +245,12 @@ router.post('/test-ai', async (req, res) => {
     
     // Load current settings to get API key if not provided
     const currentSettings = await loadSettings();
-    const testApiKey = apiKey && apiKey !== '***masked***' ? apiKey : currentSettings.apiKey;
+    const testApiKey = apiKey && apiKey !== MASKED_VALUE
+      ? apiKey
+      : providerManager.getCredentials(provider, currentSettings).apiKey;
     
-    if (!testApiKey && provider !== 'openai') {
+    const requiresApiKey = PROVIDERS.find(p => p.id === provider)?.requiresApiKey ?? true;
+    if (!testApiKey && requiresApiKey && provider !== 'openai') {
       return res.status(400).json({
         success: false,
         error: 'API key is required for this provider'
@@ -179,101 +275,27 @@ router.post('/test-ai', async (req, res) => {
  */
 async function testAIProvider(provider, model, baseUrl, apiKey) {
   try {
-    let client;
-    let testMessage = 'Hello, this is a test message. Please respond with "Test successful".';
-    
-    // Configure client based on provider
-    switch (provider) {
-      case 'openai':
-        client = new OpenAI({
-          apiKey: apiKey || process.env.OPENAI_API_KEY
-        });
-        break;
-        
-      case 'anthropic':
-        // For Anthropic, we'll use OpenAI-compatible format
-        client = new OpenAI({
-          apiKey: apiKey,
-          baseURL: baseUrl || 'https://api.anthropic.com/v1'
-        });
-        break;
-        
-      case 'gemini':
-        client = new OpenAI({
-          apiKey: apiKey || process.env.OPENAI_API_KEY,
-          baseURL: baseUrl || undefined
-        });
-        model = 'gemini-2.5-flash'; // Use available model
-        break;
-        
-      case 'openrouter':
-        client = new OpenAI({
-          apiKey: apiKey,
-          baseURL: baseUrl || 'https://openrouter.ai/api/v1'
-        });
-        break;
-        
-      case 'groq':
-        client = new OpenAI({
-          apiKey: apiKey,
-          baseURL: baseUrl || 'https://api.groq.com/openai/v1'
-        });
-        break;
-        
-      case 'deepseek':
-        client = new OpenAI({
-          apiKey: apiKey,
-          baseURL: baseUrl || 'https://api.deepseek.com/v1'
-        });
-        break;
-        
-      case 'custom':
-        if (!baseUrl) {
-          return {
-            success: false,
-            error: 'Base URL is required for custom provider'
-          };
-        }
-        client = new OpenAI({
-          apiKey: apiKey,
-          baseURL: baseUrl
-        });
-        break;
-        
-      default:
-        return {
-          success: false,
-          error: `Unsupported provider: ${provider}`
-        };
-    }
+    const testMessage = 'Hello, this is a test message. Please respond with "Test successful".';
+    const client = providerManager.createClient({ provider, apiKey, baseUrl });
     
     // Make test request
-    const response = await client.chat.completions.create({
-      model: model,
-      messages: [
-        {
-          role: 'user',
-          content: testMessage
-        }
-      ],
+    const response = await providerManager.complete({ provider, model }, [
+      {
+        role: 'user',
+        content: testMessage
+      }
+    ], {
       max_tokens: 50,
       temperature: 0.1
-    });
+    }, client);
     
-    if (response.choices && response.choices.length > 0) {
-      return {
-        success: true,
-        message: 'AI connection test successful',
-        response: response.choices[0].message.content,
-        model: model,
-        provider: provider
-      };
-    } else {
-      return {
-        success: false,
-        error: 'No response received from AI provider'
-      };
-    }
+    return {
+      success: true,
+      message: 'AI connection test successful',
+      response: response.content,
+      model: model,
+      provider: provider
+    };
     
   } catch (error) {
     console.error('AI test error:', error);
@@ -301,71 +323,8 @@ async function testAIProvider(provider, model, baseUrl, apiKey) {
  * Get available AI providers and models
  */
 router.get('/ai-providers', (req, res) => {
-  const providers = [
-    {
-      id: 'openai',
-      name: 'OpenAI',
-      models: ['gpt-4.1-mini', 'gpt-4.1-nano'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://api.openai.com/v1'
-    },
-    {
-      id: 'anthropic',
-      name: 'Anthropic',
-      models: ['claude-3-sonnet', 'claude-3-haiku'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://api.anthropic.com/v1'
-    },
-    {
-      id: 'gemini',
-      name: 'Google Gemini',
-      models: ['gemini-2.5-flash', 'gemini-pro'],
-      requiresApiKey: true,
-      defaultBaseUrl: null
-    },
-    {
-      id: 'openrouter',
-      name: 'OpenRouter',
-      models: ['auto', 'gpt-4', 'claude-3'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://openrouter.ai/api/v1'
-    },
-    {
-      id: 'groq',
-      name: 'Groq',
-      models: ['llama-3.1-70b', 'mixtral-8x7b'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://api.groq.com/openai/v1'
-    },
-    {
-      id: 'deepseek',
-      name: 'DeepSeek',
-      models: ['deepseek-chat', 'deepseek-coder'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://api.deepseek.com/v1'
-    },
-    {
-      id: 'qwen',
-      name: 'Qwen',
-      models: ['qwen-turbo', 'qwen-plus'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://dashscope.aliyuncs.com/compatible-mode/v1'
-    },
-    {
-      id: 'grok',
-      name: 'Grok (X.AI)',
-      models: ['grok-beta', 'grok-vision'],
-      requiresApiKey: true,
-      defaultBaseUrl: 'https://api.x.ai/v1'
-    },
-    {
-      id: 'custom',
-      name: 'Custom Provider',
-      models: ['custom-model'],
-      requiresApiKey: true,
-      defaultBaseUrl: null
-    }
-  ];
+  // Environment variable names stay on the server
+  const providers = PROVIDERS.map(({ envKey, ...provider }) => provider);
   
   res.json({
     success: true,
@@ -5,6 +5,10 @@ const { v4: uuidv4 } = require('uuid');
 const { chromium } = require('playwright');
 const ScriptGenerator = require('./services/scriptGenerator');
 const DatabaseService = require('./services/database');
+const BrowserPool = require('./services/browserPool');
+const RecordingProcessor = require('./services/recordingProcessor');
+const RemoteRecorder = require('./services/remoteRecorder');
+const { authenticateApiToken } = require('./services/apiTokens');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,6 +16,9 @@ const PORT = process.env.PORT || 3001;
 // Initialize services
 const scriptGenerator = new ScriptGenerator();
 const db = new DatabaseService();
+const browserPool = new BrowserPool();
+const recordingProcessor = new RecordingProcessor(db, scriptGenerator);
+const remoteRecorder = new RemoteRecorder();
 
 // Middleware
 app.use(cors());
@@ -26,6 +33,11 @@ db.initialize().then(success => {
   dbInitialized = success;
   if (success) {
     console.log('✅ Database service initialized');
+    // Built-in prompt versions get their version numbers once, before any package records them
+    scriptGenerator.aiService.promptTemplates.storeBuiltIns().catch(error => {
+      console.error('Failed to store built-in prompt templates:', error);
+    });
+    recordingProcessor.start();
   } else {
     console.log('❌ Database service failed to initialize');
   }
@@ -34,6 +46,18 @@ db.initialize().then(success => {
 // Make database globally accessible for API export
 global.db = db;
 
+// Share the headless browser pool between live API executions
+global.browserPool = browserPool;
+
+// Share the recording processor so routes can subscribe to its progress events
+global.recordingProcessor = recordingProcessor;
+
+// Share the AI service for usage and budget reporting
+global.aiService = scriptGenerator.aiService;
+
+// Share the remote recorder between its HTTP routes and websocket stream
+global.remoteRecorder = remoteRecorder;
+
 // Import API export routes
 const apiExportRoutes = require('./routes/apiExport');
 app.use('/api/export', apiExportRoutes);
@@ -46,9 +70,33 @@ app.use('/api/live', liveAPIRoutes);
 const settingsRoutes = require('./routes/settings');
 app.use('/api/settings', settingsRoutes);
 
+// Import recording progress event routes
+const recordingEventsRoutes = require('./routes/recordingEvents');
+app.use('/api/recordings', recordingEventsRoutes);
+
+// Import routes that plan recordings from a task description
+const recordingPromptRoutes = require('./routes/recordingPrompts');
+app.use('/api/recordings', recordingPromptRoutes);
+
+// Import routes that record flows on third-party sites in a server-side browser
+const remoteRecordingRoutes = require('./routes/remoteRecordings');
+app.use('/api/recordings', remoteRecordingRoutes);
+
+// Import routes for the bookmarklet recorder and its recording tokens
+const recordingTokenRoutes = require('./routes/recordingTokens');
+app.use('/api/recordings', recordingTokenRoutes);
+
+// Import routes for reviewing selectors healed during executions
+const selectorProposalRoutes = require('./routes/selectorProposals');
+app.use('/api/recordings', selectorProposalRoutes);
+
+// Import AI stats and usage routes
+const aiRoutes = require('./routes/ai');
+app.use('/api/ai', aiRoutes);
+
 // API Routes
 // Create a new recording
-app.post('/api/recordings', async (req, res) => {
+app.post('/api/recordings', authenticateApiToken, async (req, res) => {
   try {
     if (!dbInitialized) {
       return res.status(503).json({ error: 'Database not available' });
@@ -62,11 +110,12 @@ app.post('/api/recordings', async (req, res) => {
       title,
       description,
       interactions,
-      metadata: metadata || {}
+      // Recordings submitted with an API token, e.g. from the browser extension, note which token sent them
+      metadata: req.apiToken ? { ...metadata, apiToken: req.apiToken.name } : metadata || {}
     });
     
-    // Process the recording asynchronously
-    processRecording(recording.id, interactions);
+    // Queue the recording for durable background processing
+    await recordingProcessor.enqueue(recording.id);
     
     res.json({ 
       id: recording.id, 
@@ -114,79 +163,6 @@ app.get('/api/recordings/:id', async (req, res) => {
   }
 });
 
-// Process recording and generate script
-async function processRecording(recordingId, interactions) {
-  try {
-    if (!dbInitialized) {
-      console.error('Database not initialized for processing recording:', recordingId);
-      return;
-    }
-
-    const recording = await db.getRecording(recordingId);
-    if (!recording) {
-      console.error('Recording not found:', recordingId);
-      return;
-    }
-    
-    console.log(`Processing recording ${recordingId} with ${interactions.length} interactions`);
-    
-    // Generate comprehensive automation package using AI
-    const automationPackage = await scriptGenerator.generateAutomationPackage(
-      interactions, 
-      recording.metadata
-    );
-    
-    // Update recording with generated automation package
-    await db.updateRecording(recordingId, {
-      status: 'completed',
-      automation_package: automationPackage,
-      completed_at: new Date()
-    });
-    
-    // Auto-register API if automation package includes API export
-    try {
-      if (automationPackage.apiPackage) {
-        const apiData = {
-          recording_id: recordingId,
-          name: recording.title || `API for ${recordingId}`,
-          description: recording.description || 'Generated API from browser automation',
-          version: '1.0.0',
-          endpoints: automationPackage.apiPackage.endpoints || [],
-          openapi_spec: automationPackage.apiPackage.openapi || {}
-        };
-        
-        await db.createAPI(apiData);
-        console.log(`API registered for recording ${recordingId}`);
-      }
-    } catch (apiError) {
-      console.error('Failed to register API:', apiError);
-    }
-    
-    console.log(`Recording ${recordingId} processed successfully`);
-    
-  } catch (error) {
-    console.error('Error processing recording:', error);
-    
-    try {
-      await db.updateRecording(recordingId, {
-        status: 'error',
-        error_message: error.message
-      });
-    } catch (updateError) {
-      console.error('Failed to update recording with error:', updateError);
-    }
-  }
-}
-
-// API endpoint to get AI service statistics
-app.get('/api/ai/stats', (req, res) => {
-  try {
-    const stats = scriptGenerator.aiService.getStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get AI stats' });
-  }
-});
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -195,7 +171,8 @@ app.get('/health', (req, res) => {
     database: dbInitialized ? 'connected' : 'disconnected',
     services: {
       database: dbInitialized,
-      scriptGenerator: true
+      scriptGenerator: true,
+      recordingWorker: recordingProcessor.getStats()
     }
   });
 });
@@ -208,8 +185,19 @@ app.use((req, res, next) => {
   res.sendFile(path.join(__dirname, 'static', 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Innovatehub API Generator running on port ${PORT}`);
   console.log(`📊 Database: ${dbInitialized ? 'Connected' : 'Disconnected'}`);
   console.log(`🌐 Frontend: Serving static files from /static`);
 });
+
+// Stream remote recording interactions over websockets on the same port
+remoteRecordingRoutes.attachRemoteRecordingStream(server);
+
+// Stop the recording worker and close pooled and remote recording browsers on shutdown
+process.on('SIGTERM', async () => {
+  recordingProcessor.stop();
+  await browserPool.close();
+  await remoteRecorder.close();
+  process.exit(0);
+});
@@ -0,0 +1,316 @@
+/**
+ * AI Provider Adapters
+ * Translate a common chat completion call into each provider's native wire format
+ */
+const { OpenAI } = require('openai');
+
+// Status codes worth retrying for the native HTTP adapters; Anthropic answers 529 when it is overloaded
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Base adapter for providers called over plain HTTP
+ */
+class HTTPAdapter {
+  constructor({ apiKey, baseUrl, timeout = 30000, retryAttempts = 3 }) {
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.retryAttempts = retryAttempts;
+  }
+
+  /**
+   * POST a JSON body, retrying transient failures with exponential backoff
+   */
+  async post(path, body, headers) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retryAttempts; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, attempt - 1)));
+      }
+
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', ...headers },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(this.timeout)
+        });
+      } catch (error) {
+        lastError = error.name === 'TimeoutError'
+          ? new Error(`Request timed out after ${this.timeout}ms`)
+          : error;
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        data = null;
+      }
+
+      if (response.ok) {
+        return data;
+      }
+
+      lastError = this.createError(response.status, data, text);
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        throw lastError;
+      }
+    }
+
+    throw lastError;
+  }
+
+  createError(status, data, text) {
+    const error = new Error(`${status} ${data?.error?.message || text || 'Request failed'}`);
+    error.status = status;
+    error.code = this.mapErrorCode(status, data);
+    return error;
+  }
+
+  /**
+   * Map provider errors onto the OpenAI error codes callers already check for
+   */
+  mapErrorCode(status) {
+    if (status === 401 || status === 403) return 'invalid_api_key';
+    if (status === 404) return 'model_not_found';
+    return null;
+  }
+
+  /**
+   * Split OpenAI-style messages into a system prompt and the conversation
+   */
+  splitMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    return {
+      system: system || null,
+      conversation: messages.filter(message => message.role !== 'system')
+    };
+  }
+}
+
+/**
+ * OpenAI and OpenAI-compatible chat completions APIs
+ */
+class OpenAIAdapter {
+  constructor({ apiKey, baseUrl, timeout, retryAttempts }) {
+    this.client = new OpenAI({
+      apiKey,
+      baseURL: baseUrl,
+      timeout,
+      maxRetries: retryAttempts
+    });
+  }
+
+  async complete(model, messages, options = {}) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      ...options
+    });
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error('No response received from AI provider');
+    }
+
+    return {
+      content: response.choices[0].message.content,
+      usage: response.usage || null,
+      model: response.model || model
+    };
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicAdapter extends HTTPAdapter {
+  async complete(model, messages, options = {}) {
+    const { system, conversation } = this.splitMessages(messages);
+
+    const body = {
+      model,
+      // Anthropic requires an explicit output limit
+      max_tokens: options.max_tokens || 1024,
+      messages: conversation.map(message => ({
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: message.content
+      }))
+    };
+    if (system) body.system = system;
+
+    // Structured output is done by forcing a tool call whose input must match the schema
+    const jsonSchema = options.response_format?.type === 'json_schema' ? options.response_format.json_schema : null;
+    if (jsonSchema) {
+      body.tools = [{
+        name: jsonSchema.name,
+        description: 'Return the result as structured data',
+        input_schema: jsonSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: jsonSchema.name };
+    }
+
+    // Newer Claude models reject temperature and top_p together, temperature wins
+    if (options.temperature !== undefined) {
+      body.temperature = options.temperature;
+    } else if (options.top_p !== undefined) {
+      body.top_p = options.top_p;
+    }
+
+    const data = await this.post('/messages', body, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    });
+
+    const toolUse = (data?.content || []).find(block => block.type === 'tool_use');
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : (data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    if (!content) {
+      throw new Error('No response received from AI provider');
+    }
+
+    const usage = data.usage ? {
+      prompt_tokens: data.usage.input_tokens,
+      completion_tokens: data.usage.output_tokens,
+      total_tokens: data.usage.input_tokens + data.usage.output_tokens
+    } : null;
+
+    return { content, usage, model: data.model || model };
+  }
+
+  mapErrorCode(status, data) {
+    switch (data?.error?.type) {
+      case 'authentication_error':
+      case 'permission_error':
+        return 'invalid_api_key';
+      case 'not_found_error':
+        return 'model_not_found';
+      default:
+        return super.mapErrorCode(status);
+    }
+  }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiAdapter extends HTTPAdapter {
+  async complete(model, messages, options = {}) {
+    const { system, conversation } = this.splitMessages(messages);
+
+    const generationConfig = {};
+    if (options.max_tokens !== undefined) generationConfig.maxOutputTokens = options.max_tokens;
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.top_p !== undefined) generationConfig.topP = options.top_p;
+    if (options.response_format?.type === 'json_schema') {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = this.toGeminiSchema(options.response_format.json_schema.schema);
+    } else if (options.response_format?.type === 'json_object') {
+      generationConfig.responseMimeType = 'application/json';
+    }
+
+    const body = {
+      contents: conversation.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+
+    const data = await this.post(`/models/${encodeURIComponent(model)}:generateContent`, body, {
+      'x-goog-api-key': this.apiKey
+    });
+
+    const candidate = data?.candidates?.[0];
+    const content = (candidate?.content?.parts || [])
+      .map(part => part.text || '')
+      .join('');
+
+    if (!content) {
+      const reason = data?.promptFeedback?.blockReason || candidate?.finishReason;
+      throw new Error(reason ? `No response received from AI provider (${reason})` : 'No response received from AI provider');
+    }
+
+    const usage = data.usageMetadata ? {
+      prompt_tokens: data.usageMetadata.promptTokenCount || 0,
+      completion_tokens: data.usageMetadata.candidatesTokenCount || 0,
+      total_tokens: data.usageMetadata.totalTokenCount || 0
+    } : null;
+
+    return { content, usage, model: data.modelVersion || model };
+  }
+
+  /**
+   * Gemini accepts an OpenAPI subset of JSON Schema; keep only the keywords it understands
+   */
+  toGeminiSchema(schema) {
+    // Gemini marks optional values as nullable instead of accepting a list of types
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const converted = { type: types.find(type => type !== 'null') };
+    if (types.includes('null')) converted.nullable = true;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.required) converted.required = schema.required;
+    if (schema.items) converted.items = this.toGeminiSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, this.toGeminiSchema(value)])
+      );
+    }
+    return converted;
+  }
+
+  mapErrorCode(status, data) {
+    const details = data?.error?.details || [];
+    if (details.some(detail => detail.reason === 'API_KEY_INVALID')) return 'invalid_api_key';
+
+    switch (data?.error?.status) {
+      case 'UNAUTHENTICATED':
+      case 'PERMISSION_DENIED':
+        return 'invalid_api_key';
+      case 'NOT_FOUND':
+        return 'model_not_found';
+      case 'RESOURCE_EXHAUSTED':
+        return 'insufficient_quota';
+      default:
+        return super.mapErrorCode(status);
+    }
+  }
+}
+
+const ADAPTERS = {
+  openai: OpenAIAdapter,
+  anthropic: AnthropicAdapter,
+  gemini: GeminiAdapter
+};
+
+/**
+ * Create an adapter for the given wire format
+ */
+function createAdapter(format, config) {
+  const Adapter = ADAPTERS[format];
+  if (!Adapter) {
+    throw new Error(`Unsupported AI API format: ${format}`);
+  }
+  return new Adapter(config);
+}
+
+module.exports = {
+  createAdapter,
+  OpenAIAdapter,
+  AnthropicAdapter,
+  GeminiAdapter
+};
@@ -0,0 +1,123 @@
+/**
+ * AI Response Cache
+ * Content-hashed, Postgres-backed cache of AI responses with TTL and hit/miss metrics
+ */
+const crypto = require('crypto');
+
+class AICache {
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlHours || parseInt(process.env.AI_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+    this.hits = 0;
+    this.misses = 0;
+
+    this.purgeInterval = setInterval(() => this.purgeExpired(), 60 * 60 * 1000);
+    this.purgeInterval.unref();
+  }
+
+  /**
+   * Hash everything that influences the response, so distinct requests never share an entry
+   */
+  generateKey({ prompt, provider, model, templateVersion, options = {} }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ prompt, provider, model, templateVersion, options }))
+      .digest('hex');
+  }
+
+  isAvailable() {
+    return !!global.db && global.db.isHealthy();
+  }
+
+  /**
+   * Look up a cached response, attributing the hit to a recording
+   */
+  async get(key, recordingId) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const entry = await global.db.hitAICacheEntry(key, recordingId);
+      if (entry) {
+        this.hits++;
+        return entry.response;
+      }
+    } catch (error) {
+      console.error('Failed to read AI cache:', error);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a response; failures to cache are logged and never break the caller
+   */
+  async set(key, response, { operation, provider, model, recordingId }) {
+    if (!this.isAvailable()) {
+      return;
+    }
+
+    try {
+      await global.db.setAICacheEntry({
+        cache_key: key,
+        operation,
+        provider,
+        model,
+        response,
+        recording_id: recordingId,
+        expires_at: new Date(Date.now() + this.ttlMs)
+      });
+    } catch (error) {
+      console.error('Failed to write AI cache:', error);
+    }
+  }
+
+  /**
+   * Drop every entry a recording used, forcing fresh responses next time it is processed
+   */
+  async purgeRecording(recordingId) {
+    return global.db.deleteAICacheForRecording(recordingId);
+  }
+
+  async purgeExpired() {
+    if (!this.isAvailable()) return;
+
+    try {
+      const deleted = await global.db.deleteExpiredAICache();
+      if (deleted > 0) {
+        console.log(`Purged ${deleted} expired AI cache entries`);
+      }
+    } catch (error) {
+      console.error('Failed to purge expired AI cache entries:', error);
+    }
+  }
+
+  /**
+   * Hit/miss counts since startup plus stored entry totals
+   */
+  async getStats() {
+    const lookups = this.hits + this.misses;
+    const stats = {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      ttlHours: this.ttlMs / (60 * 60 * 1000)
+    };
+
+    if (this.isAvailable()) {
+      try {
+        const stored = await global.db.getAICacheStats();
+        stats.entries = stored.entries;
+        stats.totalHits = stored.total_hits;
+        stats.oldestEntry = stored.oldest_entry;
+      } catch (error) {
+        console.error('Failed to load AI cache stats:', error);
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = AICache;
@@ -0,0 +1,298 @@
+/**
+ * AI Provider Manager
+ * Builds AI clients from persisted settings and resolves the ordered model fallback chain
+ */
+const { createAdapter } = require('./aiAdapters');
+
+// Supported providers; format selects the wire protocol adapter and structuredOutput
+// the strongest JSON mode the provider supports ('json_schema', 'json_object' or none)
+const PROVIDERS = [
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    models: ['gpt-4.1-mini', 'gpt-4.1-nano'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_schema',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    envKey: 'OPENAI_API_KEY'
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic',
+    models: ['claude-sonnet-4-5', 'claude-haiku-4-5'],
+    requiresApiKey: true,
+    format: 'anthropic',
+    structuredOutput: 'json_schema',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    envKey: 'ANTHROPIC_API_KEY'
+  },
+  {
+    id: 'gemini',
+    name: 'Google Gemini',
+    models: ['gemini-2.5-flash', 'gemini-2.5-pro'],
+    requiresApiKey: true,
+    format: 'gemini',
+    structuredOutput: 'json_schema',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    envKey: 'GEMINI_API_KEY'
+  },
+  {
+    id: 'openrouter',
+    name: 'OpenRouter',
+    models: ['auto', 'gpt-4', 'claude-3'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_object',
+    defaultBaseUrl: 'https://openrouter.ai/api/v1',
+    envKey: 'OPENROUTER_API_KEY'
+  },
+  {
+    id: 'groq',
+    name: 'Groq',
+    models: ['llama-3.1-70b', 'mixtral-8x7b'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_object',
+    defaultBaseUrl: 'https://api.groq.com/openai/v1',
+    envKey: 'GROQ_API_KEY'
+  },
+  {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    models: ['deepseek-chat', 'deepseek-coder'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_object',
+    defaultBaseUrl: 'https://api.deepseek.com/v1',
+    envKey: 'DEEPSEEK_API_KEY'
+  },
+  {
+    id: 'qwen',
+    name: 'Qwen',
+    models: ['qwen-turbo', 'qwen-plus'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_object',
+    defaultBaseUrl: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
+    envKey: 'DASHSCOPE_API_KEY'
+  },
+  {
+    id: 'grok',
+    name: 'Grok (X.AI)',
+    models: ['grok-beta', 'grok-vision'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: 'json_schema',
+    defaultBaseUrl: 'https://api.x.ai/v1',
+    envKey: 'XAI_API_KEY'
+  },
+  {
+    id: 'local',
+    name: 'Local (Ollama / llama.cpp)',
+    models: ['llama3.1', 'qwen2.5-coder'],
+    requiresApiKey: false,
+    format: 'openai',
+    structuredOutput: 'json_object',
+    // Both servers expose an OpenAI-compatible endpoint; llama.cpp listens on :8080/v1
+    defaultBaseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+    envKey: null
+  },
+  {
+    id: 'custom',
+    name: 'Custom Provider',
+    models: ['custom-model'],
+    requiresApiKey: true,
+    format: 'openai',
+    structuredOutput: null,
+    defaultBaseUrl: null,
+    envKey: null
+  }
+];
+
+// AI-related settings and their defaults, shared with the settings routes
+const DEFAULT_AI_SETTINGS = {
+  // 'ai' calls the configured providers, 'offline' uses the rule-based generator only
+  aiMode: 'ai',
+  aiProvider: 'openai',
+  aiModel: 'gpt-4.1-mini',
+  customBaseUrl: '',
+  apiKey: '',
+  timeout: 30,
+  retryAttempts: 3,
+  // Monthly AI spend limit in USD; once reached the offline generator is used. 0 disables the limit
+  monthlyBudget: 0,
+  // Models tried in order after the primary one, e.g. [{ provider: 'groq', model: 'llama-3.1-70b' }]
+  fallbackChain: [
+    { provider: 'openai', model: 'gpt-4.1-nano' }
+  ],
+  // Credentials for providers other than the primary: { groq: { apiKey, baseUrl } }
+  providerCredentials: {},
+  // Personal data replaced with placeholders before interactions are sent to a provider.
+  // customPatterns: [{ name: 'customerId', pattern: 'CUST-\\d+' }], selectorRules: [{ selector: '#address', parameter: 'address' }]
+  piiRedaction: {
+    enabled: true,
+    emails: true,
+    phoneNumbers: true,
+    cardNumbers: true,
+    customPatterns: [],
+    selectorRules: []
+  },
+  // Ask the AI provider for names of form-field parameters that have no label, placeholder or aria-label
+  aiParameterNames: true
+};
+
+class AIProviderManager {
+  constructor(options = {}) {
+    this.settings = { ...DEFAULT_AI_SETTINGS };
+    this.settingsVersion = null;
+    this.clients = new Map();
+    this.reloadInterval = options.reloadInterval || 5000;
+    this.lastCheck = 0;
+  }
+
+  /**
+   * Get the current AI settings, reloading them when they changed in the database
+   */
+  async getSettings() {
+    if (!global.db || !global.db.isHealthy()) {
+      return this.settings;
+    }
+
+    // Avoid a database round trip on every AI call during bursts
+    if (Date.now() - this.lastCheck < this.reloadInterval) {
+      return this.settings;
+    }
+    this.lastCheck = Date.now();
+
+    try {
+      const version = await global.db.getSettingsVersion();
+      if (version !== this.settingsVersion) {
+        const stored = await global.db.getAllSettings();
+        this.settings = { ...DEFAULT_AI_SETTINGS, ...stored };
+        this.settingsVersion = version;
+        this.clients.clear();
+        console.log(`AI provider settings loaded: ${this.settings.aiProvider}/${this.settings.aiModel}`);
+      }
+    } catch (error) {
+      console.error('Failed to reload AI settings:', error);
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Force settings to be reloaded on the next call
+   */
+  invalidate() {
+    this.settingsVersion = null;
+    this.lastCheck = 0;
+  }
+
+  /**
+   * Resolve the ordered list of provider/model pairs to try
+   */
+  async getModelChain() {
+    const settings = await this.getSettings();
+    const chain = [{ provider: settings.aiProvider, model: settings.aiModel }];
+
+    (Array.isArray(settings.fallbackChain) ? settings.fallbackChain : []).forEach(entry => {
+      if (!entry || !entry.provider || !entry.model) return;
+      if (chain.some(c => c.provider === entry.provider && c.model === entry.model)) return;
+      chain.push({ provider: entry.provider, model: entry.model });
+    });
+
+    return chain;
+  }
+
+  /**
+   * Resolve credentials for a provider from settings, falling back to the environment
+   */
+  getCredentials(providerId, settings) {
+    const provider = PROVIDERS.find(p => p.id === providerId);
+    const stored = settings.providerCredentials?.[providerId] || {};
+    const isPrimary = settings.aiProvider === providerId;
+
+    return {
+      apiKey: stored.apiKey || (isPrimary ? settings.apiKey : '') || (provider?.envKey ? process.env[provider.envKey] : ''),
+      baseUrl: stored.baseUrl || (isPrimary ? settings.customBaseUrl : '') || undefined
+    };
+  }
+
+  /**
+   * Create a client for a provider from explicit configuration
+   */
+  createClient({ provider: providerId, apiKey, baseUrl, timeout, retryAttempts }) {
+    const provider = PROVIDERS.find(p => p.id === providerId);
+    if (!provider) {
+      throw new Error(`Unsupported provider: ${providerId}`);
+    }
+
+    if (providerId === 'custom' && !baseUrl) {
+      throw new Error('Base URL is required for custom provider');
+    }
+
+    // The OpenAI SDK honours OPENAI_BASE_URL itself when no base URL is given
+    const defaultBaseUrl = providerId === 'openai' ? undefined : provider.defaultBaseUrl;
+
+    return createAdapter(provider.format, {
+      apiKey: apiKey || (provider.envKey ? process.env[provider.envKey] : undefined) || 'not-configured',
+      baseUrl: baseUrl || defaultBaseUrl,
+      timeout: (timeout || DEFAULT_AI_SETTINGS.timeout) * 1000,
+      retryAttempts: retryAttempts ?? DEFAULT_AI_SETTINGS.retryAttempts
+    });
+  }
+
+  /**
+   * Get a cached client for a provider configured from the saved settings
+   */
+  async getClient(providerId) {
+    const settings = await this.getSettings();
+
+    if (!this.clients.has(providerId)) {
+      const credentials = this.getCredentials(providerId, settings);
+      this.clients.set(providerId, this.createClient({
+        provider: providerId,
+        apiKey: credentials.apiKey,
+        baseUrl: credentials.baseUrl,
+        timeout: settings.timeout,
+        retryAttempts: settings.retryAttempts
+      }));
+    }
+
+    return this.clients.get(providerId);
+  }
+
+  /**
+   * Run a chat completion against a provider/model pair, returns { content, usage, model }.
+   * Pass a client to bypass the settings, e.g. when testing unsaved credentials.
+   */
+  async complete(target, messages, options = {}, client = null) {
+    const activeClient = client || await this.getClient(target.provider);
+    return activeClient.complete(target.model, messages, this.adaptResponseFormat(target.provider, options));
+  }
+
+  /**
+   * Downgrade a json_schema response_format to what the provider supports
+   */
+  adaptResponseFormat(providerId, options) {
+    if (!options.response_format) {
+      return options;
+    }
+
+    const { response_format: responseFormat, ...rest } = options;
+    const supported = PROVIDERS.find(p => p.id === providerId)?.structuredOutput;
+
+    if (supported === 'json_schema') {
+      return options;
+    }
+    if (supported === 'json_object') {
+      return { ...rest, response_format: { type: 'json_object' } };
+    }
+    return rest;
+  }
+}
+
+module.exports = AIProviderManager;
+module.exports.PROVIDERS = PROVIDERS;
+module.exports.DEFAULT_AI_SETTINGS = DEFAULT_AI_SETTINGS;
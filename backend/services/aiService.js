@@ -1,75 +1,78 @@
-const { OpenAI } = require('openai');
+const AIProviderManager = require('./aiProviders');
+const OfflineGenerator = require('./offlineGenerator');
+const AIUsageTracker = require('./aiUsage');
+const AICache = require('./aiCache');
+const PromptTemplateService = require('./promptTemplates');
+const PIIScrubber = require('./piiScrubber');
+const ModelHealthTracker = require('./modelHealth');
+const { ANALYSIS_RESPONSE_FORMAT, validateAnalysis } = require('./analysisSchema');
+const { extractCode } = require('./scriptValidator');
+const { TASK_RESPONSE_FORMAT, validateTask } = require('./taskSchema');
+const { HEALING_RESPONSE_FORMAT, createHealingValidator } = require('./healingSchema');
+const { NAMING_RESPONSE_FORMAT, createNamingValidator } = require('./namingSchema');
+const { SAMPLES_RESPONSE_FORMAT, createSamplesValidator } = require('./samplesSchema');
 
 /**
  * AI Service for Browser Automation Script Generation
  * Provides intelligent script generation with redundancy and cost optimization
  */
 class AIService {
-  constructor() {
-    this.openai = new OpenAI();
-    this.models = [
-      'gemini-2.5-flash',  // Primary model - cost-effective and intelligent
-      'gpt-4.1-mini',      // Fallback model 1
-      'gpt-4.1-nano'       // Fallback model 2 - most cost-effective
-    ];
-    this.currentModelIndex = 0;
-    this.requestCache = new Map();
-    this.maxCacheSize = 100;
+  constructor(options = {}) {
+    // Provider, model and fallback chain come from the saved settings
+    this.providers = options.providers || new AIProviderManager();
+    this.offlineGenerator = new OfflineGenerator();
+    this.usage = options.usage || new AIUsageTracker();
+    this.cache = options.cache || new AICache();
+    this.promptTemplates = new PromptTemplateService();
+    this.scrubber = new PIIScrubber();
+    this.health = options.health || new ModelHealthTracker();
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
   }
 
   /**
    * Generate enhanced automation script with AI analysis
+   * context.recordingId attributes token usage to a recording, context.redaction reuses a PII redaction
    */
-  async generateEnhancedScript(playwrightScript, interactions, metadata = {}) {
-    const cacheKey = this.generateCacheKey(interactions);
-    
-    // Check cache first for cost optimization
-    if (this.requestCache.has(cacheKey)) {
-      console.log('Returning cached AI response');
-      return this.requestCache.get(cacheKey);
+  async generateEnhancedScript(playwrightScript, interactions, metadata = {}, context = {}) {
+    if (await this.isOffline()) {
+      return this.offlineGenerator.generateEnhancedScript(playwrightScript, interactions, metadata);
     }
 
-    const prompt = this.buildEnhancementPrompt(playwrightScript, interactions, metadata);
-    
-    // Try models with redundancy
-    for (let attempt = 0; attempt < this.models.length; attempt++) {
-      try {
-        const model = this.models[this.currentModelIndex];
-        console.log(`Attempting script enhancement with model: ${model}`);
-        
-        const response = await this.callAI(prompt, model);
-        
-        // Cache successful response
-        this.cacheResponse(cacheKey, response);
-        
-        return response;
-      } catch (error) {
-        console.error(`Model ${this.models[this.currentModelIndex]} failed:`, error.message);
-        
-        // Switch to next model for redundancy
-        this.currentModelIndex = (this.currentModelIndex + 1) % this.models.length;
-        
-        if (attempt === this.models.length - 1) {
-          throw new Error('All AI models failed. Returning basic script.');
-        }
-      }
-    }
+    const redaction = context.redaction || await this.createRedaction(interactions);
+    const { prompt, templateVersion } = await this.buildPrompt('enhancement', {
+      interactions: redaction.interactions,
+      script: playwrightScript,
+      metadata
+    }, context);
+
+    const response = await this.callWithFallback('script enhancement', target =>
+      this.callAI(prompt, target, {}, { ...context, redaction, operation: 'enhancement', templateVersion })
+    );
+    // Models often wrap the code in markdown fences and explanations
+    return this.scrubber.restoreScript(extractCode(response), redaction);
   }
 
   /**
    * Analyze interactions and suggest improvements
    */
-  async analyzeInteractions(interactions) {
-    const prompt = this.buildAnalysisPrompt(interactions);
+  async analyzeInteractions(interactions, context = {}) {
+    if (await this.isOffline()) {
+      return this.offlineGenerator.analyzeInteractions(interactions);
+    }
+
+    const redaction = context.redaction || await this.createRedaction(interactions);
+    const { prompt: basePrompt, templateVersion } = await this.buildPrompt('analysis', {
+      interactions: redaction.interactions
+    }, context);
     
     try {
-      const model = this.models[this.currentModelIndex];
-      const response = await this.callAI(prompt, model, {
-        max_tokens: 1000,
-        temperature: 0.3
-      });
-      
-      return this.parseAnalysisResponse(response);
+      return await this.callWithFallback('interaction analysis', target =>
+        this.callWithRepair(basePrompt, target, {
+          max_tokens: 1000,
+          temperature: 0.3,
+          response_format: ANALYSIS_RESPONSE_FORMAT
+        }, { ...context, redaction, operation: 'analysis', templateVersion }, content => this.parseAnalysisResponse(content))
+      );
     } catch (error) {
       console.error('Interaction analysis failed:', error);
       return this.getDefaultAnalysis(interactions);
@@ -79,17 +82,24 @@ class AIService {
   /**
    * Generate API documentation for the automation script
    */
-  async generateAPIDocumentation(script, interactions) {
-    const prompt = this.buildAPIDocPrompt(script, interactions);
+  async generateAPIDocumentation(script, interactions, context = {}) {
+    if (await this.isOffline()) {
+      return this.offlineGenerator.generateAPIDocumentation(script, interactions);
+    }
+
+    const redaction = context.redaction || await this.createRedaction(interactions);
+    const { prompt, templateVersion } = await this.buildPrompt('documentation', {
+      interactions: redaction.interactions,
+      script
+    }, context);
     
     try {
-      const model = this.models[this.currentModelIndex];
-      const response = await this.callAI(prompt, model, {
-        max_tokens: 1500,
-        temperature: 0.2
-      });
-      
-      return response;
+      return await this.callWithFallback('API documentation', target =>
+        this.callAI(prompt, target, {
+          max_tokens: 1500,
+          temperature: 0.2
+        }, { ...context, redaction, operation: 'documentation', templateVersion })
+      );
     } catch (error) {
       console.error('API documentation generation failed:', error);
       return this.getDefaultAPIDoc(interactions);
@@ -97,102 +107,338 @@ class AIService {
   }
 
   /**
-   * Build enhancement prompt for AI
+   * Plan an interaction list in the recorder's format from a task description and start URL.
+   * Returns { title, interactions, model, templateVersion }; throws AI_UNAVAILABLE when AI is offline.
    */
-  buildEnhancementPrompt(playwrightScript, interactions, metadata) {
-    return `You are an expert browser automation engineer. Analyze the following user interactions and Playwright script, then provide an enhanced, production-ready version.
+  async generateInteractionsFromPrompt(description, startUrl, context = {}) {
+    const offlineReason = await this.getOfflineReason();
+    if (offlineReason) {
+      const error = new Error(`Generating interactions from a task description needs an AI provider (offline: ${offlineReason})`);
+      error.code = 'AI_UNAVAILABLE';
+      throw error;
+    }
 
-**User Context:**
-- Total interactions: ${interactions.length}
-- Session duration: ${metadata.duration || 'unknown'}
-- Target website: ${metadata.url || 'unknown'}
+    // The description is free text and may hold credentials or personal data
+    const redaction = await this.createRedaction([{ action: 'task', text: description, url: startUrl }]);
+    const [task] = redaction.interactions;
+    const { prompt, templateVersion } = await this.buildPrompt('task', {
+      metadata: { taskDescription: task.text, url: task.url }
+    }, context);
+
+    let model = null;
+    const plan = await this.callWithFallback('task planning', target => {
+      model = `${target.provider}/${target.model}`;
+      return this.callWithRepair(prompt, target, {
+        max_tokens: 2000,
+        temperature: 0.2,
+        response_format: TASK_RESPONSE_FORMAT
+      }, { ...context, redaction, operation: 'task', templateVersion }, content =>
+        this.parseJSONResponse(content, validateTask, 'task')
+      );
+    });
 
-**Original Interactions:**
-${JSON.stringify(interactions.slice(0, 10), null, 2)}${interactions.length > 10 ? '\n... (truncated)' : ''}
+    return {
+      title: plan.title,
+      interactions: this.toRecordedInteractions(plan.interactions, startUrl, redaction),
+      model,
+      templateVersion
+    };
+  }
 
-**Generated Playwright Script:**
-\`\`\`javascript
-${playwrightScript}
-\`\`\`
+  /**
+   * Convert planned steps to the recorder's interaction format, starting at the start URL
+   */
+  toRecordedInteractions(steps, startUrl, redaction) {
+    const planned = steps[0]?.action === 'navigation' ? steps : [{ action: 'navigation', url: startUrl }, ...steps];
+
+    return planned.map((step, index) => {
+      const interaction = {};
+      Object.entries(step).forEach(([field, value]) => {
+        if (value !== null && value !== undefined) {
+          interaction[field] = typeof value === 'string' ? this.scrubber.restoreValues(value, redaction) : value;
+        }
+      });
 
-**Enhancement Requirements:**
-1. **Error Handling**: Add comprehensive try-catch blocks and graceful error recovery
-2. **Robust Selectors**: Improve selectors with fallback strategies (ID → data-testid → class → text content)
-3. **Smart Waits**: Add intelligent waiting strategies for dynamic content
-4. **Performance**: Optimize for speed and reliability
-5. **Modularity**: Structure code for reusability and maintainability
-6. **Security**: Handle sensitive data appropriately
-7. **Logging**: Add detailed logging for debugging
-8. **Configuration**: Make the script configurable with parameters
-
-**Output Format:**
-Provide only the enhanced JavaScript code with detailed comments explaining the improvements. The script should be production-ready and follow best practices.`;
+      if (interaction.inputType === 'password') {
+        interaction.text = '[PASSWORD]';
+      }
+
+      // Planned steps are spaced a second apart, as if recorded
+      interaction.timestamp = Date.now() + index * 1000;
+      interaction.relativeTime = index * 1000;
+      return interaction;
+    });
   }
 
   /**
-   * Build analysis prompt for interactions
+   * Pick the candidate element a step whose selector failed was meant to act on.
+   * Returns { index, reason, model } or null when AI is offline, every model fails or no candidate fits.
    */
-  buildAnalysisPrompt(interactions) {
-    return `Analyze the following browser interactions and provide insights:
-
-**Interactions:**
-${JSON.stringify(interactions, null, 2)}
-
-**Analysis Required:**
-1. Identify the main workflow/process
-2. Detect potential issues or fragile points
-3. Suggest optimizations
-4. Recommend additional error handling
-5. Identify security considerations
-
-Provide a structured analysis in JSON format with the following structure:
-{
-  "workflow": "description of the main process",
-  "issues": ["list of potential issues"],
-  "optimizations": ["list of suggested optimizations"],
-  "security": ["security considerations"],
-  "complexity": "low|medium|high"
-}`;
+  async suggestSelector(interaction, candidates, pageUrl, context = {}) {
+    if (candidates.length === 0 || await this.isOffline()) {
+      return null;
+    }
+
+    // Candidates are read from the live page and may show personal data too
+    const redaction = await this.createRedaction([interaction, ...candidates]);
+    const [step, ...redactedCandidates] = redaction.interactions;
+    const { prompt, templateVersion } = await this.buildPrompt('healing', {
+      interactions: [step],
+      candidates: redactedCandidates,
+      metadata: { url: pageUrl }
+    }, context);
+
+    let model = null;
+    try {
+      const pick = await this.callWithFallback('selector healing', target => {
+        model = `${target.provider}/${target.model}`;
+        return this.callWithRepair(prompt, target, {
+          max_tokens: 300,
+          temperature: 0,
+          response_format: HEALING_RESPONSE_FORMAT
+        }, { ...context, redaction, operation: 'healing', templateVersion }, content =>
+          this.parseJSONResponse(content, createHealingValidator(candidates.length), 'healing')
+        );
+      });
+
+      return pick.index === null ? null : { index: pick.index, reason: pick.reason, model };
+    } catch (error) {
+      console.error('Selector healing failed:', error.message);
+      return null;
+    }
   }
 
   /**
-   * Build API documentation prompt
+   * Suggest API parameter names for recorded form fields described by parameterNaming.describeUnnamedFields.
+   * Returns a Map of selector to name; empty when disabled in settings, offline or every model fails.
    */
-  buildAPIDocPrompt(script, interactions) {
-    return `Generate comprehensive API documentation for this browser automation script:
+  async suggestParameterNames(fields, pageUrl, context = {}) {
+    const settings = await this.providers.getSettings();
+    if (fields.length === 0 || !settings.aiParameterNames || await this.isOffline()) {
+      return new Map();
+    }
 
-**Script:**
-\`\`\`javascript
-${script}
-\`\`\`
+    // Only field descriptions are sent, never the values typed into them
+    const { prompt, templateVersion } = await this.buildPrompt('naming', {
+      fields: fields.map(({ selector, inputType, field, suggested }) => ({ selector, inputType, field, suggested })),
+      metadata: { url: pageUrl }
+    }, context);
+
+    try {
+      const { names } = await this.callWithFallback('parameter naming', target =>
+        this.callWithRepair(prompt, target, {
+          max_tokens: 500,
+          temperature: 0,
+          response_format: NAMING_RESPONSE_FORMAT
+        }, { ...context, operation: 'naming', templateVersion }, content =>
+          this.parseJSONResponse(content, createNamingValidator(fields.length), 'naming')
+        )
+      );
+
+      return new Map(names.map(({ index, name }) => [fields[index].selector, name]));
+    } catch (error) {
+      console.error('Parameter naming failed:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Generate count synthetic payloads for API parameters described by name, type and constraints.
+   * Returns one object of parameter name to string value per sample, or null when AI is unavailable.
+   */
+  async generateSampleData(parameters, count, context = {}) {
+    if (parameters.length === 0 || await this.isOffline()) {
+      return null;
+    }
+
+    // Parameters are described by their schema only, never by the recorded values
+    const { prompt, templateVersion } = await this.buildPrompt('samples', {
+      parameters,
+      metadata: { sampleCount: count }
+    }, context);
+    const names = parameters.map(parameter => parameter.name);
+
+    try {
+      const { samples } = await this.callWithFallback('sample data generation', target =>
+        this.callWithRepair(prompt, target, {
+          max_tokens: 300 + count * parameters.length * 40,
+          temperature: 0.8,
+          response_format: SAMPLES_RESPONSE_FORMAT
+        }, { ...context, operation: 'samples', templateVersion }, content =>
+          this.parseJSONResponse(content, createSamplesValidator(names, count), 'sample data')
+        )
+      );
+
+      return samples.map(sample => Object.fromEntries(sample.values.map(({ name, value }) => [name, value])));
+    } catch (error) {
+      console.error('Sample data generation failed:', error.message);
+      return null;
+    }
+  }
 
-**Original Interactions:**
-${JSON.stringify(interactions.slice(0, 5), null, 2)}
+  /**
+   * Call one model for a structured reply; replies that fail validation are sent back to be repaired.
+   * parse(content) returns the parsed value or throws an INVALID_OUTPUT error.
+   */
+  async callWithRepair(basePrompt, target, options, context, parse) {
+    let prompt = basePrompt;
 
-**Documentation Requirements:**
-1. Function/method descriptions
-2. Parameters and their types
-3. Return values
-4. Usage examples
-5. Error handling
-6. Configuration options
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      try {
+        const response = await this.callAI(prompt, target, options, {
+          ...context,
+          operation: attempt === 0 ? context.operation : `${context.operation}_repair`,
+          validate: parse
+        });
 
-Provide the documentation in Markdown format.`;
+        return parse(response);
+      } catch (error) {
+        if (error.code !== 'INVALID_OUTPUT') {
+          throw error;
+        }
+        console.warn(`${context.operation} response failed validation (attempt ${attempt + 1}): ${error.validationErrors.join('; ')}`);
+        prompt = this.buildRepairPrompt(basePrompt, error.content, error.validationErrors);
+      }
+    }
+
+    throw new Error(`${context.operation} response still invalid after ${this.maxRepairAttempts} repair attempts`);
   }
 
   /**
-   * Call AI with specified model and options
+   * Run a call against each model of the chain in order, skipping models whose circuit is open.
+   * The primary model is always tried first, so one failure does not change the model for later requests.
    */
-  async callAI(prompt, model, options = {}) {
+  async callWithFallback(operation, callback) {
+    const models = await this.providers.getModelChain();
+    const failures = [];
+
+    for (const target of models) {
+      const name = `${target.provider}/${target.model}`;
+      if (!this.health.acquire(target)) {
+        failures.push(`${name}: circuit open`);
+        continue;
+      }
+
+      try {
+        console.log(`Attempting ${operation} with model: ${name}`);
+        const result = await callback(target);
+        this.health.recordSuccess(target);
+        return result;
+      } catch (error) {
+        console.error(`Model ${name} failed:`, error.message);
+        this.health.recordFailure(target, error);
+        failures.push(`${name}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(`All AI models failed for ${operation} (${failures.join('; ')})`);
+    error.code = 'ALL_MODELS_FAILED';
+    throw error;
+  }
+
+  /**
+   * Whether AI providers are disabled, via settings, AI_OFFLINE=true for CI and air-gapped hosts,
+   * or because the monthly budget is spent
+   */
+  async isOffline() {
+    return (await this.getOfflineReason()) !== null;
+  }
+
+  async getOfflineReason() {
+    if (process.env.AI_OFFLINE === 'true') {
+      return 'environment';
+    }
+
+    const settings = await this.providers.getSettings();
+    if (settings.aiMode === 'offline') {
+      return 'settings';
+    }
+
+    if (await this.usage.isOverBudget(settings)) {
+      return 'budget_exceeded';
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace personal data in interactions with placeholders according to the piiRedaction settings
+   */
+  async createRedaction(interactions) {
+    const settings = await this.providers.getSettings();
+    return this.scrubber.createRedaction(interactions, settings.piiRedaction);
+  }
+
+  /**
+   * Stored prompt templates, so a whole package can be generated from one snapshot
+   */
+  async getPromptTemplates() {
+    const settings = await this.providers.getSettings();
+    return settings[PromptTemplateService.SETTINGS_KEY];
+  }
+
+  /**
+   * Render the active version of a prompt template.
+   * context.promptTemplates pins the templates used for a whole package.
+   */
+  async buildPrompt(name, input, context = {}) {
+    const templates = context.promptTemplates !== undefined ? context.promptTemplates : await this.getPromptTemplates();
+    const { version, template } = this.promptTemplates.getVersion(templates, name);
+
+    return {
+      prompt: this.promptTemplates.render(name, template, input),
+      templateVersion: `${name}@v${version}`
+    };
+  }
+
+  /**
+   * Build a prompt asking the model to fix a reply that failed schema validation
+   */
+  buildRepairPrompt(originalPrompt, invalidResponse, validationErrors) {
+    return `${originalPrompt}
+
+**Your previous reply was invalid:**
+${invalidResponse}
+
+**Validation errors:**
+${validationErrors.map(error => `- ${error}`).join('\n')}
+
+Return only the corrected JSON object.`;
+  }
+
+  /**
+   * Call AI with specified provider/model pair and options, recording usage against context.recordingId.
+   * Responses are served from the persistent cache when the same request was made before.
+   * Values redacted in context.redaction are replaced wherever they still appear in the prompt.
+   */
+  async callAI(rawPrompt, target, options = {}, context = {}) {
+    const prompt = this.scrubber.scrubText(rawPrompt, context.redaction);
     const defaultOptions = {
       max_tokens: 2500,
       temperature: 0.3,
       top_p: 0.9
     };
+    const requestOptions = { ...defaultOptions, ...options };
 
-    const response = await this.openai.chat.completions.create({
-      model,
-      messages: [
+    // Check cache first for cost optimization
+    const cacheKey = this.generateCacheKey(prompt, target, requestOptions, context.templateVersion);
+    const cached = await this.cache.get(cacheKey, context.recordingId);
+    if (cached !== null) {
+      console.log(`Returning cached AI response for ${context.operation || 'completion'}`);
+      return cached;
+    }
+
+    const startTime = Date.now();
+    const usageEntry = {
+      recordingId: context.recordingId,
+      operation: context.operation || 'completion',
+      provider: target.provider,
+      model: target.model
+    };
+
+    let response;
+    try {
+      response = await this.providers.complete(target, [
         {
           role: 'system',
           content: 'You are an expert browser automation engineer specializing in Playwright and web scraping. Provide clean, production-ready code with comprehensive error handling.'
@@ -201,78 +447,78 @@ Provide the documentation in Markdown format.`;
           role: 'user',
           content: prompt
         }
-      ],
-      ...defaultOptions,
-      ...options
-    });
+      ], requestOptions);
+    } catch (error) {
+      await this.usage.record({ ...usageEntry, latency: Date.now() - startTime, success: false, error: error.message });
+      throw error;
+    }
+
+    await this.usage.record({ ...usageEntry, usage: response.usage, latency: Date.now() - startTime });
+
+    // Rejected replies are not cached so a retry gets a fresh answer
+    if (context.validate) {
+      context.validate(response.content);
+    }
+    await this.cache.set(cacheKey, response.content, usageEntry);
 
-    return response.choices[0].message.content;
+    return response.content;
   }
 
   /**
-   * Generate cache key for request caching
+   * Generate a content hash of the prompt, model and request options for caching
    */
-  generateCacheKey(interactions) {
-    const simplified = interactions.map(i => ({
-      action: i.action,
-      selector: i.selector,
-      url: i.url
-    }));
-    return Buffer.from(JSON.stringify(simplified)).toString('base64').slice(0, 32);
+  generateCacheKey(prompt, target, options, templateVersion = null) {
+    return this.cache.generateKey({
+      // Generated scripts carry a creation timestamp that would otherwise make every prompt unique
+      prompt: prompt.replace(/^ \* Created: .*$/gm, ''),
+      provider: target.provider,
+      model: target.model,
+      templateVersion,
+      options
+    });
   }
 
   /**
-   * Cache AI response for cost optimization
+   * Parse an analysis reply and validate it against the analysis schema.
+   * Throws an INVALID_OUTPUT error carrying the reply and validation errors.
    */
-  cacheResponse(key, response) {
-    if (this.requestCache.size >= this.maxCacheSize) {
-      // Remove oldest entry
-      const firstKey = this.requestCache.keys().next().value;
-      this.requestCache.delete(firstKey);
-    }
-    
-    this.requestCache.set(key, response);
+  parseAnalysisResponse(response) {
+    return this.parseJSONResponse(response, validateAnalysis, 'analysis');
   }
 
   /**
-   * Parse analysis response from AI
+   * Parse a JSON reply and check it with a validator returning a list of errors
    */
-  parseAnalysisResponse(response) {
-    try {
-      // First try direct JSON parsing
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse AI analysis response:', error);
-      
-      // Try to extract JSON from markdown code blocks
-      const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[1]);
-        } catch (e) {
-          console.error('Failed to parse extracted JSON:', e);
-        }
-      }
-      
-      // Try to find JSON-like content without code blocks
-      const jsonLikeMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonLikeMatch) {
-        try {
-          return JSON.parse(jsonLikeMatch[0]);
-        } catch (e) {
-          console.error('Failed to parse JSON-like content:', e);
-        }
+  parseJSONResponse(response, validator, label) {
+    // JSON modes return bare JSON, others may wrap it in a code block or prose
+    const text = response || '';
+    const candidates = [
+      text,
+      text.match(/```(?:json)?\s*([\s\S]*?)\s*```/)?.[1],
+      text.match(/\{[\s\S]*\}/)?.[0]
+    ].filter(Boolean);
+
+    let parsed;
+    let validationErrors = ['Response is not valid JSON'];
+    for (const candidate of candidates) {
+      try {
+        parsed = JSON.parse(candidate);
+      } catch (error) {
+        continue;
       }
-      
-      // Return a fallback response
-      return {
-        workflow: 'Browser automation workflow',
-        complexity: 'medium',
-        patterns: ['navigation', 'interaction'],
-        recommendations: ['Add error handling', 'Use explicit waits'],
-        security: { level: 'low', concerns: [] }
-      };
+      validationErrors = validator(parsed);
+      break;
     }
+
+    if (validationErrors.length > 0) {
+      const error = new Error(`Invalid ${label} response: ${validationErrors.join('; ')}`);
+      error.code = 'INVALID_OUTPUT';
+      error.content = response;
+      error.validationErrors = validationErrors;
+      throw error;
+    }
+
+    return parsed;
   }
 
   /**
@@ -316,11 +562,21 @@ The script includes basic error handling. Monitor execution and adjust as needed
   /**
    * Get current model statistics
    */
-  getStats() {
+  async getStats() {
+    const models = await this.providers.getModelChain();
+    // The model the next call goes to: the first one whose circuit lets calls through
+    const current = models.find(target => this.health.isAvailable(target)) || models[0];
+    const offlineReason = await this.getOfflineReason();
+
     return {
-      currentModel: this.models[this.currentModelIndex],
-      cacheSize: this.requestCache.size,
-      availableModels: this.models
+      mode: offlineReason ? 'offline' : 'ai',
+      offlineReason,
+      currentModel: current.model,
+      currentProvider: current.provider,
+      cache: await this.cache.getStats(),
+      availableModels: models.map(m => `${m.provider}/${m.model}`),
+      health: this.health.getStats(models),
+      usage: await this.usage.getStats(await this.providers.getSettings())
     };
   }
 }
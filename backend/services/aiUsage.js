@@ -0,0 +1,185 @@
+/**
+ * AI Usage Tracker
+ * Records token usage, latency and estimated cost of AI calls and enforces the monthly budget
+ */
+
+// Estimated USD per million tokens; models not listed (local, custom) are counted as free
+const MODEL_PRICING = {
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+  'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'deepseek-chat': { input: 0.27, output: 1.10 },
+  'deepseek-coder': { input: 0.27, output: 1.10 },
+  'llama-3.1-70b': { input: 0.59, output: 0.79 },
+  'mixtral-8x7b': { input: 0.24, output: 0.24 },
+  'qwen-turbo': { input: 0.05, output: 0.20 },
+  'qwen-plus': { input: 0.40, output: 1.20 },
+  'grok-beta': { input: 5.00, output: 15.00 }
+};
+
+class AIUsageTracker {
+  constructor(options = {}) {
+    // Other instances spend from the same budget, so the cached total is refreshed periodically
+    this.refreshInterval = options.refreshInterval || 60000;
+    this.monthSpend = null;
+    this.monthStart = null;
+    this.lastRefresh = 0;
+    this.budgetExceeded = false;
+  }
+
+  /**
+   * Find pricing for a model, matching dated variants such as gpt-4.1-mini-2025-04-14
+   */
+  findPricing(model) {
+    if (MODEL_PRICING[model]) {
+      return MODEL_PRICING[model];
+    }
+
+    const prefix = Object.keys(MODEL_PRICING)
+      .filter(name => model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? MODEL_PRICING[prefix] : null;
+  }
+
+  estimateCost(model, usage) {
+    const pricing = this.findPricing(model || '');
+    if (!pricing || !usage) {
+      return 0;
+    }
+
+    return ((usage.prompt_tokens || 0) * pricing.input + (usage.completion_tokens || 0) * pricing.output) / 1e6;
+  }
+
+  /**
+   * Store one AI call; failures to record are logged and never break the caller
+   */
+  async record({ recordingId, operation, provider, model, usage, latency, success = true, error = null }) {
+    const cost = this.estimateCost(model, usage);
+
+    if (this.monthSpend !== null) {
+      this.monthSpend += cost;
+    }
+
+    if (!global.db || !global.db.isHealthy()) {
+      return;
+    }
+
+    try {
+      await global.db.recordAIUsage({
+        recording_id: recordingId,
+        operation,
+        provider,
+        model,
+        prompt_tokens: usage?.prompt_tokens,
+        completion_tokens: usage?.completion_tokens,
+        total_tokens: usage?.total_tokens,
+        latency_ms: latency,
+        cost_usd: cost,
+        success,
+        error_message: error
+      });
+    } catch (recordError) {
+      console.error('Failed to record AI usage:', recordError);
+    }
+  }
+
+  getMonthStart() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  /**
+   * Spend so far this month
+   */
+  async getMonthSpend() {
+    const monthStart = this.getMonthStart();
+    const stale = Date.now() - this.lastRefresh >= this.refreshInterval;
+    const newMonth = !this.monthStart || this.monthStart.getTime() !== monthStart.getTime();
+
+    if ((stale || newMonth || this.monthSpend === null) && global.db && global.db.isHealthy()) {
+      try {
+        this.monthSpend = await global.db.getAICostSince(monthStart);
+        this.monthStart = monthStart;
+        this.lastRefresh = Date.now();
+      } catch (error) {
+        console.error('Failed to load AI spend:', error);
+      }
+    }
+
+    return this.monthSpend || 0;
+  }
+
+  /**
+   * Whether the monthly budget from settings is used up; a budget of 0 means unlimited
+   */
+  async isOverBudget(settings) {
+    const budget = parseFloat(settings.monthlyBudget) || 0;
+    if (budget <= 0) {
+      this.budgetExceeded = false;
+      return false;
+    }
+
+    const exceeded = await this.getMonthSpend() >= budget;
+    if (exceeded !== this.budgetExceeded) {
+      this.budgetExceeded = exceeded;
+      console.log(exceeded
+        ? `AI monthly budget of $${budget} exceeded, switching to the offline generator`
+        : 'AI monthly budget available again, AI providers re-enabled');
+    }
+
+    return exceeded;
+  }
+
+  /**
+   * Daily and monthly totals plus budget status
+   */
+  async getStats(settings) {
+    const budget = parseFloat(settings.monthlyBudget) || 0;
+
+    if (!global.db || !global.db.isHealthy()) {
+      return { available: false, budget: { monthly: budget } };
+    }
+
+    const now = new Date();
+    const thirtyDaysAgo = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - 29));
+    const yearAgo = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1));
+
+    const [daily, monthly] = await Promise.all([
+      global.db.getAIUsageTotals('day', thirtyDaysAgo),
+      global.db.getAIUsageTotals('month', yearAgo)
+    ]);
+
+    const empty = { calls: 0, failures: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+    // Rows are newest first, so the current day and month are the first rows when they have any usage
+    const month = monthly[0] && new Date(monthly[0].period).getTime() === this.getMonthStart().getTime()
+      ? monthly[0]
+      : empty;
+    const today = daily[0] && new Date(daily[0].period).toISOString().slice(0, 10) === now.toISOString().slice(0, 10)
+      ? daily[0]
+      : empty;
+    const spent = month.cost_usd;
+
+    return {
+      available: true,
+      today,
+      month,
+      daily,
+      monthly,
+      budget: {
+        monthly: budget,
+        spent,
+        remaining: budget > 0 ? Math.max(budget - spent, 0) : null,
+        exceeded: budget > 0 && spent >= budget
+      }
+    };
+  }
+}
+
+module.exports = AIUsageTracker;
+module.exports.MODEL_PRICING = MODEL_PRICING;
@@ -0,0 +1,142 @@
+/**
+ * Analysis Schema
+ * Declared JSON schema for interaction analysis and a validator for the subset of JSON Schema it uses
+ */
+
+// JSON Schema type names mapped to a check for a value of that type
+const TYPE_CHECKS = {
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  null: value => value === null
+};
+
+const STRING_LIST = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+// Every property is required and no others are allowed, as strict structured-output modes demand
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    workflow: { type: 'string', minLength: 1 },
+    issues: STRING_LIST,
+    optimizations: STRING_LIST,
+    security: STRING_LIST,
+    complexity: { type: 'string', enum: ['low', 'medium', 'high'] }
+  },
+  required: ['workflow', 'issues', 'optimizations', 'security', 'complexity'],
+  additionalProperties: false
+};
+
+/**
+ * Drop keywords strict provider modes reject; the local validator still enforces them
+ */
+function toProviderSchema(schema) {
+  const rest = { ...schema };
+  delete rest.minLength;
+  delete rest.minItems;
+  if (rest.items) rest.items = toProviderSchema(rest.items);
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(
+      Object.entries(rest.properties).map(([key, value]) => [key, toProviderSchema(value)])
+    );
+  }
+  return rest;
+}
+
+// OpenAI-style response_format; provider adapters translate it to their native JSON modes
+const ANALYSIS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'interaction_analysis',
+    schema: toProviderSchema(ANALYSIS_SCHEMA),
+    strict: true
+  }
+};
+
+/**
+ * Validate a value against a schema, returns a list of error messages (empty when valid)
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  // A list of types, e.g. ['string', 'null'], validates against whichever type the value has
+  if (Array.isArray(schema.type)) {
+    const type = schema.type.find(candidate => TYPE_CHECKS[candidate](value));
+    if (!type) {
+      return [`${path} must be ${schema.type.join(' or ')}`];
+    }
+    return validate(value, { ...schema, type }, path);
+  }
+
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      });
+      Object.keys(value).forEach(key => {
+        if (schema.properties[key]) {
+          errors.push(...validate(value[key], schema.properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return [`${path} must be a string`];
+      }
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+      }
+      break;
+
+    case 'number':
+    case 'null':
+      if (!TYPE_CHECKS[schema.type](value)) {
+        return [`${path} must be ${schema.type === 'null' ? 'null' : 'a number'}`];
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+function validateAnalysis(value) {
+  return validate(value, ANALYSIS_SCHEMA);
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  ANALYSIS_RESPONSE_FORMAT,
+  toProviderSchema,
+  validate,
+  validateAnalysis
+};
@@ -2,8 +2,14 @@
  * API Export Service
  * Generates REST API endpoints and OpenAPI documentation for automation scripts
  */
+const SampleDataGenerator = require('./sampleDataGenerator');
+
+// Sample payloads listed as request examples in the OpenAPI spec, next to the recorded values
+const SPEC_SAMPLE_COUNT = 3;
+
 class APIExportService {
   constructor() {
+    this.sampleData = new SampleDataGenerator();
     this.apiTemplates = {
       express: this.generateExpressAPI.bind(this),
       fastapi: this.generateFastAPI.bind(this),
@@ -95,14 +101,15 @@ class APIExportService {
           
         case 'type':
           if (interaction.text && interaction.text !== '[PASSWORD]') {
-            const fieldName = this.extractFieldName(interaction.selector);
+            const label = interaction.field?.label || interaction.field?.ariaLabel || interaction.field?.placeholder;
             parameters.push({
-              name: fieldName,
+              name: this.getParameterName(interaction),
               type: this.inferParameterType(interaction.text),
-              description: `Input field: ${interaction.selector}`,
+              description: label ? `Input field: ${label}` : `Input field: ${interaction.selector}`,
               example: interaction.text,
               required: true,
-              sensitive: interaction.inputType === 'password'
+              sensitive: interaction.inputType === 'password',
+              ...this.extractConstraints(interaction)
             });
           }
           break;
@@ -122,7 +129,7 @@ class APIExportService {
     parameters.push({
       name: 'timeout',
       type: 'integer',
-      description: 'Maximum timeout in milliseconds',
+      description: 'Maximum timeout in milliseconds per step, capped by the server (60000 by default)',
       example: 30000,
       required: false,
       default: 30000
@@ -412,18 +419,12 @@ if __name__ == '__main__':
                   schema: {
                     type: 'object',
                     properties: metadata.parameters.reduce((props, param) => {
-                      props[param.name] = {
-                        type: param.type,
-                        description: param.description,
-                        example: param.example
-                      };
-                      if (param.default !== undefined) {
-                        props[param.name].default = param.default;
-                      }
+                      props[param.name] = this.toSchemaProperty(param);
                       return props;
                     }, {}),
                     required: metadata.parameters.filter(p => p.required).map(p => p.name)
-                  }
+                  },
+                  examples: this.generateRequestExamples(metadata.parameters)
                 }
               }
             },
@@ -623,6 +624,75 @@ spec:
     return name.toLowerCase().replace(/[^a-z0-9]/g, '_');
   }
 
+  /**
+   * Parameter name of a typed field: the name stored when the recording was processed,
+   * or the legacy name from the selector for recordings processed before names were stored
+   */
+  getParameterName(interaction) {
+    return interaction.parameterName || this.extractFieldName(interaction.selector || '');
+  }
+
+  /**
+   * Constraints the recorder captured for a typed field: format from the input type,
+   * enum from a select's options, and min, max and maxlength attributes
+   */
+  extractConstraints(interaction) {
+    const field = interaction.field || {};
+    const constraints = {};
+
+    const format = { email: 'email', date: 'date', url: 'uri', 'datetime-local': 'date-time' }[interaction.inputType || field.type];
+    if (format) constraints.format = format;
+    // Option values are strings even when they look like numbers
+    if (Array.isArray(field.options) && field.options.length > 0) {
+      constraints.type = 'string';
+      constraints.enum = field.options;
+    }
+
+    const minimum = parseFloat(field.min);
+    const maximum = parseFloat(field.max);
+    const maxLength = parseInt(field.maxLength);
+    if (Number.isFinite(minimum)) constraints.minimum = minimum;
+    if (Number.isFinite(maximum)) constraints.maximum = maximum;
+    if (maxLength > 0) constraints.maxLength = maxLength;
+
+    return constraints;
+  }
+
+  /**
+   * OpenAPI schema of one parameter; 'email' is inferred as a type but is a string format in OpenAPI
+   */
+  toSchemaProperty(param) {
+    const property = {
+      type: param.type === 'email' ? 'string' : param.type,
+      description: param.description,
+      example: param.example
+    };
+    const format = param.format || (param.type === 'email' ? 'email' : null);
+    if (format) property.format = format;
+    ['enum', 'minimum', 'maximum', 'maxLength', 'default'].forEach(key => {
+      if (param[key] !== undefined) property[key] = param[key];
+    });
+    return property;
+  }
+
+  /**
+   * Named request examples: the values from the recording, then generated sample payloads
+   */
+  generateRequestExamples(parameters) {
+    const examples = {
+      recorded: {
+        summary: 'Recorded values',
+        value: Object.fromEntries(parameters.map(p => [p.name, p.default ?? p.example]))
+      }
+    };
+
+    this.sampleData.generate(parameters, { count: SPEC_SAMPLE_COUNT }).forEach((payload, index) => {
+      examples[`sample${index + 1}`] = { summary: `Sample data ${index + 1}`, value: payload };
+    });
+
+    return examples;
+  }
+
   extractFieldName(selector) {
     if (selector.includes('name=')) {
       return selector.match(/name="([^"]+)"/)?.[1] || 'field';
@@ -2,275 +2,182 @@
  * API Registry Service
  * Manages the lifecycle of generated APIs, stores them for retrieval, and provides testing capabilities
  */
-const fs = require('fs').promises;
-const path = require('path');
+const ExecutionEngine = require('./executionEngine');
+const APIExportService = require('./apiExportService');
 
 class APIRegistry {
   constructor() {
-    this.registryPath = path.join(__dirname, '../data/api-registry.json');
-    this.apisPath = path.join(__dirname, '../data/apis');
-    this.registry = new Map();
-    this.initializeRegistry();
-  }
-
-  async initializeRegistry() {
-    try {
-      // Ensure data directories exist
-      await fs.mkdir(path.dirname(this.registryPath), { recursive: true });
-      await fs.mkdir(this.apisPath, { recursive: true });
-
-      // Load existing registry
-      try {
-        const registryData = await fs.readFile(this.registryPath, 'utf8');
-        const registryArray = JSON.parse(registryData);
-        this.registry = new Map(registryArray.map(api => [api.id, api]));
-        console.log(`Loaded ${this.registry.size} APIs from registry`);
-      } catch (error) {
-        console.log('No existing registry found, starting fresh');
-        await this.saveRegistry();
-      }
-    } catch (error) {
-      console.error('Failed to initialize API registry:', error);
-    }
-  }
-
-  async saveRegistry() {
-    try {
-      const registryArray = Array.from(this.registry.values());
-      await fs.writeFile(this.registryPath, JSON.stringify(registryArray, null, 2));
-    } catch (error) {
-      console.error('Failed to save registry:', error);
-    }
+    this.executionEngine = new ExecutionEngine();
+    this.exportService = new APIExportService();
   }
 
   /**
-   * Register a new API from a recording
+   * The database that holds the APIs registered by the recording processor
    */
-  async registerAPI(recording, automationPackage, apiPackage) {
-    const apiId = `api_${recording.id}`;
-    const timestamp = new Date().toISOString();
-    
-    const apiEntry = {
-      id: apiId,
-      recordingId: recording.id,
-      name: apiPackage.metadata.name,
-      title: recording.metadata?.title || `Automation API ${recording.id.slice(0, 8)}`,
-      description: apiPackage.metadata.description,
-      version: apiPackage.metadata.version,
-      status: 'active',
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      metadata: {
-        ...apiPackage.metadata,
-        originalUrl: recording.metadata?.url,
-        interactionCount: recording.interactions?.length || 0,
-        complexity: automationPackage.analysis?.complexity || 'medium'
-      },
-      endpoints: this.generateEndpoints(apiId, apiPackage.metadata),
-      openApiSpec: apiPackage.apis.openapi,
-      implementations: {
-        express: apiPackage.apis.express,
-        fastapi: apiPackage.apis.fastapi,
-        flask: apiPackage.apis.flask
-      },
-      deployment: apiPackage.deployment,
-      examples: apiPackage.examples,
-      documentation: apiPackage.documentation,
-      stats: {
-        calls: 0,
-        lastCalled: null,
-        errors: 0,
-        avgResponseTime: 0
-      }
-    };
-
-    // Save API files
-    await this.saveAPIFiles(apiId, apiEntry);
-    
-    // Register in memory and persist
-    this.registry.set(apiId, apiEntry);
-    await this.saveRegistry();
-
-    console.log(`Registered new API: ${apiId} - ${apiEntry.name}`);
-    return apiEntry;
-  }
-
-  async saveAPIFiles(apiId, apiEntry) {
-    const apiDir = path.join(this.apisPath, apiId);
-    await fs.mkdir(apiDir, { recursive: true });
-
-    // Save OpenAPI spec
-    await fs.writeFile(
-      path.join(apiDir, 'openapi.json'),
-      JSON.stringify(apiEntry.openApiSpec, null, 2)
-    );
-
-    // Save implementations
-    await fs.writeFile(
-      path.join(apiDir, 'express.js'),
-      apiEntry.implementations.express
-    );
-
-    await fs.writeFile(
-      path.join(apiDir, 'fastapi.py'),
-      apiEntry.implementations.fastapi
-    );
-
-    await fs.writeFile(
-      path.join(apiDir, 'flask.py'),
-      apiEntry.implementations.flask
-    );
-
-    // Save documentation
-    await fs.writeFile(
-      path.join(apiDir, 'README.md'),
-      apiEntry.documentation
-    );
+  getDatabase() {
+    if (!global.db || !global.db.isHealthy()) {
+      const error = new Error('Database not available');
+      error.code = 'DB_UNAVAILABLE';
+      throw error;
+    }
+    return global.db;
   }
 
-  generateEndpoints(apiId, metadata) {
+  generateEndpoints(apiId) {
     const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
     
     return [
       {
-        path: `/api/live/${apiId}/execute`,
+        path: `/api/live/apis/${apiId}/execute`,
         method: 'POST',
         description: 'Execute the automation',
-        url: `${baseUrl}/api/live/${apiId}/execute`
+        url: `${baseUrl}/api/live/apis/${apiId}/execute`
       },
       {
-        path: `/api/live/${apiId}/status`,
+        path: `/api/live/apis/${apiId}/status`,
         method: 'GET',
         description: 'Get API status and statistics',
-        url: `${baseUrl}/api/live/${apiId}/status`
+        url: `${baseUrl}/api/live/apis/${apiId}/status`
       },
       {
-        path: `/api/live/${apiId}/docs`,
+        path: `/api/live/apis/${apiId}/docs`,
         method: 'GET',
         description: 'Get API documentation',
-        url: `${baseUrl}/api/live/${apiId}/docs`
+        url: `${baseUrl}/api/live/apis/${apiId}/docs`
       },
       {
-        path: `/api/live/${apiId}/openapi`,
+        path: `/api/live/apis/${apiId}/openapi`,
         method: 'GET',
         description: 'Get OpenAPI specification',
-        url: `${baseUrl}/api/live/${apiId}/openapi`
+        url: `${baseUrl}/api/live/apis/${apiId}/openapi`
       }
     ];
   }
 
   /**
-   * Get all registered APIs
+   * Shape an api_registry row for the live routes
    */
-  getAllAPIs() {
-    return Array.from(this.registry.values()).map(api => ({
-      id: api.id,
-      name: api.name,
-      title: api.title,
-      description: api.description,
-      version: api.version,
-      status: api.status,
-      createdAt: api.createdAt,
-      updatedAt: api.updatedAt,
-      metadata: api.metadata,
-      endpoints: api.endpoints,
-      stats: api.stats
-    }));
+  formatAPI(row) {
+    return {
+      id: row.id,
+      recordingId: row.recording_id,
+      name: row.name,
+      title: row.recording_title || row.name,
+      description: row.description,
+      version: row.version,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      endpoints: this.generateEndpoints(row.id),
+      openApiSpec: row.openapi_spec || {},
+      stats: {
+        calls: 0,
+        lastCalled: null,
+        errors: 0,
+        avgResponseTime: 0,
+        ...row.stats
+      }
+    };
   }
 
   /**
-   * Get specific API by ID
+   * Get all registered APIs
    */
-  getAPI(apiId) {
-    return this.registry.get(apiId);
+  async getAllAPIs() {
+    const rows = await this.getDatabase().getAllAPIs();
+    return rows.map(row => this.formatAPI(row));
   }
 
   /**
-   * Get API by recording ID
+   * Get specific API by ID, with the parameters and documentation derived from its recording
    */
-  getAPIByRecording(recordingId) {
-    return Array.from(this.registry.values()).find(api => api.recordingId === recordingId);
+  async getAPI(apiId) {
+    const row = await this.getDatabase().getAPI(apiId);
+    if (!row) {
+      return null;
+    }
+
+    const interactions = Array.isArray(row.interactions) ? row.interactions : [];
+    const parameters = this.exportService.extractAPIParameters(interactions);
+    const api = this.formatAPI(row);
+
+    return {
+      ...api,
+      metadata: {
+        parameters,
+        interactionCount: interactions.length
+      },
+      documentation: this.exportService.generateAPIDocumentation({
+        name: api.openApiSpec.info?.title || api.name,
+        description: api.description,
+        parameters,
+        security: this.exportService.analyzeSecurity(interactions)
+      })
+    };
   }
 
   /**
-   * Update API statistics
+   * Update API statistics; the counts are incremented in the database, not from the stats read with the API
    */
-  async updateAPIStats(apiId, stats) {
-    const api = this.registry.get(apiId);
-    if (api) {
-      api.stats = { ...api.stats, ...stats };
-      api.updatedAt = new Date().toISOString();
-      await this.saveRegistry();
-    }
+  async updateAPIStats(api, call) {
+    await this.getDatabase().updateAPIStats(api.id, call);
   }
 
   /**
    * Execute API call (proxy to actual automation)
    */
-  async executeAPI(apiId, parameters) {
-    const api = this.registry.get(apiId);
+  async executeAPI(apiId, parameters, options = {}) {
+    const api = await this.getAPI(apiId);
     if (!api) {
-      throw new Error(`API ${apiId} not found`);
+      const error = new Error(`API ${apiId} not found`);
+      error.code = 'NOT_FOUND';
+      throw error;
     }
 
     const startTime = Date.now();
     
     try {
       // Get the original recording to execute
-      const recording = global.recordings?.get(api.recordingId);
-      if (!recording || !recording.automationPackage) {
+      const recording = await this.getDatabase().getRecording(api.recordingId);
+      if (!recording || !Array.isArray(recording.interactions)) {
         throw new Error('Original recording not available for execution');
       }
 
-      // Execute the automation (simplified version)
-      const result = await this.executeAutomation(recording, parameters);
+      const result = await this.executeAutomation(recording, parameters, options);
       
       const responseTime = Date.now() - startTime;
       
       // Update statistics
-      await this.updateAPIStats(apiId, {
-        calls: api.stats.calls + 1,
-        lastCalled: new Date().toISOString(),
-        avgResponseTime: Math.round((api.stats.avgResponseTime * api.stats.calls + responseTime) / (api.stats.calls + 1))
+      await this.updateAPIStats(api, {
+        responseTime,
+        failed: !result.success && !result.cancelled
       });
 
       return {
-        success: true,
+        success: result.success,
         result,
         executionTime: responseTime,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      await this.updateAPIStats(apiId, {
-        errors: api.stats.errors + 1
-      });
+      await this.updateAPIStats(api, { failed: true });
 
       throw error;
     }
   }
 
-  async executeAutomation(recording, parameters) {
-    // This is a simplified execution - in a real implementation,
-    // you would run the actual browser automation
-    return {
-      message: 'Automation executed successfully',
-      parameters,
-      interactions: recording.interactions?.length || 0,
-      url: recording.metadata?.url,
-      timestamp: new Date().toISOString()
-    };
+  /**
+   * Replay the recording's interactions in a headless browser
+   */
+  async executeAutomation(recording, parameters = {}, options = {}) {
+    return this.executionEngine.execute(recording.interactions, parameters, { ...options, recordingId: recording.id });
   }
 
   /**
    * Generate Swagger UI HTML for an API
    */
-  generateSwaggerUI(apiId) {
-    const api = this.registry.get(apiId);
-    if (!api) {
-      throw new Error(`API ${apiId} not found`);
-    }
-
+  generateSwaggerUI(api) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -297,6 +204,21 @@ class APIRegistry {
             margin: 0.5rem 0 0 0;
             opacity: 0.8;
         }
+        .custom-header .sample-data {
+            margin-top: 0.75rem;
+            display: inline-flex;
+            gap: 0.5rem;
+            align-items: center;
+        }
+        .custom-header button {
+            background: #4f46e5;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            padding: 0.4rem 0.9rem;
+            cursor: pointer;
+        }
+        .custom-header button:disabled { opacity: 0.6; cursor: default; }
     </style>
 </head>
 <body>
@@ -304,6 +226,11 @@ class APIRegistry {
         <h1>${api.name}</h1>
         <p>${api.description}</p>
         <p>Generated from browser automation • Version ${api.version}</p>
+        <div class="sample-data">
+            <button id="fill-sample" type="button">Fill with sample data</button>
+            <label><input id="sample-ai" type="checkbox"> Use AI</label>
+            <span id="sample-status"></span>
+        </div>
     </div>
     <div id="swagger-ui"></div>
     <script src="https://unpkg.com/swagger-ui-dist@4.15.5/swagger-ui-bundle.js"></script>
@@ -311,7 +238,7 @@ class APIRegistry {
     <script>
         window.onload = function() {
             const ui = SwaggerUIBundle({
-                url: '/api/live/${apiId}/openapi',
+                url: '/api/live/apis/${api.id}/openapi',
                 dom_id: '#swagger-ui',
                 deepLinking: true,
                 presets: [
@@ -328,6 +255,32 @@ class APIRegistry {
                     return request;
                 }
             });
+
+            // Put a generated payload into the request body of the execute operation
+            const button = document.getElementById('fill-sample');
+            const status = document.getElementById('sample-status');
+            button.addEventListener('click', async function() {
+                button.disabled = true;
+                status.textContent = 'Generating...';
+                try {
+                    const source = document.getElementById('sample-ai').checked ? 'ai' : 'offline';
+                    const response = await fetch('/api/live/apis/${api.id}/sample-data?count=1&source=' + source);
+                    const result = await response.json();
+                    if (!result.success) throw new Error(result.error);
+
+                    const paths = ui.specSelectors.specJson().get('paths').toJS();
+                    const path = Object.keys(paths).find(function(key) { return paths[key].post; });
+                    ui.oas3Actions.setRequestBodyValue({
+                        value: JSON.stringify(result.data.samples[0], null, 2),
+                        pathMethod: [path, 'post']
+                    });
+                    status.textContent = 'Filled the request body of POST ' + path + (result.data.source === 'ai' ? ' with AI data' : '');
+                } catch (error) {
+                    status.textContent = 'Could not generate sample data: ' + error.message;
+                } finally {
+                    button.disabled = false;
+                }
+            });
         };
     </script>
 </body>
@@ -338,31 +291,18 @@ class APIRegistry {
    * Delete an API
    */
   async deleteAPI(apiId) {
-    const api = this.registry.get(apiId);
-    if (api) {
-      // Remove from registry
-      this.registry.delete(apiId);
-      await this.saveRegistry();
-
-      // Remove API files
-      try {
-        const apiDir = path.join(this.apisPath, apiId);
-        await fs.rmdir(apiDir, { recursive: true });
-      } catch (error) {
-        console.error(`Failed to remove API files for ${apiId}:`, error);
-      }
-
+    const deleted = await this.getDatabase().deleteAPI(apiId);
+    if (deleted) {
       console.log(`Deleted API: ${apiId}`);
-      return true;
     }
-    return false;
+    return Boolean(deleted);
   }
 
   /**
    * Get API statistics summary
    */
-  getRegistryStats() {
-    const apis = Array.from(this.registry.values());
+  async getRegistryStats() {
+    const apis = await this.getAllAPIs();
     
     return {
       totalAPIs: apis.length,
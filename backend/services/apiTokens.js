@@ -0,0 +1,55 @@
+/**
+ * API Tokens
+ * Personal tokens that let clients outside the app, such as the browser extension, submit recordings
+ */
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'rat_';
+
+/**
+ * A new random token; it is shown to the user once and only its hash is stored
+ */
+function generateToken() {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Express middleware: requests without an Authorization header pass through unchanged, so the app itself
+ * keeps working; a bearer token must be valid and unrevoked, and is then available as req.apiToken.
+ */
+async function authenticateApiToken(req, res, next) {
+  const header = req.get('authorization');
+  if (!header) return next();
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).json({ success: false, error: 'Authorization header must be "Bearer <token>"' });
+  }
+
+  try {
+    if (!global.db || !global.db.isHealthy()) {
+      return res.status(503).json({ success: false, error: 'Database not available' });
+    }
+
+    const token = await global.db.findActiveApiToken(hashToken(match[1]));
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API token' });
+    }
+
+    req.apiToken = { id: token.id, name: token.name };
+    next();
+  } catch (error) {
+    console.error('Error checking API token:', error);
+    res.status(500).json({ success: false, error: 'Failed to check API token' });
+  }
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  authenticateApiToken
+};
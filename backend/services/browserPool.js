@@ -0,0 +1,246 @@
+/**
+ * Browser Pool Service
+ * Shares headless browser processes between executions, isolating each one in a fresh context
+ */
+const { chromium } = require('playwright');
+
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY) || 3;
+    this.maxBrowsers = options.maxBrowsers || parseInt(process.env.BROWSER_POOL_MAX_BROWSERS) || 1;
+    this.maxQueueSize = options.maxQueueSize || parseInt(process.env.BROWSER_POOL_MAX_QUEUE) || 20;
+    this.queueTimeout = options.queueTimeout || parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT) || 30000;
+    this.maxUsesPerBrowser = options.maxUsesPerBrowser || 100;
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.launchOptions = {
+      headless: true,
+      args: ['--no-sandbox', '--disable-dev-shm-usage'],
+      ...options.launchOptions
+    };
+
+    this.browsers = [];
+    this.pendingLaunch = null;
+    this.queue = [];
+    this.active = 0;
+    this.stats = {
+      totalAcquired: 0,
+      totalTimeouts: 0,
+      totalRejected: 0,
+      totalWaitTime: 0,
+      browsersLaunched: 0
+    };
+  }
+
+  /**
+   * Run a callback with an isolated browser context, releasing it afterwards
+   */
+  async withContext(callback, contextOptions = {}, options = {}) {
+    const lease = await this.acquire(contextOptions, options);
+    try {
+      return await callback(lease.context);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Acquire a fresh browser context, waiting for a free slot if necessary.
+   * Pass an AbortSignal in options.signal to give up waiting.
+   */
+  async acquire(contextOptions = {}, options = {}) {
+    const queuedAt = Date.now();
+    await this.waitForSlot(options.signal);
+    this.stats.totalWaitTime += Date.now() - queuedAt;
+    this.stats.totalAcquired++;
+
+    let entry;
+    try {
+      entry = await this.getBrowserEntry();
+      entry.active++;
+      const context = await entry.browser.newContext(contextOptions);
+
+      let released = false;
+      return {
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await context.close().catch(error => {
+            console.error('Failed to close browser context:', error);
+          });
+          entry.active--;
+          entry.uses++;
+          this.active--;
+          await this.recycleEntry(entry);
+          this.dispatch();
+        }
+      };
+    } catch (error) {
+      if (entry) entry.active--;
+      this.active--;
+      this.dispatch();
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve a concurrency slot or queue until one frees up
+   */
+  waitForSlot(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(this.createAbortError());
+    }
+
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.totalRejected++;
+      const error = new Error('Browser pool queue is full, try again later');
+      error.code = 'POOL_QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timer);
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(this.createAbortError());
+      };
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject
+      };
+      waiter.timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        this.queue = this.queue.filter(w => w !== waiter);
+        this.stats.totalTimeouts++;
+        const error = new Error(`Timed out after ${this.queueTimeout}ms waiting for a free browser`);
+        error.code = 'POOL_QUEUE_TIMEOUT';
+        reject(error);
+      }, this.queueTimeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  createAbortError() {
+    const error = new Error('Waiting for a browser was cancelled');
+    error.code = 'ABORTED';
+    return error;
+  }
+
+  /**
+   * Hand a freed slot to the next queued caller
+   */
+  dispatch() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrency) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      this.active++;
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * Pick the least loaded browser, launching a new one while under the limit
+   */
+  async getBrowserEntry() {
+    this.browsers = this.browsers.filter(entry => entry.browser.isConnected());
+
+    const available = this.browsers
+      .filter(entry => entry.uses < this.maxUsesPerBrowser)
+      .sort((a, b) => a.active - b.active);
+
+    if (available.length > 0 && (available[0].active === 0 || this.browsers.length >= this.maxBrowsers)) {
+      clearTimeout(available[0].idleTimer);
+      return available[0];
+    }
+
+    // Concurrent callers share a single in-flight launch
+    if (!this.pendingLaunch) {
+      this.pendingLaunch = chromium.launch(this.launchOptions)
+        .then(browser => {
+          const entry = { browser, active: 0, uses: 0, idleTimer: null, launchedAt: new Date().toISOString() };
+          this.browsers.push(entry);
+          this.stats.browsersLaunched++;
+          return entry;
+        })
+        .finally(() => {
+          this.pendingLaunch = null;
+        });
+    }
+    return this.pendingLaunch;
+  }
+
+  /**
+   * Close browsers that are worn out, and schedule idle ones for shutdown
+   */
+  async recycleEntry(entry) {
+    if (entry.active > 0) return;
+
+    if (entry.uses >= this.maxUsesPerBrowser) {
+      await this.closeEntry(entry);
+      return;
+    }
+
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+      if (entry.active === 0) {
+        this.closeEntry(entry);
+      }
+    }, this.idleTimeout);
+    entry.idleTimer.unref();
+  }
+
+  async closeEntry(entry) {
+    clearTimeout(entry.idleTimer);
+    this.browsers = this.browsers.filter(e => e !== entry);
+    await entry.browser.close().catch(error => {
+      console.error('Failed to close pooled browser:', error);
+    });
+  }
+
+  /**
+   * Get pool statistics
+   */
+  getStats() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      maxBrowsers: this.maxBrowsers,
+      activeExecutions: this.active,
+      queued: this.queue.length,
+      browsers: this.browsers.map(entry => ({
+        activeContexts: entry.active,
+        uses: entry.uses,
+        launchedAt: entry.launchedAt
+      })),
+      totalAcquired: this.stats.totalAcquired,
+      totalTimeouts: this.stats.totalTimeouts,
+      totalRejected: this.stats.totalRejected,
+      browsersLaunched: this.stats.browsersLaunched,
+      avgWaitTime: this.stats.totalAcquired > 0
+        ? Math.round(this.stats.totalWaitTime / this.stats.totalAcquired)
+        : 0
+    };
+  }
+
+  /**
+   * Close all pooled browsers and reject queued callers
+   */
+  async close() {
+    this.queue.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    });
+    this.queue = [];
+    await Promise.all(this.browsers.map(entry => this.closeEntry(entry)));
+  }
+}
+
+module.exports = BrowserPool;
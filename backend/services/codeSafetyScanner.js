@@ -0,0 +1,346 @@
+/**
+ * Code Safety Scanner
+ * Statically inspects generated scripts for dangerous constructs before they are turned into executable APIs
+ */
+const acorn = require('acorn');
+
+// Modules that run commands or open raw network connections
+const PROCESS_MODULES = ['child_process', 'worker_threads', 'cluster', 'vm'];
+const NETWORK_MODULES = ['http', 'https', 'http2', 'net', 'tls', 'dgram', 'axios', 'node-fetch', 'got', 'request', 'undici'];
+const FS_MODULES = ['fs', 'fs/promises', 'fs-extra'];
+
+const FS_WRITE_METHODS = [
+  'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync', 'createWriteStream',
+  'mkdir', 'mkdirSync', 'rm', 'rmSync', 'rmdir', 'rmdirSync', 'unlink', 'unlinkSync',
+  'rename', 'renameSync', 'copyFile', 'copyFileSync', 'cp', 'cpSync', 'truncate', 'truncateSync',
+  'chmod', 'chmodSync', 'chown', 'chownSync', 'symlink', 'symlinkSync', 'outputFile', 'remove'
+];
+
+// Calls whose first argument is a URL the script will request
+const REQUEST_FUNCTIONS = ['fetch'];
+const REQUEST_METHODS = ['goto', 'get', 'post', 'put', 'patch', 'delete', 'head', 'request', 'fetch'];
+
+const TEMP_DIR_PATTERN = /^(\/tmp\/|\/var\/tmp\/|\.\/tmp\/|tmp\/)/;
+
+function moduleName(name) {
+  return name.replace(/^node:/, '');
+}
+
+/**
+ * Visit every node of an AST
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+
+  Object.keys(node).forEach(key => {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit);
+    }
+  });
+}
+
+/**
+ * The static string value of a literal or an expression-free template literal
+ */
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * The leading static text of a string, template or concatenation, e.g. the base of `${base}/path` is unknown
+ */
+function staticPrefix(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral') return node.quasis[0].value.cooked;
+  if (node.type === 'BinaryExpression' && node.operator === '+') return staticPrefix(node.left);
+  return null;
+}
+
+function calleeName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression') return node.computed ? staticString(node.property) : node.property.name;
+  return null;
+}
+
+/**
+ * The function a callee evaluates to: (0, eval) calls eval just like eval does
+ */
+function unwrapCallee(node) {
+  return node.type === 'SequenceExpression' ? unwrapCallee(node.expressions[node.expressions.length - 1]) : node;
+}
+
+/**
+ * Whether a call loads a module: require(), module.require(), process.mainModule.require() and the like
+ */
+function isRequireCall(node) {
+  if (node.type !== 'CallExpression') return false;
+  const callee = unwrapCallee(node.callee);
+  return calleeName(callee) === 'require' && (callee.type === 'Identifier' || callee.type === 'MemberExpression');
+}
+
+/**
+ * The module an expression loads statically, e.g. require('fs'), require('fs').promises or await import('fs')
+ */
+function loadedModule(node) {
+  if (!node) return null;
+  if (node.type === 'AwaitExpression') return loadedModule(node.argument);
+  if (node.type === 'MemberExpression') return loadedModule(node.object);
+  if (isRequireCall(node)) return staticString(node.arguments[0]) && moduleName(staticString(node.arguments[0]));
+  if (node.type === 'ImportExpression') return staticString(node.source) && moduleName(staticString(node.source));
+  return null;
+}
+
+/**
+ * Names the script binds to the functions of a module, e.g. const { writeFileSync } = require('fs')
+ * or const { promises: { writeFile } } = require('fs'). Maps each local name to { module, name }.
+ */
+function collectModuleBindings(program) {
+  const bindings = new Map();
+
+  const bindPattern = (pattern, module) => {
+    pattern.properties.forEach(property => {
+      if (property.type !== 'Property') return;
+      const name = calleeName({ type: 'MemberExpression', computed: property.computed, property: property.key });
+      const local = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+      if (local.type === 'ObjectPattern') {
+        bindPattern(local, module);
+      } else if (name && local.type === 'Identifier') {
+        bindings.set(local.name, { module, name });
+      }
+    });
+  };
+
+  walk(program, node => {
+    if (node.type !== 'VariableDeclarator' || !node.id || node.id.type !== 'ObjectPattern') return;
+    const module = loadedModule(node.init);
+    if (module) bindPattern(node.id, module);
+  });
+
+  return bindings;
+}
+
+/**
+ * Whether a path argument is provably inside a temporary directory
+ */
+function isTempPath(node) {
+  const prefix = staticPrefix(node);
+  if (prefix !== null && prefix !== '') {
+    return TEMP_DIR_PATTERN.test(prefix);
+  }
+
+  // os.tmpdir(), or path.join / path.resolve / a template starting from it
+  if (node.type === 'CallExpression') {
+    const name = calleeName(node.callee);
+    if (name === 'tmpdir' || name === 'mkdtemp' || name === 'mkdtempSync') return true;
+    if (name === 'join' || name === 'resolve') return node.arguments.length > 0 && isTempPath(node.arguments[0]);
+  }
+  if (node.type === 'TemplateLiteral' && node.quasis[0].value.cooked === '' && node.expressions.length > 0) {
+    return isTempPath(node.expressions[0]);
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return isTempPath(node.left);
+  }
+
+  return false;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+class CodeSafetyScanner {
+  /**
+   * Hosts the recording visited; requests to any other host are reported
+   */
+  getAllowedHosts(interactions = [], metadata = {}) {
+    const urls = [
+      metadata.url,
+      ...interactions.map(interaction => interaction.url)
+    ].filter(Boolean);
+
+    return new Set(urls.map(hostOf).filter(Boolean));
+  }
+
+  /**
+   * Scan one script. Returns a list of { severity, rule, message, line } findings.
+   */
+  scan(code, allowedHosts = new Set()) {
+    let program;
+    try {
+      program = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowHashBang: true, locations: true });
+    } catch (error) {
+      return [{
+        severity: 'medium',
+        rule: 'unparseable',
+        message: `Script could not be parsed for a safety scan: ${error.message}`,
+        line: null
+      }];
+    }
+
+    const findings = [];
+    const report = (severity, rule, message, node) => {
+      findings.push({ severity, rule, message, line: node.loc ? node.loc.start.line : null });
+    };
+    let usesFs = false;
+    // Write calls are only reported once the script is known to load a file system module
+    const fsWrites = [];
+    const moduleBindings = collectModuleBindings(program);
+
+    const checkModule = (name, node) => {
+      const module = moduleName(name);
+      if (PROCESS_MODULES.includes(module)) {
+        report('high', 'process', `Loads ${module}, which can run arbitrary commands or code`, node);
+      } else if (NETWORK_MODULES.includes(module)) {
+        report('medium', 'network', `Loads ${module} for network requests outside the browser`, node);
+      } else if (FS_MODULES.includes(module)) {
+        usesFs = true;
+      }
+    };
+
+    const checkUrl = (urlNode, node, via) => {
+      const url = staticString(urlNode) ?? staticPrefix(urlNode);
+      const host = url ? hostOf(url) : null;
+
+      if (host) {
+        if (!allowedHosts.has(host)) {
+          report('high', 'outbound_host', `${via} requests ${host}, a host the recording never visited`, node);
+        }
+      } else if (via !== 'page.goto' && urlNode) {
+        report('medium', 'dynamic_url', `${via} requests a URL that is only known at runtime`, node);
+      }
+    };
+
+    walk(program, node => {
+      if (node.type === 'CallExpression') {
+        const callee = unwrapCallee(node.callee);
+        const [firstArg] = node.arguments;
+
+        // require('child_process'), module.require('fs'), process.mainModule.require('child_process')
+        if (isRequireCall(node)) {
+          const name = staticString(firstArg);
+          if (name) checkModule(name, node);
+          else report('medium', 'dynamic_require', 'Loads a module whose name is only known at runtime', node);
+          return;
+        }
+
+        // eval('...') and Function('...'), also as (0, eval)('...') or globalThis.eval('...')
+        const evaluator = calleeName(callee);
+        if ((evaluator === 'eval' || evaluator === 'Function') && (callee.type === 'Identifier' || callee.type === 'MemberExpression')) {
+          report('high', 'eval', `Calls ${evaluator}, which runs code built at runtime`, node);
+          return;
+        }
+
+        // Functions taken from a module, e.g. const { execSync } = require('child_process'); execSync('id')
+        const bound = callee.type === 'Identifier' && moduleBindings.get(callee.name);
+        if (bound && PROCESS_MODULES.includes(bound.module)) {
+          report('high', 'process', `Calls ${bound.name} from ${bound.module}, which can run arbitrary commands or code`, node);
+          return;
+        }
+        if (bound && FS_MODULES.includes(bound.module) && FS_WRITE_METHODS.includes(bound.name)) {
+          if (!firstArg || !isTempPath(firstArg)) {
+            fsWrites.push({ name: bound.name, node });
+          }
+          return;
+        }
+
+        // setTimeout('code', ...) evaluates its string argument
+        if (callee.type === 'Identifier' && ['setTimeout', 'setInterval'].includes(callee.name) && staticPrefix(firstArg) !== null) {
+          report('high', 'eval', `Passes a string to ${callee.name}, which runs it as code`, node);
+          return;
+        }
+
+        const name = calleeName(callee);
+
+        if (name && FS_WRITE_METHODS.includes(name) && callee.type === 'MemberExpression') {
+          if (!firstArg || !isTempPath(firstArg)) {
+            fsWrites.push({ name, node });
+          }
+          return;
+        }
+
+        if (callee.type === 'Identifier' && REQUEST_FUNCTIONS.includes(name)) {
+          checkUrl(firstArg, node, name);
+          return;
+        }
+
+        if (callee.type === 'MemberExpression' && REQUEST_METHODS.includes(name)) {
+          const receiver = calleeName(callee.object) || '';
+          // page.goto, page.request.get, axios.post, http.get; skip unrelated methods like map.get
+          const receiverMatches = receiver === 'page' || receiver === 'request' ||
+            NETWORK_MODULES.includes(receiver) || receiver === 'context';
+          const url = staticString(firstArg) ?? staticPrefix(firstArg);
+          if (receiverMatches || (url && /^https?:\/\//i.test(url))) {
+            checkUrl(firstArg, node, `${receiver || 'object'}.${name}`);
+          }
+        }
+      }
+
+      // new Function('...'), new globalThis.Function('...')
+      if (node.type === 'NewExpression' && calleeName(unwrapCallee(node.callee)) === 'Function') {
+        report('high', 'eval', 'Creates a Function from a string, which runs code built at runtime', node);
+      }
+
+      // import('child_process')
+      if (node.type === 'ImportExpression') {
+        const name = staticString(node.source);
+        if (name) checkModule(name, node);
+        else report('medium', 'dynamic_require', 'Imports a module whose name is only known at runtime', node);
+      }
+    });
+
+    if (usesFs) {
+      fsWrites.forEach(({ name, node }) => {
+        report('high', 'fs_write', `Calls ${name} on a path outside a temporary directory`, node);
+      });
+    }
+
+    return findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+  }
+
+  /**
+   * Scan the Playwright scripts of an automation package.
+   * Returns { findings, highSeverity } where each finding names the script it was found in.
+   */
+  scanPackage(scripts, interactions = [], metadata = {}) {
+    const allowedHosts = this.getAllowedHosts(interactions, metadata);
+    const targets = { basic: scripts.playwright.basic, enhanced: scripts.playwright.enhanced };
+
+    // The enhanced script falls back to the basic one; scan the same code only once
+    if (targets.enhanced === targets.basic) {
+      delete targets.enhanced;
+    }
+
+    const findings = Object.entries(targets)
+      .filter(([, code]) => typeof code === 'string' && code.trim())
+      .flatMap(([script, code]) => this.scan(code, allowedHosts).map(finding => ({ script, ...finding })));
+
+    return {
+      findings,
+      highSeverity: findings.filter(finding => finding.severity === 'high').length,
+      allowedHosts: [...allowedHosts]
+    };
+  }
+
+  /**
+   * Human-readable lines for analysis.security
+   */
+  describe(findings) {
+    return findings.map(finding =>
+      `[${finding.severity.toUpperCase()}] ${finding.script} script${finding.line ? ` line ${finding.line}` : ''}: ${finding.message}`
+    );
+  }
+}
+
+module.exports = CodeSafetyScanner;
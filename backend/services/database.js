@@ -4,6 +4,113 @@
  */
 const { Pool } = require('pg');
 
+// Tables owned by the backend services, created on startup if missing
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS execution_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    api_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    parameters JSONB DEFAULT '{}',
+    result JSONB,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    owner TEXT,
+    heartbeat_at TIMESTAMPTZ
+  )`,
+  'ALTER TABLE execution_jobs ADD COLUMN IF NOT EXISTS owner TEXT',
+  'ALTER TABLE execution_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ',
+  'CREATE INDEX IF NOT EXISTS execution_jobs_expires_at_idx ON execution_jobs (expires_at)',
+  `CREATE TABLE IF NOT EXISTS processing_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    recording_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS processing_jobs_active_recording_idx
+    ON processing_jobs (recording_id) WHERE status IN ('queued', 'running')`,
+  'CREATE INDEX IF NOT EXISTS processing_jobs_run_at_idx ON processing_jobs (status, run_at)',
+  `CREATE TABLE IF NOT EXISTS ai_usage (
+    id SERIAL PRIMARY KEY,
+    recording_id TEXT,
+    operation TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    success BOOLEAN NOT NULL DEFAULT TRUE,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS ai_usage_created_at_idx ON ai_usage (created_at)',
+  'CREATE INDEX IF NOT EXISTS ai_usage_recording_id_idx ON ai_usage (recording_id)',
+  `CREATE TABLE IF NOT EXISTS ai_cache (
+    cache_key TEXT PRIMARY KEY,
+    operation TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    response TEXT NOT NULL,
+    recording_ids TEXT[] NOT NULL DEFAULT '{}',
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_hit_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS ai_cache_expires_at_idx ON ai_cache (expires_at)',
+  'CREATE INDEX IF NOT EXISTS ai_cache_recording_ids_idx ON ai_cache USING GIN (recording_ids)',
+  `CREATE TABLE IF NOT EXISTS selector_proposals (
+    id SERIAL PRIMARY KEY,
+    recording_id TEXT NOT NULL,
+    step_index INTEGER NOT NULL,
+    original_selector TEXT NOT NULL,
+    proposed_selector TEXT NOT NULL,
+    method TEXT NOT NULL,
+    confidence NUMERIC(4, 3),
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS selector_proposals_step_idx
+    ON selector_proposals (recording_id, step_index, original_selector, proposed_selector)`,
+  `CREATE TABLE IF NOT EXISTS recording_tokens (
+    token TEXT PRIMARY KEY,
+    title TEXT,
+    interactions JSONB NOT NULL DEFAULT '[]',
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ,
+    recording_id TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS recording_tokens_expires_at_idx ON recording_tokens (expires_at)',
+  `CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  )`
+];
+
 class DatabaseService {
   constructor() {
     this.pool = null;
@@ -29,6 +136,8 @@ class DatabaseService {
       const client = await this.pool.connect();
       await client.query('SELECT NOW()');
       client.release();
+
+      await this.ensureSchema();
       
       this.isConnected = true;
       console.log('✅ Database connected successfully');
@@ -41,6 +150,15 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Create service tables that do not exist yet
+   */
+  async ensureSchema() {
+    for (const statement of SCHEMA) {
+      await this.pool.query(statement);
+    }
+  }
+
   /**
    * Get database connection status
    */
@@ -154,6 +272,32 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * Mark an AI-planned recording as reviewed; null when it is not a processed recording waiting for a review
+   */
+  async approveRecordingReview(id) {
+    const query = `
+      UPDATE recordings
+      SET metadata = metadata || jsonb_build_object('needsReview', false, 'reviewedAt', NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = 'completed' AND metadata->>'needsReview' = 'true'
+      RETURNING *
+    `;
+    const result = await this.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a recording back up for review, e.g. when registering its API after the approval failed
+   */
+  async reopenRecordingReview(id) {
+    const query = `
+      UPDATE recordings
+      SET metadata = (metadata - 'reviewedAt') || '{"needsReview": true}'::jsonb, updated_at = NOW()
+      WHERE id = $1
+    `;
+    await this.query(query, [id]);
+  }
+
   /**
    * API Registry operations
    */
@@ -189,31 +333,48 @@ class DatabaseService {
     return result.rows;
   }
 
+  // Ids come from request paths, so they are compared as text and malformed ones simply match nothing
   async getAPI(id) {
     const query = `
       SELECT ar.*, r.title as recording_title, r.interactions
       FROM api_registry ar
       LEFT JOIN recordings r ON ar.recording_id = r.id
-      WHERE ar.id = $1
+      WHERE ar.id::text = $1
     `;
     const result = await this.query(query, [id]);
     return result.rows[0];
   }
 
-  async updateAPIStats(id, stats) {
+  /**
+   * Count a call in an API's stats in one statement, so concurrent calls do not overwrite each other's counts.
+   * Without a responseTime only the error count grows, for calls that threw before they finished.
+   */
+  async updateAPIStats(id, { responseTime = null, failed = false } = {}) {
     const query = `
-      UPDATE api_registry 
-      SET stats = $1, updated_at = NOW()
-      WHERE id = $2
+      UPDATE api_registry
+      SET stats = COALESCE(stats, '{}'::jsonb) || CASE
+        WHEN $2::numeric IS NULL THEN jsonb_build_object('errors', COALESCE((stats->>'errors')::int, 0) + 1)
+        ELSE jsonb_build_object(
+          'calls', COALESCE((stats->>'calls')::int, 0) + 1,
+          'lastCalled', $4::text,
+          'errors', COALESCE((stats->>'errors')::int, 0) + $3::int,
+          'avgResponseTime', ROUND(
+            (COALESCE((stats->>'avgResponseTime')::numeric, 0) * COALESCE((stats->>'calls')::int, 0) + $2::numeric)
+            / (COALESCE((stats->>'calls')::int, 0) + 1)
+          )
+        )
+      END,
+      updated_at = NOW()
+      WHERE id::text = $1
       RETURNING *
     `;
-    
-    const result = await this.query(query, [JSON.stringify(stats), id]);
+
+    const result = await this.query(query, [id, responseTime, failed ? 1 : 0, new Date().toISOString()]);
     return result.rows[0];
   }
 
   async deleteAPI(id) {
-    const query = 'DELETE FROM api_registry WHERE id = $1 RETURNING *';
+    const query = 'DELETE FROM api_registry WHERE id::text = $1 RETURNING *';
     const result = await this.query(query, [id]);
     return result.rows[0];
   }
@@ -239,6 +400,18 @@ class DatabaseService {
     return settings;
   }
 
+  /**
+   * Cheap fingerprint of the settings table, changes whenever a setting is written
+   */
+  async getSettingsVersion() {
+    const query = `
+      SELECT COUNT(*)::text || ':' || COALESCE(MAX(updated_at)::text, '') AS version
+      FROM settings
+    `;
+    const result = await this.query(query);
+    return result.rows[0].version;
+  }
+
   async setSetting(key, value) {
     const query = `
       INSERT INTO settings (key, value) 
@@ -252,6 +425,23 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * Read and rewrite a setting under a row lock, so concurrent updates of the key apply one after another.
+   * update receives the stored value and returns the new one, or undefined to leave it unchanged.
+   */
+  async updateSetting(key, update) {
+    return this.transaction(async (client) => {
+      await client.query(`INSERT INTO settings (key, value) VALUES ($1, 'null') ON CONFLICT (key) DO NOTHING`, [key]);
+      const result = await client.query('SELECT value FROM settings WHERE key = $1 FOR UPDATE', [key]);
+      const value = await update(result.rows[0].value ?? undefined);
+
+      if (value !== undefined) {
+        await client.query('UPDATE settings SET value = $2, updated_at = NOW() WHERE key = $1', [key, JSON.stringify(value)]);
+      }
+      return value;
+    });
+  }
+
   async setMultipleSettings(settings) {
     return await this.transaction(async (client) => {
       const results = [];
@@ -331,6 +521,584 @@ class DatabaseService {
     };
   }
 
+  /**
+   * Execution job operations
+   */
+  async createExecutionJob(data) {
+    const { api_id, parameters, expires_at, owner } = data;
+
+    const query = `
+      INSERT INTO execution_jobs (api_id, parameters, status, expires_at, owner, heartbeat_at)
+      VALUES ($1, $2, 'queued', $3, $4, NOW())
+      RETURNING *
+    `;
+
+    const result = await this.query(query, [
+      api_id,
+      JSON.stringify(parameters || {}),
+      expires_at,
+      owner
+    ]);
+
+    return result.rows[0];
+  }
+
+  async getExecutionJob(id) {
+    const query = 'SELECT * FROM execution_jobs WHERE id = $1';
+    const result = await this.query(query, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update a job, optionally only while it is still in one of the given statuses
+   */
+  async updateExecutionJob(id, data, onlyIfStatus = null) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(data[key] !== null && typeof data[key] === 'object' && !(data[key] instanceof Date)
+          ? JSON.stringify(data[key])
+          : data[key]);
+        paramIndex++;
+      }
+    });
+
+    fields.push(`updated_at = NOW()`);
+    values.push(id);
+
+    let query = `
+      UPDATE execution_jobs
+      SET ${fields.join(', ')}
+      WHERE id = $${paramIndex}
+    `;
+
+    if (onlyIfStatus) {
+      values.push(onlyIfStatus);
+      query += ` AND status = ANY($${paramIndex + 1})`;
+    }
+
+    const result = await this.query(`${query} RETURNING *`, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Record that the instance owning these jobs is still running them
+   */
+  async touchExecutionJobs(ids, owner) {
+    const query = `
+      UPDATE execution_jobs
+      SET heartbeat_at = NOW()
+      WHERE id = ANY($1) AND owner = $2 AND status IN ('queued', 'running')
+    `;
+    const result = await this.query(query, [ids, owner]);
+    return result.rowCount;
+  }
+
+  /**
+   * Mark queued or running jobs whose owner stopped sending heartbeats as failed
+   */
+  async failInterruptedExecutionJobs(staleAfterMs) {
+    const query = `
+      UPDATE execution_jobs
+      SET status = 'failed', error_message = 'Interrupted: the server running the job stopped',
+          completed_at = NOW(), updated_at = NOW()
+      WHERE status IN ('queued', 'running')
+        AND COALESCE(heartbeat_at, created_at) < NOW() - ($1 || ' milliseconds')::interval
+      RETURNING id
+    `;
+    const result = await this.query(query, [String(staleAfterMs)]);
+    return result.rows;
+  }
+
+  async deleteExpiredExecutionJobs() {
+    const query = 'DELETE FROM execution_jobs WHERE expires_at < NOW() RETURNING id';
+    const result = await this.query(query);
+    return result.rowCount;
+  }
+
+  /**
+   * Recording processing queue operations
+   */
+  async createProcessingJob(data) {
+    const { recording_id, max_attempts } = data;
+
+    // A recording only ever has one queued or running job
+    const query = `
+      INSERT INTO processing_jobs (recording_id, max_attempts)
+      VALUES ($1, $2)
+      ON CONFLICT (recording_id) WHERE status IN ('queued', 'running') DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await this.query(query, [String(recording_id), max_attempts || 3]);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the next due job, or one whose worker lock has expired and that has attempts left.
+   * SKIP LOCKED lets several instances poll the same table without blocking each other.
+   */
+  async claimProcessingJob(workerId, lockTimeoutMs) {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'running', attempts = attempts + 1, locked_by = $1,
+          locked_until = NOW() + ($2 || ' milliseconds')::interval, updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM processing_jobs
+        WHERE (status = 'queued' AND run_at <= NOW())
+           OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts)
+        ORDER BY run_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+
+    const result = await this.query(query, [workerId, String(lockTimeoutMs)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Push back the lock of a job this worker still holds; returns null once another worker has taken it over
+   */
+  async extendProcessingJobLock(id, workerId, lockTimeoutMs) {
+    const query = `
+      UPDATE processing_jobs
+      SET locked_until = NOW() + ($3 || ' milliseconds')::interval, updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+      RETURNING *
+    `;
+    const result = await this.query(query, [id, workerId, String(lockTimeoutMs)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Fail jobs whose worker lock expired on their last attempt
+   */
+  async failAbandonedProcessingJobs() {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'failed', last_error = 'The worker processing the recording stopped responding',
+          locked_by = NULL, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+      RETURNING *
+    `;
+    const result = await this.query(query);
+    return result.rows;
+  }
+
+  async completeProcessingJob(id) {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'completed', locked_by = NULL, locked_until = NULL,
+          completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async retryProcessingJob(id, errorMessage, runAt) {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'queued', last_error = $2, run_at = $3,
+          locked_by = NULL, locked_until = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [id, errorMessage, runAt]);
+    return result.rows[0];
+  }
+
+  async failProcessingJob(id, errorMessage) {
+    const query = `
+      UPDATE processing_jobs
+      SET status = 'failed', last_error = $2, locked_by = NULL, locked_until = NULL,
+          completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [id, errorMessage]);
+    return result.rows[0];
+  }
+
+  /**
+   * Queue recordings left in 'processing' without an active job
+   */
+  async enqueueStuckRecordings(maxAttempts) {
+    const query = `
+      INSERT INTO processing_jobs (recording_id, max_attempts)
+      SELECT r.id::text, $1
+      FROM recordings r
+      WHERE r.status = 'processing'
+        AND NOT EXISTS (
+          SELECT 1 FROM processing_jobs j
+          WHERE j.recording_id = r.id::text AND j.status IN ('queued', 'running')
+        )
+      ON CONFLICT (recording_id) WHERE status IN ('queued', 'running') DO NOTHING
+      RETURNING recording_id
+    `;
+    const result = await this.query(query, [maxAttempts || 3]);
+    return result.rows;
+  }
+
+  /**
+   * AI usage accounting
+   */
+  async recordAIUsage(data) {
+    const query = `
+      INSERT INTO ai_usage (recording_id, operation, provider, model, prompt_tokens, completion_tokens,
+                            total_tokens, latency_ms, cost_usd, success, error_message)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      data.recording_id ? String(data.recording_id) : null,
+      data.operation,
+      data.provider,
+      data.model,
+      data.prompt_tokens || 0,
+      data.completion_tokens || 0,
+      data.total_tokens || 0,
+      data.latency_ms,
+      data.cost_usd || 0,
+      data.success !== false,
+      data.error_message || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Totals grouped by period ('day' or 'month') since the given date
+   */
+  async getAIUsageTotals(period, since) {
+    const query = `
+      SELECT
+        date_trunc($1, created_at, 'UTC') AS period,
+        COUNT(*)::int AS calls,
+        COUNT(CASE WHEN NOT success THEN 1 END)::int AS failures,
+        COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+        COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+        COALESCE(SUM(total_tokens), 0)::int AS total_tokens,
+        COALESCE(SUM(cost_usd), 0)::float AS cost_usd
+      FROM ai_usage
+      WHERE created_at >= $2
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `;
+    const result = await this.query(query, [period, since]);
+    return result.rows;
+  }
+
+  async getAICostSince(since) {
+    const query = 'SELECT COALESCE(SUM(cost_usd), 0)::float AS cost FROM ai_usage WHERE created_at >= $1';
+    const result = await this.query(query, [since]);
+    return result.rows[0].cost;
+  }
+
+  async getAIUsageForRecording(recordingId) {
+    const query = `
+      SELECT operation, provider, model, prompt_tokens, completion_tokens, total_tokens,
+             latency_ms, cost_usd::float AS cost_usd, success, error_message, created_at
+      FROM ai_usage
+      WHERE recording_id = $1
+      ORDER BY created_at
+    `;
+    const result = await this.query(query, [String(recordingId)]);
+    return result.rows;
+  }
+
+  /**
+   * AI response cache
+   */
+  async hitAICacheEntry(cacheKey, recordingId) {
+    // Remember which recordings used the entry so they can purge it later
+    const query = `
+      UPDATE ai_cache
+      SET hit_count = hit_count + 1,
+          last_hit_at = NOW(),
+          recording_ids = CASE
+            WHEN $2::text IS NULL OR $2::text = ANY(recording_ids) THEN recording_ids
+            ELSE array_append(recording_ids, $2::text)
+          END
+      WHERE cache_key = $1 AND expires_at > NOW()
+      RETURNING response
+    `;
+    const result = await this.query(query, [cacheKey, recordingId ? String(recordingId) : null]);
+    return result.rows[0] || null;
+  }
+
+  async setAICacheEntry(data) {
+    const query = `
+      INSERT INTO ai_cache (cache_key, operation, provider, model, response, recording_ids, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (cache_key) DO UPDATE SET
+        response = EXCLUDED.response,
+        expires_at = EXCLUDED.expires_at,
+        recording_ids = ARRAY(SELECT DISTINCT unnest(ai_cache.recording_ids || EXCLUDED.recording_ids))
+      RETURNING cache_key
+    `;
+    const result = await this.query(query, [
+      data.cache_key,
+      data.operation,
+      data.provider,
+      data.model,
+      data.response,
+      data.recording_id ? [String(data.recording_id)] : [],
+      data.expires_at
+    ]);
+    return result.rows[0];
+  }
+
+  async deleteAICacheForRecording(recordingId) {
+    const query = 'DELETE FROM ai_cache WHERE $1::text = ANY(recording_ids) RETURNING cache_key';
+    const result = await this.query(query, [String(recordingId)]);
+    return result.rowCount;
+  }
+
+  async deleteExpiredAICache() {
+    const query = 'DELETE FROM ai_cache WHERE expires_at < NOW() RETURNING cache_key';
+    const result = await this.query(query);
+    return result.rowCount;
+  }
+
+  async getAICacheStats() {
+    const query = `
+      SELECT
+        COUNT(*)::int AS entries,
+        COALESCE(SUM(hit_count), 0)::int AS total_hits,
+        MIN(created_at) AS oldest_entry
+      FROM ai_cache
+      WHERE expires_at > NOW()
+    `;
+    const result = await this.query(query);
+    return result.rows[0];
+  }
+
+  /**
+   * Selector proposals from runtime healing
+   */
+  async recordSelectorProposal(data) {
+    // The same healing seen again bumps the count; a proposal already dismissed stays dismissed
+    const query = `
+      INSERT INTO selector_proposals (recording_id, step_index, original_selector, proposed_selector, method, confidence, reason)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (recording_id, step_index, original_selector, proposed_selector) DO UPDATE SET
+        occurrences = selector_proposals.occurrences + 1,
+        last_seen_at = NOW(),
+        method = EXCLUDED.method,
+        confidence = EXCLUDED.confidence,
+        reason = EXCLUDED.reason
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      String(data.recording_id),
+      data.step_index,
+      data.original_selector,
+      data.proposed_selector,
+      data.method,
+      data.confidence,
+      data.reason || null
+    ]);
+    return result.rows[0];
+  }
+
+  async getSelectorProposals(recordingId, status = null) {
+    const query = `
+      SELECT id, recording_id, step_index, original_selector, proposed_selector, method,
+             confidence::float AS confidence, reason, status, occurrences, created_at, last_seen_at, resolved_at
+      FROM selector_proposals
+      WHERE recording_id = $1 AND ($2::text IS NULL OR status = $2::text)
+      ORDER BY step_index, occurrences DESC
+    `;
+    const result = await this.query(query, [String(recordingId), status]);
+    return result.rows;
+  }
+
+  /**
+   * A pending or applied proposal of this replacement for the step, if there is one
+   */
+  async findOpenSelectorProposal(data) {
+    const query = `
+      SELECT * FROM selector_proposals
+      WHERE recording_id = $1 AND step_index = $2 AND original_selector = $3 AND proposed_selector = $4
+        AND status IN ('pending', 'applied')
+    `;
+    const result = await this.query(query, [
+      String(data.recording_id),
+      data.step_index,
+      data.original_selector,
+      data.proposed_selector
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async getSelectorProposal(id) {
+    const query = 'SELECT *, confidence::float AS confidence FROM selector_proposals WHERE id = $1';
+    const result = await this.query(query, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Resolve a pending proposal; applying one supersedes the other pending proposals for the same step.
+   * Runs in the given transaction client, or in a transaction of its own. Returns undefined once resolved.
+   */
+  async resolveSelectorProposal(id, status, client = null) {
+    if (!client) {
+      return this.transaction(transactionClient => this.resolveSelectorProposal(id, status, transactionClient));
+    }
+
+    const result = await client.query(`
+      UPDATE selector_proposals SET status = $2, resolved_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [id, status]);
+    const proposal = result.rows[0];
+
+    if (proposal && status === 'applied') {
+      await client.query(`
+        UPDATE selector_proposals SET status = 'superseded', resolved_at = NOW()
+        WHERE recording_id = $1 AND step_index = $2 AND id <> $3 AND status = 'pending'
+      `, [proposal.recording_id, proposal.step_index, id]);
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Apply a proposal to its recording in one transaction. The recording, then the proposal, stay locked while
+   * rewrite(proposal, recording) returns the new interactions, so concurrent applies to one recording
+   * run one after another; rewrite throws to abort. Returns the applied proposal.
+   */
+  async applySelectorProposal(recordingId, id, rewrite) {
+    return this.transaction(async (client) => {
+      const recordingResult = await client.query('SELECT * FROM recordings WHERE id = $1 FOR UPDATE', [recordingId]);
+      const proposalResult = await client.query(
+        'SELECT *, confidence::float AS confidence FROM selector_proposals WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      const interactions = await rewrite(proposalResult.rows[0] || null, recordingResult.rows[0] || null);
+      await client.query(
+        'UPDATE recordings SET interactions = $2, updated_at = NOW() WHERE id = $1',
+        [recordingId, JSON.stringify(interactions)]
+      );
+
+      return this.resolveSelectorProposal(id, 'applied', client);
+    });
+  }
+
+  /**
+   * Recording tokens for the bookmarklet recorder, which buffer interactions until the recording is saved
+   */
+  async createRecordingToken(data) {
+    const query = `
+      INSERT INTO recording_tokens (token, title, expires_at)
+      VALUES ($1, $2, $3)
+      RETURNING token, title, created_at, expires_at
+    `;
+    const result = await this.query(query, [data.token, data.title || null, data.expires_at]);
+    return result.rows[0];
+  }
+
+  async getRecordingToken(token) {
+    const query = `
+      SELECT token, title, jsonb_array_length(interactions) AS interaction_count, metadata,
+             created_at, expires_at, finished_at, recording_id, expires_at > NOW() AS active
+      FROM recording_tokens WHERE token = $1
+    `;
+    const result = await this.query(query, [token]);
+    return result.rows[0];
+  }
+
+  /**
+   * Append interactions while the token is unexpired, unfinished and under maxInteractions.
+   * Returns the new interaction count, or null when nothing was appended.
+   */
+  async appendRecordingTokenInteractions(token, interactions, metadata, maxInteractions) {
+    const query = `
+      UPDATE recording_tokens
+      SET interactions = interactions || $2::jsonb, metadata = metadata || $3::jsonb
+      WHERE token = $1 AND finished_at IS NULL AND expires_at > NOW()
+        AND jsonb_array_length(interactions) + jsonb_array_length($2::jsonb) <= $4
+      RETURNING jsonb_array_length(interactions) AS interaction_count
+    `;
+    const result = await this.query(query, [token, JSON.stringify(interactions), JSON.stringify(metadata || {}), maxInteractions]);
+    return result.rows[0] ? result.rows[0].interaction_count : null;
+  }
+
+  /**
+   * Mark an active token finished and return it with its interactions; only one caller can claim it
+   */
+  async claimRecordingToken(token) {
+    const query = `
+      UPDATE recording_tokens SET finished_at = NOW()
+      WHERE token = $1 AND finished_at IS NULL AND expires_at > NOW()
+      RETURNING *
+    `;
+    const result = await this.query(query, [token]);
+    return result.rows[0];
+  }
+
+  async setRecordingTokenRecording(token, recordingId) {
+    await this.query('UPDATE recording_tokens SET recording_id = $2 WHERE token = $1', [token, String(recordingId)]);
+  }
+
+  async deleteExpiredRecordingTokens() {
+    // Finished tokens are kept as long as unfinished ones, so a late request still gets a clear answer
+    const result = await this.query("DELETE FROM recording_tokens WHERE expires_at < NOW() - INTERVAL '1 day'");
+    return result.rowCount;
+  }
+
+  /**
+   * API tokens for clients outside the app, such as the browser extension. Only a hash of each token is stored.
+   */
+  async createApiToken(data) {
+    const query = `
+      INSERT INTO api_tokens (name, token_hash, token_prefix)
+      VALUES ($1, $2, $3)
+      RETURNING id, name, token_prefix, created_at
+    `;
+    const result = await this.query(query, [data.name, data.token_hash, data.token_prefix]);
+    return result.rows[0];
+  }
+
+  async getApiTokens() {
+    const result = await this.query(`
+      SELECT id, name, token_prefix, created_at, last_used_at, revoked_at
+      FROM api_tokens ORDER BY created_at DESC
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Look up an unrevoked token by its hash and note that it was used
+   */
+  async findActiveApiToken(tokenHash) {
+    const query = `
+      UPDATE api_tokens SET last_used_at = NOW()
+      WHERE token_hash = $1 AND revoked_at IS NULL
+      RETURNING id, name
+    `;
+    const result = await this.query(query, [tokenHash]);
+    return result.rows[0];
+  }
+
+  async revokeApiToken(id) {
+    const query = `
+      UPDATE api_tokens SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, name, token_prefix, created_at, last_used_at, revoked_at
+    `;
+    const result = await this.query(query, [id]);
+    return result.rows[0];
+  }
+
   /**
    * Close database connection
    */
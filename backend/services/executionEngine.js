@@ -0,0 +1,310 @@
+/**
+ * Execution Engine
+ * Replays recorded interactions in a headless browser and reports per-step results
+ */
+const BrowserPool = require('./browserPool');
+const APIExportService = require('./apiExportService');
+const SelectorHealer = require('./selectorHealer');
+const { getCandidates, toPlaywrightLocator } = require('./selectorCandidates');
+
+class ExecutionEngine {
+  constructor(options = {}) {
+    this.defaultTimeout = options.defaultTimeout || 30000;
+    this.stepTimeout = options.stepTimeout || 10000;
+    // Upper bound for the timeout request parameter, so one call cannot hold a pool slot indefinitely
+    this.maxStepTimeout = options.maxStepTimeout || parseInt(process.env.EXECUTION_MAX_STEP_TIMEOUT) || 60000;
+    this.browserPool = options.browserPool || global.browserPool || new BrowserPool();
+    this.exportService = new APIExportService();
+    this.healer = options.healer || new SelectorHealer({ aiService: options.aiService });
+  }
+
+  /**
+   * Execute a recording's interactions with the given request parameters.
+   * Waits for a free slot in the browser pool; pool errors are thrown to the caller.
+   * Aborting options.signal closes the browser session and stops the replay.
+   * Selectors healed during the run are proposed as updates to options.recordingId.
+   */
+  async execute(interactions = [], parameters = {}, options = {}) {
+    return this.browserPool.withContext(
+      context => this.executeInContext(context, interactions, parameters, options.signal, options.recordingId),
+      { viewport: { width: 1280, height: 720 } },
+      { signal: options.signal }
+    );
+  }
+
+  /**
+   * Replay interactions inside an already isolated browser context
+   */
+  async executeInContext(context, interactions, parameters, signal, recordingId = null) {
+    const startedAt = new Date();
+    const requestedTimeout = parseInt(parameters.timeout);
+    const stepTimeout = requestedTimeout > 0 ? Math.min(requestedTimeout, this.maxStepTimeout) : this.stepTimeout;
+    const steps = [];
+    // Broken selectors healed earlier in this run, by recorded selector
+    const healedSelectors = new Map();
+    let page;
+    let failure = null;
+
+    // Closing the context makes any pending page operation fail immediately
+    const onAbort = () => {
+      context.close().catch(() => {});
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      context.setDefaultTimeout(stepTimeout);
+      context.setDefaultNavigationTimeout(this.defaultTimeout);
+      page = await context.newPage();
+
+      for (let index = 0; index < interactions.length; index++) {
+        const interaction = interactions[index];
+
+        if (failure || signal?.aborted) {
+          steps.push(this.createStepResult(interaction, index, 'skipped'));
+          continue;
+        }
+
+        const stepStart = Date.now();
+        try {
+          const { status, healed } = await this.executeStepWithHealing(page, interaction, index, parameters, stepTimeout, {
+            healedSelectors,
+            recordingId,
+            signal
+          });
+          steps.push({
+            ...this.createStepResult(interaction, index, status),
+            duration: Date.now() - stepStart,
+            ...(healed && { healed })
+          });
+        } catch (error) {
+          failure = { step: index + 1, message: signal?.aborted ? 'Execution cancelled' : error.message };
+          steps.push({
+            ...this.createStepResult(interaction, index, signal?.aborted ? 'cancelled' : 'failed'),
+            duration: Date.now() - stepStart,
+            error: error.message
+          });
+        }
+      }
+
+      if (signal?.aborted) {
+        return this.createCancelledResult(steps, startedAt);
+      }
+
+      return {
+        success: !failure,
+        error: failure ? `Step ${failure.step} failed: ${failure.message}` : undefined,
+        finalUrl: page.url(),
+        title: await page.title().catch(() => null),
+        steps,
+        duration: Date.now() - startedAt.getTime(),
+        startedAt: startedAt.toISOString(),
+        completedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return this.createCancelledResult(steps, startedAt);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        finalUrl: page ? page.url() : null,
+        title: null,
+        steps,
+        duration: Date.now() - startedAt.getTime(),
+        startedAt: startedAt.toISOString(),
+        completedAt: new Date().toISOString()
+      };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  createCancelledResult(steps, startedAt) {
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Execution cancelled',
+      finalUrl: null,
+      title: null,
+      steps,
+      duration: Date.now() - startedAt.getTime(),
+      startedAt: startedAt.toISOString(),
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Execute a step, and when its selector no longer matches, retry once with a healed selector.
+   * Returns { status, healed } where healed describes the replacement selector used, if any.
+   */
+  async executeStepWithHealing(page, interaction, index, parameters, timeout, healing) {
+    const known = healing.healedSelectors.get(interaction.selector);
+
+    try {
+      const status = await this.executeStep(page, interaction, parameters, timeout, known?.to);
+      if (known) {
+        await this.healer.proposeReused(healing.recordingId, index, known);
+      }
+      return { status, healed: known };
+    } catch (error) {
+      if (known || healing.signal?.aborted || !this.healer.canHeal(interaction, error)) {
+        throw error;
+      }
+
+      const healed = await this.healer.heal(page, interaction, { recordingId: healing.recordingId });
+      if (!healed) {
+        throw error;
+      }
+
+      console.log(`Healed step ${index + 1} selector ${healed.from} -> ${healed.to} (${healed.method})`);
+      const status = await this.executeStep(page, interaction, parameters, timeout, healed.to);
+      healing.healedSelectors.set(interaction.selector, healed);
+      await this.healer.propose(healing.recordingId, index, healed);
+      return { status, healed };
+    }
+  }
+
+  /**
+   * Execute a single recorded interaction, returns the step status.
+   * selector overrides the recorded one; parameters are still resolved from the recorded selector.
+   */
+  async executeStep(page, interaction, parameters, timeout, selector = interaction.selector) {
+    switch (interaction.action) {
+      case 'navigation': {
+        const url = this.resolveNavigationUrl(interaction.url, parameters);
+        // Navigations triggered by a previous click are recorded too, skip those
+        if (page.url() === url) {
+          return 'skipped';
+        }
+        await page.goto(url, { waitUntil: 'load' });
+        return 'success';
+      }
+
+      case 'click': {
+        const target = await this.locateTarget(page, interaction, selector, timeout);
+        await target.click({ timeout });
+        return 'success';
+      }
+
+      case 'type': {
+        const target = await this.locateTarget(page, interaction, selector, timeout);
+        await target.fill(this.resolveInputValue(interaction, parameters), { timeout });
+        return 'success';
+      }
+
+      case 'scroll':
+        await page.evaluate(({ x, y }) => window.scrollTo(x, y), {
+          x: interaction.x || 0,
+          y: interaction.y || 0
+        });
+        return 'success';
+
+      case 'wait': {
+        const target = await this.locateTarget(page, interaction, selector, timeout);
+        await target.waitFor({ timeout });
+        return 'success';
+      }
+
+      case 'keypress':
+        await page.keyboard.press(interaction.key);
+        return 'success';
+
+      case 'submit':
+        // The click or keypress that submitted the form has already been replayed
+        await page.waitForLoadState('load', { timeout });
+        return 'success';
+
+      default:
+        return 'skipped';
+    }
+  }
+
+  /**
+   * Resolve the value to type, substituting the request parameter named for the field
+   */
+  resolveInputValue(interaction, parameters) {
+    if (interaction.text === '[PASSWORD]' || interaction.inputType === 'password') {
+      return parameters.password !== undefined ? String(parameters.password) : '';
+    }
+
+    const fieldName = this.exportService.getParameterName(interaction);
+    if (parameters[fieldName] !== undefined && parameters[fieldName] !== null) {
+      return String(parameters[fieldName]);
+    }
+
+    return interaction.text || '';
+  }
+
+  /**
+   * Substitute request parameters into a navigation URL's query string
+   */
+  resolveNavigationUrl(recordedUrl, parameters) {
+    try {
+      const url = new URL(recordedUrl);
+      url.searchParams.forEach((value, key) => {
+        if (parameters[key] !== undefined && parameters[key] !== null) {
+          url.searchParams.set(key, String(parameters[key]));
+        }
+      });
+      return url.toString();
+    } catch (error) {
+      return recordedUrl;
+    }
+  }
+
+  /**
+   * Locator for a step's element. Steps recorded with candidate locators use the best ranked candidate that
+   * still matches a single element; a healed selector, or a step recorded without candidates, is used as is.
+   */
+  async locateTarget(page, interaction, selector, timeout) {
+    const scope = this.frameScope(page, interaction.frames || []);
+    const candidates = getCandidates(interaction);
+
+    if (selector !== interaction.selector || candidates.length === 0) {
+      const locator = scope.locator(this.toPlaywrightSelector(selector));
+      // page.click() and friends act on the first match; steps inside frames have always been strict
+      return interaction.frames?.length ? locator : locator.first();
+    }
+
+    const locators = candidates.map(candidate => toPlaywrightLocator(scope, candidate));
+    const anyCandidate = locators.reduce((union, locator) => union.or(locator));
+    await anyCandidate.first().waitFor({ state: 'attached', timeout });
+
+    for (const locator of locators) {
+      if (await locator.count() === 1) {
+        return locator;
+      }
+    }
+
+    // No candidate is unique any more; acting on them fails as a strict mode violation, which healing handles
+    return anyCandidate;
+  }
+
+  /**
+   * Page or nested frame to locate elements in, given the selectors of the <iframe> elements, outermost first
+   */
+  frameScope(page, frames) {
+    return frames.reduce((parent, frame) => parent.frameLocator(this.toPlaywrightSelector(frame)), page);
+  }
+
+  /**
+   * Translate recorder selectors into ones Playwright understands
+   */
+  toPlaywrightSelector(selector) {
+    return (selector || '').replace(/:contains\(/g, ':has-text(');
+  }
+
+  createStepResult(interaction, index, status) {
+    return {
+      step: index + 1,
+      action: interaction.action,
+      selector: interaction.selector,
+      url: interaction.url,
+      status,
+      duration: 0
+    };
+  }
+}
+
+module.exports = ExecutionEngine;
@@ -0,0 +1,230 @@
+/**
+ * Execution Job Service
+ * Runs live API executions in the background and persists their status and results
+ */
+
+const os = require('os');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const PIIScrubber = require('./piiScrubber');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+// Instances touch the jobs they run this often; jobs nobody touched for the timeout are failed by any instance
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 2 * 60 * 1000;
+// Parameters whose names mark credentials or payment data are never stored
+const SENSITIVE_PARAMETER = /pass(word|code)?|pwd|token|secret|(^|[_-]|api|private|access)key$|card|cvc|cvv/i;
+const MASKED_VALUE = '***masked***';
+
+class ExecutionJobService {
+  constructor(apiRegistry, options = {}) {
+    this.apiRegistry = apiRegistry;
+    this.retentionMs = (options.retentionHours || parseInt(process.env.EXECUTION_JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+    this.instanceId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.scrubber = new PIIScrubber();
+    this.runningJobs = new Map();
+    this.recovered = false;
+
+    this.heartbeatInterval = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatInterval.unref();
+    this.purgeInterval = setInterval(() => this.purgeExpiredJobs(), 60 * 60 * 1000);
+    this.purgeInterval.unref();
+  }
+
+  /**
+   * Queue an execution and start it in the background
+   */
+  async createJob(apiId, parameters = {}) {
+    const db = await this.getDatabase();
+
+    if (!(await this.apiRegistry.getAPI(apiId))) {
+      const error = new Error(`API ${apiId} not found`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    const job = await db.createExecutionJob({
+      api_id: apiId,
+      parameters: this.maskParameters(parameters),
+      expires_at: new Date(Date.now() + this.retentionMs),
+      owner: this.instanceId
+    });
+
+    const controller = new AbortController();
+    this.runningJobs.set(job.id, controller);
+    this.runJob(job.id, apiId, parameters, controller.signal);
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Execute a queued job and store its outcome
+   */
+  async runJob(jobId, apiId, parameters, signal) {
+    const db = global.db;
+
+    try {
+      await db.updateExecutionJob(jobId, { status: 'running', started_at: new Date() }, ACTIVE_STATUSES);
+
+      const execution = await this.apiRegistry.executeAPI(apiId, parameters, { signal });
+      const status = execution.result.cancelled ? 'cancelled' : execution.success ? 'completed' : 'failed';
+
+      await db.updateExecutionJob(jobId, {
+        status,
+        result: execution,
+        error_message: execution.result.error,
+        completed_at: new Date()
+      }, ACTIVE_STATUSES);
+    } catch (error) {
+      console.error(`Execution job ${jobId} failed:`, error);
+
+      try {
+        await db.updateExecutionJob(jobId, {
+          status: signal.aborted ? 'cancelled' : 'failed',
+          error_message: error.message,
+          completed_at: new Date()
+        }, ACTIVE_STATUSES);
+      } catch (updateError) {
+        console.error('Failed to update execution job with error:', updateError);
+      }
+    } finally {
+      this.runningJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * Get job status and, once finished, its result
+   */
+  async getJob(jobId) {
+    const db = await this.getDatabase();
+    if (!isUuid(jobId)) {
+      return null;
+    }
+
+    const job = await db.getExecutionJob(jobId);
+    return job ? this.formatJob(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job, closing its browser session
+   */
+  async cancelJob(jobId) {
+    const db = await this.getDatabase();
+    if (!isUuid(jobId)) {
+      return null;
+    }
+
+    const job = await db.getExecutionJob(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      const error = new Error(`Job is already ${job.status}`);
+      error.code = 'JOB_FINISHED';
+      throw error;
+    }
+
+    const updated = await db.updateExecutionJob(jobId, {
+      status: 'cancelled',
+      error_message: 'Cancelled by client',
+      completed_at: new Date()
+    }, ACTIVE_STATUSES);
+
+    const controller = this.runningJobs.get(jobId);
+    if (controller) {
+      controller.abort();
+    }
+
+    return this.formatJob(updated || job);
+  }
+
+  /**
+   * Fail jobs whose instance stopped running them, then drop expired results
+   */
+  async recoverInterruptedJobs() {
+    await this.failStaleJobs();
+    await this.purgeExpiredJobs();
+  }
+
+  async failStaleJobs() {
+    const interrupted = await global.db.failInterruptedExecutionJobs(HEARTBEAT_TIMEOUT_MS);
+    if (interrupted.length > 0) {
+      console.log(`Marked ${interrupted.length} interrupted execution jobs as failed`);
+    }
+  }
+
+  /**
+   * Keep the jobs running here alive and fail the ones other instances abandoned
+   */
+  async heartbeat() {
+    if (!global.db || !global.db.isHealthy()) return;
+
+    try {
+      if (this.runningJobs.size > 0) {
+        await global.db.touchExecutionJobs([...this.runningJobs.keys()], this.instanceId);
+      }
+      await this.failStaleJobs();
+    } catch (error) {
+      console.error('Failed to update execution job heartbeats:', error);
+    }
+  }
+
+  async purgeExpiredJobs() {
+    if (!global.db || !global.db.isHealthy()) return;
+
+    try {
+      const deleted = await global.db.deleteExpiredExecutionJobs();
+      if (deleted > 0) {
+        console.log(`Purged ${deleted} expired execution jobs`);
+      }
+    } catch (error) {
+      console.error('Failed to purge expired execution jobs:', error);
+    }
+  }
+
+  /**
+   * Get the database, running startup recovery on first use
+   */
+  async getDatabase() {
+    if (!global.db || !global.db.isHealthy()) {
+      const error = new Error('Database not available');
+      error.code = 'DB_UNAVAILABLE';
+      throw error;
+    }
+
+    if (!this.recovered) {
+      this.recovered = true;
+      await this.recoverInterruptedJobs();
+    }
+
+    return global.db;
+  }
+
+  /**
+   * Mask credentials and personal data before parameters are stored with a job
+   */
+  maskParameters(parameters) {
+    return Object.fromEntries(Object.entries(parameters || {}).map(([name, value]) => [
+      name,
+      SENSITIVE_PARAMETER.test(name) || this.scrubber.containsPII(value) ? MASKED_VALUE : value
+    ]));
+  }
+
+  formatJob(job) {
+    return {
+      jobId: job.id,
+      apiId: job.api_id,
+      status: job.status,
+      parameters: job.parameters,
+      result: job.result || null,
+      error: job.error_message || null,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      completedAt: job.completed_at,
+      expiresAt: job.expires_at
+    };
+  }
+}
+
+module.exports = ExecutionJobService;
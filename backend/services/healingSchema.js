@@ -0,0 +1,48 @@
+/**
+ * Healing Schema
+ * Declared JSON schema for the model's pick of a replacement element when a recorded selector fails
+ */
+const { toProviderSchema, validate } = require('./analysisSchema');
+
+const HEALING_SCHEMA = {
+  type: 'object',
+  properties: {
+    index: { type: ['number', 'null'] },
+    reason: { type: 'string' }
+  },
+  required: ['index', 'reason'],
+  additionalProperties: false
+};
+
+const HEALING_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'selector_healing',
+    schema: toProviderSchema(HEALING_SCHEMA),
+    strict: true
+  }
+};
+
+/**
+ * Build a validator for a pick among candidateCount candidates; null means no candidate fits
+ */
+function createHealingValidator(candidateCount) {
+  return value => {
+    const errors = validate(value, HEALING_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (value.index !== null && (!Number.isInteger(value.index) || value.index < 0 || value.index >= candidateCount)) {
+      errors.push(`$.index must be null or a candidate index between 0 and ${candidateCount - 1}`);
+    }
+
+    return errors;
+  };
+}
+
+module.exports = {
+  HEALING_SCHEMA,
+  HEALING_RESPONSE_FORMAT,
+  createHealingValidator
+};
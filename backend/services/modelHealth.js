@@ -0,0 +1,128 @@
+/**
+ * Model Health Tracker
+ * Per-model circuit breaker: a model that keeps failing is skipped until a cooldown has passed,
+ * then a single trial call decides whether it is used again
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_SECONDS = 60;
+
+class ModelHealthTracker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold
+      || parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = (options.cooldownSeconds
+      || parseInt(process.env.AI_CIRCUIT_COOLDOWN_SECONDS) || DEFAULT_COOLDOWN_SECONDS) * 1000;
+    this.models = new Map();
+  }
+
+  key(target) {
+    return `${target.provider}/${target.model}`;
+  }
+
+  /**
+   * Health entry for a model, created closed on first use
+   */
+  get(target) {
+    const key = this.key(target);
+    if (!this.models.has(key)) {
+      this.models.set(key, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.models.get(key);
+  }
+
+  /**
+   * Whether a call may be sent to the model now.
+   * An open circuit turns half-open once the cooldown has passed and lets one trial call through.
+   */
+  acquire(target) {
+    const health = this.get(target);
+
+    if (health.state === 'open') {
+      if (Date.now() - health.openedAt < this.cooldownMs) {
+        return false;
+      }
+      health.state = 'half_open';
+    }
+
+    if (health.state === 'half_open') {
+      if (health.trialInFlight) {
+        return false;
+      }
+      health.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess(target) {
+    const health = this.get(target);
+    if (health.state !== 'closed') {
+      console.log(`AI model ${this.key(target)} recovered, closing circuit`);
+    }
+
+    health.state = 'closed';
+    health.consecutiveFailures = 0;
+    health.totalSuccesses++;
+    health.openedAt = null;
+    health.trialInFlight = false;
+    health.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(target, error) {
+    const health = this.get(target);
+    health.consecutiveFailures++;
+    health.totalFailures++;
+    health.trialInFlight = false;
+    health.lastError = error?.message || String(error);
+    health.lastFailureAt = new Date().toISOString();
+
+    // A failed trial reopens the circuit straight away
+    if (health.state === 'half_open' || health.consecutiveFailures >= this.failureThreshold) {
+      if (health.state !== 'open') {
+        console.warn(`AI model ${this.key(target)} circuit opened after ${health.consecutiveFailures} consecutive failures`);
+      }
+      health.state = 'open';
+      health.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Whether the model would currently be tried, without starting a trial call
+   */
+  isAvailable(target) {
+    const health = this.get(target);
+    if (health.state === 'open') {
+      return Date.now() - health.openedAt >= this.cooldownMs;
+    }
+    return !(health.state === 'half_open' && health.trialInFlight);
+  }
+
+  /**
+   * Health of each model in the chain
+   */
+  getStats(models) {
+    return models.map(target => {
+      const { trialInFlight, openedAt, ...health } = this.get(target);
+      return {
+        provider: target.provider,
+        model: target.model,
+        ...health,
+        available: this.isAvailable(target),
+        retryAt: health.state === 'open' ? new Date(openedAt + this.cooldownMs).toISOString() : null
+      };
+    });
+  }
+}
+
+module.exports = ModelHealthTracker;
@@ -0,0 +1,70 @@
+/**
+ * Naming Schema
+ * Declared JSON schema for parameter names the model suggests for recorded form fields
+ */
+const { toProviderSchema, validate } = require('./analysisSchema');
+const { RESERVED_NAMES, isValidName } = require('./parameterNaming');
+
+const NAMING_SCHEMA = {
+  type: 'object',
+  properties: {
+    names: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'number' },
+          name: { type: 'string', minLength: 1 }
+        },
+        required: ['index', 'name'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['names'],
+  additionalProperties: false
+};
+
+const NAMING_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'parameter_names',
+    schema: toProviderSchema(NAMING_SCHEMA),
+    strict: true
+  }
+};
+
+/**
+ * Build a validator for names suggested for fieldCount fields: camelCase, unique and not reserved
+ */
+function createNamingValidator(fieldCount) {
+  return value => {
+    const errors = validate(value, NAMING_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const seen = new Set();
+    value.names.forEach(({ index, name }, position) => {
+      if (!Number.isInteger(index) || index < 0 || index >= fieldCount) {
+        errors.push(`$.names[${position}].index must be a field index between 0 and ${fieldCount - 1}`);
+      }
+      if (!isValidName(name)) {
+        errors.push(`$.names[${position}].name must be a camelCase identifier of at most 40 characters`);
+      } else if (RESERVED_NAMES.includes(name)) {
+        errors.push(`$.names[${position}].name must not be one of ${RESERVED_NAMES.join(', ')}`);
+      } else if (seen.has(name)) {
+        errors.push(`$.names[${position}].name ${name} is used twice`);
+      }
+      seen.add(name);
+    });
+
+    return errors;
+  };
+}
+
+module.exports = {
+  NAMING_SCHEMA,
+  NAMING_RESPONSE_FORMAT,
+  createNamingValidator
+};
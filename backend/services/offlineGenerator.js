@@ -0,0 +1,294 @@
+/**
+ * Offline Generator Service
+ * Rule-based analysis, script enhancement and documentation for running without any AI provider.
+ * Output depends only on the interactions, so the same recording always yields the same package.
+ */
+const APIExportService = require('./apiExportService');
+const { hasStableCandidate, toPlaywrightLocatorCode, needsLocateUnique, LOCATE_UNIQUE_SOURCE } = require('./selectorCandidates');
+
+// Selector patterns that tend to break when the page layout changes
+const FRAGILE_SELECTOR_PATTERNS = [
+  { pattern: /:nth-(child|of-type)\(/, reason: 'positional :nth-child/:nth-of-type selector' },
+  { pattern: /:contains\(/, reason: 'text-based :contains selector' },
+  { pattern: /(\.[\w-]+){4,}/, reason: 'long class chain' },
+  { pattern: /\.(css|sc|jsx|emotion)-[\w]+/, reason: 'generated CSS-in-JS class name' }
+];
+
+class OfflineGenerator {
+  constructor() {
+    this.exportService = new APIExportService();
+  }
+
+  /**
+   * Analyze interactions with fixed rules instead of a model
+   */
+  analyzeInteractions(interactions) {
+    const issues = [];
+    const optimizations = [];
+    const security = [];
+
+    const counts = interactions.reduce((acc, interaction) => {
+      acc[interaction.action] = (acc[interaction.action] || 0) + 1;
+      return acc;
+    }, {});
+
+    interactions.forEach((interaction, index) => {
+      const selector = interaction.selector || '';
+      // Executions fall back to a recorded role, label, text, id or test id when the selector breaks
+      const fallback = hasStableCandidate(interaction);
+      FRAGILE_SELECTOR_PATTERNS.forEach(({ pattern, reason }) => {
+        if (!fallback && pattern.test(selector)) {
+          issues.push(`Step ${index + 1} uses a ${reason}: ${selector}`);
+        }
+      });
+
+      if (interaction.url && interaction.url.startsWith('http://')) {
+        security.push(`Step ${index + 1} loads an unencrypted page: ${interaction.url}`);
+      }
+    });
+
+    if (interactions.some(i => i.text === '[PASSWORD]' || i.inputType === 'password')) {
+      security.push('Password fields are filled; pass credentials as parameters and never log them');
+    }
+
+    if (interactions.length === 0) {
+      issues.push('Recording contains no interactions');
+    }
+
+    if ((counts.click || 0) > 0 && !counts.wait) {
+      optimizations.push('Wait for elements to be visible before clicking them');
+    }
+    if ((counts.type || 0) > 0) {
+      optimizations.push('Expose typed values as parameters so the script can be reused');
+    }
+    if ((counts.navigation || 0) > 1) {
+      optimizations.push('Wait for the load state after each navigation instead of fixed timeouts');
+    }
+    if ((counts.scroll || 0) > 0) {
+      optimizations.push('Scroll elements into view rather than to fixed coordinates');
+    }
+    optimizations.push('Retry flaky steps before failing the whole run');
+
+    return {
+      workflow: this.describeWorkflow(interactions, counts),
+      issues,
+      optimizations,
+      security,
+      complexity: interactions.length > 10 ? 'high' : interactions.length > 5 ? 'medium' : 'low'
+    };
+  }
+
+  describeWorkflow(interactions, counts) {
+    const firstUrl = interactions.find(i => i.url)?.url;
+    let host = null;
+    try {
+      host = firstUrl ? new URL(firstUrl).host : null;
+    } catch (error) {
+      host = null;
+    }
+
+    const parts = [];
+    if (counts.navigation) parts.push(`${counts.navigation} navigation${counts.navigation > 1 ? 's' : ''}`);
+    if (counts.type) parts.push(`${counts.type} field${counts.type > 1 ? 's' : ''} filled`);
+    if (counts.click) parts.push(`${counts.click} click${counts.click > 1 ? 's' : ''}`);
+    if (counts.submit) parts.push(`${counts.submit} form submission${counts.submit > 1 ? 's' : ''}`);
+
+    const summary = parts.length > 0 ? parts.join(', ') : `${interactions.length} interactions`;
+    return host ? `Automation on ${host}: ${summary}` : `Automation workflow: ${summary}`;
+  }
+
+  /**
+   * Build an enhanced Playwright script with retries, waits and logging
+   */
+  generateEnhancedScript(basicScript, interactions) {
+    const steps = interactions
+      .map((interaction, index) => this.generateStepCode(interaction, index))
+      .filter(Boolean)
+      .join('\n');
+
+    return `const { chromium } = require('playwright');
+
+/**
+ * Enhanced Browser Automation Script
+ * Generated offline from ${interactions.length} recorded interactions
+ */
+
+const DEFAULT_CONFIG = {
+  headless: true,
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 1000
+};
+
+function log(message) {
+  console.log(\`[\${new Date().toISOString()}] \${message}\`);
+}
+
+async function withRetry(description, action, config) {
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    try {
+      return await action();
+    } catch (error) {
+      if (attempt === config.retries) {
+        throw new Error(\`\${description} failed after \${attempt + 1} attempts: \${error.message}\`);
+      }
+      log(\`\${description} failed (\${error.message}), retrying\`);
+      await new Promise(resolve => setTimeout(resolve, config.retryDelay * (attempt + 1)));
+    }
+  }
+}
+${interactions.some(needsLocateUnique) ? `
+${LOCATE_UNIQUE_SOURCE}
+` : ''}
+async function runAutomation(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  const browser = await chromium.launch({ headless: config.headless });
+  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+  const page = await context.newPage();
+  page.setDefaultTimeout(config.timeout);
+
+  try {
+${steps}
+    log('Automation completed successfully');
+    return { success: true, url: page.url(), title: await page.title() };
+  } catch (error) {
+    log(\`Automation failed: \${error.message}\`);
+    throw error;
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = { runAutomation };
+
+if (require.main === module) {
+  runAutomation()
+    .then(result => log(\`Finished at \${result.url}\`))
+    .catch(() => process.exit(1));
+}
+`;
+  }
+
+  /**
+   * Generate the code for one step of the enhanced script
+   */
+  generateStepCode(interaction, index) {
+    const step = `Step ${index + 1}`;
+    const selector = JSON.stringify(interaction.selector || '');
+    // Role, label and test id locators wait for their element; steps recorded without them use the CSS selector
+    const locator = toPlaywrightLocatorCode(interaction, { quote: JSON.stringify, timeout: 'config.timeout' });
+    const indent = '    ';
+
+    switch (interaction.action) {
+      case 'navigation':
+        return `${indent}// ${step}: navigate
+${indent}log(${JSON.stringify(`${step}: navigating to ${interaction.url}`)});
+${indent}await withRetry(${JSON.stringify(`${step} navigation`)}, () => page.goto(${JSON.stringify(interaction.url)}, { waitUntil: 'domcontentloaded' }), config);
+${indent}await page.waitForLoadState('load');
+`;
+
+      case 'click':
+        return `${indent}// ${step}: click
+${indent}log(${JSON.stringify(`${step}: clicking ${interaction.selector}`)});
+${locator ? `${indent}await withRetry(${JSON.stringify(`${step} click`)}, async () => ${locator}.click(), config);` : `${indent}await withRetry(${JSON.stringify(`${step} click`)}, async () => {
+${indent}  await page.waitForSelector(${selector}, { state: 'visible' });
+${indent}  await page.click(${selector});
+${indent}}, config);`}
+`;
+
+      case 'type': {
+        const isPassword = interaction.text === '[PASSWORD]' || interaction.inputType === 'password';
+        const field = isPassword ? 'password' : this.exportService.getParameterName(interaction);
+        const value = isPassword
+          ? `config.password || ''`
+          : `config[${JSON.stringify(field)}] ?? ${JSON.stringify(interaction.text || '')}`;
+        return `${indent}// ${step}: fill ${field}
+${indent}log(${JSON.stringify(`${step}: filling ${interaction.selector}`)});
+${locator ? `${indent}await withRetry(${JSON.stringify(`${step} fill`)}, async () => ${locator}.fill(String(${value})), config);` : `${indent}await withRetry(${JSON.stringify(`${step} fill`)}, async () => {
+${indent}  await page.waitForSelector(${selector}, { state: 'visible' });
+${indent}  await page.fill(${selector}, String(${value}));
+${indent}}, config);`}
+`;
+      }
+
+      case 'scroll':
+        return `${indent}// ${step}: scroll
+${indent}await page.evaluate(() => window.scrollTo(${interaction.x || 0}, ${interaction.y || 0}));
+`;
+
+      case 'wait':
+        return `${indent}// ${step}: wait
+${indent}log(${JSON.stringify(`${step}: waiting for ${interaction.selector}`)});
+${indent}${locator ? `await ${locator}.waitFor({ state: 'visible' });` : `await page.waitForSelector(${selector}, { state: 'visible' });`}
+`;
+
+      case 'keypress':
+        return `${indent}// ${step}: keypress
+${indent}await page.keyboard.press(${JSON.stringify(interaction.key || 'Enter')});
+`;
+
+      case 'submit':
+        return `${indent}// ${step}: form submitted
+${indent}await page.waitForLoadState('load');
+`;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Generate Markdown documentation from the recorded steps and parameters
+   */
+  generateAPIDocumentation(script, interactions) {
+    const parameters = [];
+    interactions.forEach(interaction => {
+      if (interaction.action !== 'type') return;
+      const isPassword = interaction.text === '[PASSWORD]' || interaction.inputType === 'password';
+      const name = isPassword ? 'password' : this.exportService.getParameterName(interaction);
+      if (!parameters.some(p => p.name === name)) {
+        parameters.push({ name, example: isPassword ? '(sensitive)' : interaction.text || '' });
+      }
+    });
+
+    const steps = interactions
+      .map((interaction, index) => `${index + 1}. **${interaction.action}** ${interaction.url || interaction.selector || interaction.key || ''}`.trim())
+      .join('\n');
+
+    const parameterRows = parameters.length > 0
+      ? parameters.map(p => `| \`${p.name}\` | string | ${p.example} |`).join('\n')
+      : '| _none_ | | |';
+
+    return `# Browser Automation Script
+
+## Overview
+Replays ${interactions.length} recorded browser interactions.
+
+## Steps
+${steps || '_No steps recorded_'}
+
+## Parameters
+| Name | Type | Example |
+|------|------|---------|
+${parameterRows}
+
+## Options
+- \`headless\` (boolean, default \`true\`): run without a visible browser window
+- \`timeout\` (number, default \`10000\`): per-step timeout in milliseconds
+- \`retries\` (number, default \`2\`): retries for each step before failing
+
+## Usage
+\`\`\`javascript
+const { runAutomation } = require('./automation');
+
+const result = await runAutomation({ headless: true });
+console.log(result.url);
+\`\`\`
+
+## Error Handling
+Each step is retried with a growing delay. If a step still fails, the browser is closed and the error is rethrown.
+`;
+  }
+}
+
+module.exports = OfflineGenerator;
@@ -0,0 +1,44 @@
+/**
+ * Page Recorder
+ * Recorder injected into third-party pages and frames. It is the in-app BrowserRecorder, built by
+ * `npm run build:page-recorder` in the frontend, and hands each interaction to a reporting function the host page provides.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_PATH = process.env.PAGE_RECORDER_BUNDLE
+  || path.join(__dirname, '../../frontend/dist-page-recorder/page-recorder.js');
+
+let bundle = null;
+
+/**
+ * The built recorder bundle, which defines AutomationPageRecorder.installRecorder
+ */
+function loadBundle() {
+  if (!bundle) {
+    try {
+      bundle = fs.readFileSync(BUNDLE_PATH, 'utf8');
+    } catch (error) {
+      const notBuilt = new Error(`Page recorder bundle not found at ${BUNDLE_PATH}; run "npm run build:page-recorder" in frontend`);
+      notBuilt.code = 'RECORDER_NOT_BUILT';
+      throw notBuilt;
+    }
+  }
+  return bundle;
+}
+
+/**
+ * A self-contained script that records the page it runs in and passes each interaction to
+ * window[bindingName]. Events inside ignoreSelector (e.g. the recorder's own widget) are skipped.
+ */
+function buildInstallScript({ bindingName, ignoreSelector = null }) {
+  return `(function () {
+${loadBundle()}
+AutomationPageRecorder.installRecorder(${JSON.stringify({ bindingName, ignoreSelector })});
+})();
+`;
+}
+
+module.exports = {
+  buildInstallScript
+};
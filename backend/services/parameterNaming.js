@@ -0,0 +1,171 @@
+/**
+ * Parameter Naming
+ * Derives unique camelCase API parameter names for typed fields from their label, placeholder,
+ * aria-label and attributes as captured by the recorder
+ */
+
+// Names the generated APIs already use for their own options
+const RESERVED_NAMES = ['headless', 'timeout', 'password'];
+
+// Where a name can come from, most descriptive first
+const NAME_SOURCES = ['label', 'ariaLabel', 'placeholder', 'name', 'id', 'autocomplete'];
+
+// Sources that describe the field in words; names from attributes or the selector may be worth an AI suggestion
+const DESCRIPTIVE_SOURCES = ['label', 'ariaLabel', 'placeholder'];
+
+const INPUT_TYPE_NAMES = {
+  email: 'email',
+  tel: 'phone',
+  url: 'url',
+  number: 'number',
+  date: 'date',
+  search: 'search'
+};
+
+const FILLER_WORDS = ['enter', 'your', 'please', 'the', 'a', 'an', 'here', 'type', 'optional', 'required', 'input', 'field'];
+const MAX_WORDS = 4;
+const MAX_LENGTH = 40;
+
+const NAME_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Turn a label like "E-mail address *" or an attribute like "user_email" into camelCase
+ */
+function toCamelCase(text) {
+  const words = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .split(' ')
+    .filter(Boolean);
+
+  const meaningful = words.filter(word => !FILLER_WORDS.includes(word));
+  const picked = meaningful.length > 0 ? meaningful : words;
+  // Identifiers cannot start with a digit, e.g. "2nd address line" becomes addressLine
+  while (picked.length > 0 && /^[0-9]/.test(picked[0])) {
+    picked.shift();
+  }
+
+  const name = picked
+    .slice(0, MAX_WORDS)
+    .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1))
+    .join('');
+
+  return name.slice(0, MAX_LENGTH);
+}
+
+/**
+ * The attribute value a recorder selector was built from, e.g. [name="email"] or #email
+ */
+function nameFromSelector(selector) {
+  const last = (selector || '').split(/\s*>\s*/).pop() || '';
+  const attribute = last.match(/\[(?:name|id|aria-label|placeholder|data-testid)="([^"]+)"\]/);
+  if (attribute) return attribute[1];
+  const id = last.match(/^#([\w-]+)/);
+  return id ? id[1] : null;
+}
+
+function isPasswordField(interaction) {
+  return interaction.text === '[PASSWORD]' || interaction.inputType === 'password';
+}
+
+/**
+ * Best name for one typed field, with where it came from: { name, source }
+ */
+function suggestName(interaction) {
+  const field = interaction.field || {};
+
+  for (const source of NAME_SOURCES) {
+    const value = field[source];
+    if (source === 'autocomplete' && ['on', 'off'].includes(value)) continue;
+    const name = toCamelCase(value);
+    if (name) return { name, source };
+  }
+
+  const fromSelector = toCamelCase(nameFromSelector(interaction.selector));
+  if (fromSelector) return { name: fromSelector, source: 'selector' };
+
+  const byType = INPUT_TYPE_NAMES[interaction.inputType || field.type];
+  if (byType) return { name: byType, source: 'inputType' };
+
+  return { name: 'field', source: 'fallback' };
+}
+
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && name.length <= MAX_LENGTH;
+}
+
+/**
+ * Fields that still need a name, one per selector: [{ selector, inputType, field, suggested, source }]
+ */
+function describeUnnamedFields(interactions) {
+  const fields = new Map();
+
+  interactions.forEach(interaction => {
+    if (interaction.action !== 'type' || interaction.parameterName || isPasswordField(interaction)) return;
+    if (fields.has(interaction.selector)) return;
+
+    const { name, source } = suggestName(interaction);
+    fields.set(interaction.selector, {
+      selector: interaction.selector,
+      inputType: interaction.inputType || null,
+      field: interaction.field || null,
+      suggested: name,
+      source
+    });
+  });
+
+  return [...fields.values()];
+}
+
+/**
+ * Set parameterName on every typed interaction. Names already set are kept, the same field keeps one
+ * name, and clashes get a numeric suffix. suggestions maps a selector to a preferred name.
+ */
+function assignParameterNames(interactions, suggestions = new Map()) {
+  const taken = new Set(RESERVED_NAMES);
+  const bySelector = new Map();
+
+  interactions.forEach(interaction => {
+    if (interaction.action === 'type' && interaction.parameterName) {
+      taken.add(interaction.parameterName);
+      bySelector.set(interaction.selector, interaction.parameterName);
+    }
+  });
+
+  return interactions.map(interaction => {
+    if (interaction.action !== 'type' || interaction.parameterName) {
+      return interaction;
+    }
+    if (isPasswordField(interaction)) {
+      return { ...interaction, parameterName: 'password' };
+    }
+    if (bySelector.has(interaction.selector)) {
+      return { ...interaction, parameterName: bySelector.get(interaction.selector) };
+    }
+
+    const suggestion = suggestions.get(interaction.selector);
+    const base = isValidName(suggestion) ? suggestion : suggestName(interaction).name;
+    let name = base;
+    for (let suffix = 2; taken.has(name); suffix++) {
+      name = `${base}${suffix}`;
+    }
+
+    taken.add(name);
+    bySelector.set(interaction.selector, name);
+    return { ...interaction, parameterName: name };
+  });
+}
+
+module.exports = {
+  DESCRIPTIVE_SOURCES,
+  RESERVED_NAMES,
+  toCamelCase,
+  suggestName,
+  isValidName,
+  describeUnnamedFields,
+  assignParameterNames
+};
@@ -0,0 +1,242 @@
+/**
+ * PII Scrubber
+ * Replaces personal data in recorded interactions with placeholders before they reach AI providers,
+ * and maps the placeholders back into generated scripts as parameters
+ */
+
+// Built-in detectors, each toggled by the matching piiRedaction setting
+const BUILT_IN_PATTERNS = [
+  { setting: 'emails', type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  // Card numbers are matched before phone numbers so long digit runs are classified as cards
+  { setting: 'cardNumbers', type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: value => luhnValid(value) },
+  {
+    setting: 'phoneNumbers',
+    type: 'phone',
+    pattern: /\+?\(?\d[\d\s().-]{7,}\d/g,
+    check: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    }
+  }
+];
+
+// Interaction fields that describe the page rather than data the user entered or saw
+const SKIPPED_FIELDS = ['action', 'selector', 'element', 'inputType', 'key', 'parameterName'];
+// Keys inside nested fields (field, selectors, accessibility) that hold kinds rather than page text
+const SKIPPED_NESTED_KEYS = ['type', 'role', 'autocomplete'];
+
+function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Why a custom pattern cannot be used, or null. Patterns that match the empty string would put a placeholder between every character.
+ */
+function customPatternError(pattern) {
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    return `is not a valid regular expression: ${error.message}`;
+  }
+  if (regex.test('')) {
+    return 'must not match the empty string';
+  }
+  return null;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class PIIScrubber {
+  /**
+   * Compile the piiRedaction settings into detectors; invalid custom patterns are skipped
+   */
+  compileRules(config = {}) {
+    if (config.enabled === false) {
+      return { detectors: [], selectorRules: [] };
+    }
+
+    const detectors = BUILT_IN_PATTERNS.filter(detector => config[detector.setting] !== false);
+
+    (config.customPatterns || []).forEach(rule => {
+      const error = customPatternError(rule.pattern);
+      if (error) {
+        console.warn(`Skipping PII pattern ${rule.name}: it ${error}`);
+        return;
+      }
+      detectors.push({ type: rule.name, pattern: new RegExp(rule.pattern, 'g') });
+    });
+
+    return { detectors, selectorRules: config.selectorRules || [] };
+  }
+
+  /**
+   * Scrub a list of interactions.
+   * Returns a redaction holding the scrubbed interactions and the placeholder for each redacted value.
+   */
+  createRedaction(interactions, config = {}) {
+    const { detectors, selectorRules } = this.compileRules(config);
+    const redaction = { interactions, parameters: [], values: new Map() };
+
+    if (detectors.length === 0 && selectorRules.length === 0) {
+      return redaction;
+    }
+
+    const counters = {};
+    const placeholderFor = (value, type, preferredName, selector) => {
+      if (!redaction.values.has(value)) {
+        counters[type] = (counters[type] || 0) + 1;
+        // Each name is used once; another value typed into the same field gets a numbered name
+        const name = preferredName && !redaction.parameters.some(p => p.name === preferredName) ? preferredName : null;
+        const parameter = name || `${type}${counters[type]}`;
+        const placeholder = name
+          ? `[${name.toUpperCase()}]`
+          : `[${type.toUpperCase()}_${counters[type]}]`;
+        redaction.values.set(value, placeholder);
+        redaction.parameters.push({ name: parameter, type, placeholder, value, selector: selector || null });
+      } else if (selector) {
+        // A value first seen in a URL or page text keeps the field it was later typed into
+        const existing = redaction.parameters.find(p => p.value === value);
+        existing.selector = existing.selector || selector;
+      }
+      return redaction.values.get(value);
+    };
+
+    // The recorder logs every keystroke; only the value a field ends up with is named after the field
+    const finalValues = new Map();
+    interactions.forEach(interaction => {
+      if (interaction.action === 'type') finalValues.set(interaction.selector, interaction.text);
+    });
+
+    redaction.interactions = interactions.map(interaction => {
+      const scrubbed = { ...interaction };
+
+      // Values typed into fields matched by a selector rule are redacted whole
+      const rule = interaction.action === 'type' && selectorRules.find(r => r.selector === interaction.selector);
+      if (rule && interaction.text && interaction.text !== '[PASSWORD]') {
+        scrubbed.text = placeholderFor(interaction.text, 'field', rule.parameter, interaction.selector);
+      }
+
+      const scrubString = (value, field) => detectors.reduce((text, detector) =>
+        text.replace(detector.pattern, match => {
+          // Lookarounds can still match zero characters; there is nothing to redact there
+          if (!match || (detector.check && !detector.check(match))) return match;
+          const typed = interaction.action === 'type';
+          // A whole typed value becomes the field's own parameter, so the script and the API share a name
+          const final = typed && field === 'text' && match === finalValues.get(interaction.selector);
+          const name = final ? interaction.parameterName : null;
+          return placeholderFor(match, detector.type, name, typed ? interaction.selector : null);
+        }), value);
+
+      // Field labels, locator candidates and accessible names repeat page text, so they are scanned too
+      const scrubNested = value => {
+        if (typeof value === 'string') return scrubString(value, null);
+        if (Array.isArray(value)) return value.map(scrubNested);
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, nested]) =>
+            [key, SKIPPED_NESTED_KEYS.includes(key) ? nested : scrubNested(nested)]));
+        }
+        return value;
+      };
+
+      Object.keys(scrubbed).forEach(field => {
+        if (SKIPPED_FIELDS.includes(field)) return;
+        if (typeof scrubbed[field] === 'string') {
+          scrubbed[field] = scrubString(scrubbed[field], field);
+        } else if (scrubbed[field] && typeof scrubbed[field] === 'object') {
+          scrubbed[field] = scrubNested(scrubbed[field]);
+        }
+      });
+
+      return scrubbed;
+    });
+
+    return redaction;
+  }
+
+  /**
+   * Whether a value holds personal data that the detectors of the piiRedaction settings recognise
+   */
+  containsPII(value, config = {}) {
+    if (typeof value !== 'string' || value === '') {
+      return false;
+    }
+
+    return this.compileRules(config).detectors.some(detector =>
+      (value.match(detector.pattern) || []).some(match => !detector.check || detector.check(match)));
+  }
+
+  /**
+   * Replace every value redacted from the interactions wherever it appears in a prompt,
+   * e.g. inside the generated script embedded in the enhancement prompt
+   */
+  scrubText(text, redaction) {
+    if (!redaction || redaction.values.size === 0) {
+      return text;
+    }
+
+    // Longest values first so a value containing another is replaced whole
+    const values = [...redaction.values.keys()].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(values.map(escapeRegExp).join('|'), 'g');
+    return text.replace(pattern, value => redaction.values.get(value));
+  }
+
+  /**
+   * Map placeholders in a generated script back to config parameters defaulting to the recorded value.
+   * A placeholder that is a whole string literal becomes the parameter; one inside other text gets the recorded value back.
+   */
+  restoreScript(script, redaction) {
+    if (!script || !redaction || redaction.parameters.length === 0) {
+      return script;
+    }
+
+    let restored = script;
+    redaction.parameters.forEach(({ name, placeholder, value }) => {
+      const literal = new RegExp(`(['"\`])${escapeRegExp(placeholder)}\\1`, 'g');
+      restored = restored
+        .replace(literal, () => `(config.${name} ?? ${JSON.stringify(value)})`)
+        .split(placeholder).join(value);
+    });
+
+    return restored;
+  }
+
+  /**
+   * Put the recorded values back in place of their placeholders
+   */
+  restoreValues(text, redaction) {
+    if (!text || !redaction || redaction.parameters.length === 0) {
+      return text;
+    }
+
+    return redaction.parameters.reduce((restored, { placeholder, value }) =>
+      restored.split(placeholder).join(value), text);
+  }
+
+  /**
+   * Describe the redacted parameters without their values
+   */
+  describe(redaction) {
+    return (redaction?.parameters || []).map(({ name, type, placeholder, selector }) => ({
+      name,
+      type,
+      placeholder,
+      selector
+    }));
+  }
+}
+
+module.exports = PIIScrubber;
+module.exports.customPatternError = customPatternError;
@@ -0,0 +1,378 @@
+/**
+ * Prompt Template Service
+ * Versioned, editable AI prompt templates stored in the settings table
+ */
+const { isDeepStrictEqual } = require('util');
+
+const SETTINGS_KEY = 'promptTemplates';
+
+// Variables each template may reference as {{name}}
+const TEMPLATE_VARIABLES = {
+  enhancement: ['interactionCount', 'duration', 'url', 'interactions', 'script'],
+  analysis: ['interactionCount', 'interactions'],
+  documentation: ['interactionCount', 'interactions', 'script'],
+  task: ['description', 'url'],
+  healing: ['interactions', 'url', 'candidates'],
+  naming: ['fields', 'url'],
+  samples: ['parameters', 'count']
+};
+
+// Built-in templates as first shipped, built-in version 1 of each template
+const DEFAULT_TEMPLATES = {
+  enhancement: `You are an expert browser automation engineer. Analyze the following user interactions and Playwright script, then provide an enhanced, production-ready version.
+
+**User Context:**
+- Total interactions: {{interactionCount}}
+- Session duration: {{duration}}
+- Target website: {{url}}
+
+**Original Interactions:**
+{{interactions}}
+
+**Generated Playwright Script:**
+\`\`\`javascript
+{{script}}
+\`\`\`
+
+**Enhancement Requirements:**
+1. **Error Handling**: Add comprehensive try-catch blocks and graceful error recovery
+2. **Robust Selectors**: Improve selectors with fallback strategies (ID → data-testid → class → text content)
+3. **Smart Waits**: Add intelligent waiting strategies for dynamic content
+4. **Performance**: Optimize for speed and reliability
+5. **Modularity**: Structure code for reusability and maintainability
+6. **Security**: Handle sensitive data appropriately
+7. **Logging**: Add detailed logging for debugging
+8. **Configuration**: Make the script configurable with parameters
+
+**Output Format:**
+Provide only the enhanced JavaScript code with detailed comments explaining the improvements. The script should be production-ready and follow best practices.`,
+
+  analysis: `Analyze the following browser interactions and provide insights:
+
+**Interactions:**
+{{interactions}}
+
+**Analysis Required:**
+1. Identify the main workflow/process
+2. Detect potential issues or fragile points
+3. Suggest optimizations
+4. Recommend additional error handling
+5. Identify security considerations
+
+Respond with only a JSON object with exactly these fields and no others:
+{
+  "workflow": "description of the main process",
+  "issues": ["list of potential issues"],
+  "optimizations": ["list of suggested optimizations"],
+  "security": ["security considerations"],
+  "complexity": "low|medium|high"
+}`,
+
+  documentation: `Generate comprehensive API documentation for this browser automation script:
+
+**Script:**
+\`\`\`javascript
+{{script}}
+\`\`\`
+
+**Original Interactions:**
+{{interactions}}
+
+**Documentation Requirements:**
+1. Function/method descriptions
+2. Parameters and their types
+3. Return values
+4. Usage examples
+5. Error handling
+6. Configuration options
+
+Provide the documentation in Markdown format.`,
+
+  task: `Plan the browser interactions a user would perform to complete this task. The plan is replayed by a Playwright script and reviewed by a person before use.
+
+**Task:**
+{{description}}
+
+**Start URL:**
+{{url}}
+
+**Rules:**
+1. Start with a navigation to the start URL
+2. Use only these actions: navigation, click, type, keypress, wait, submit
+3. Prefer stable CSS selectors: #id, [name="..."], [data-testid="..."], [aria-label="..."]
+4. For password fields use the text "[PASSWORD]" and inputType "password"; never invent credentials
+5. Use keypress only for Enter, Tab or Escape
+6. Set fields an action does not use to null and describe each step in one short sentence
+
+Respond with only a JSON object:
+{
+  "title": "short name for the automation",
+  "interactions": [
+    { "action": "navigation", "selector": null, "url": "https://...", "text": null, "key": null, "inputType": null, "description": "Open the start page" }
+  ]
+}`,
+
+  healing: `A step of a browser automation failed because its recorded selector no longer matches the page. Pick the element on the current page that the step was meant to act on.
+
+**Failed step:**
+{{interactions}}
+
+**Page URL:**
+{{url}}
+
+**Candidate elements on the current page:**
+{{candidates}}
+
+**Rules:**
+1. Match on the element's purpose: its text, label, name, placeholder and type matter more than classes or position
+2. Never pick an element that does something different, such as a delete button for a save step
+3. Answer with a null index when no candidate clearly performs the same action
+
+Respond with only a JSON object:
+{ "index": 0, "reason": "one short sentence" }`,
+
+  naming: `Name the API parameters for the form fields a user filled in during a recorded browser session. Each field becomes a parameter callers pass to replay the session with their own values.
+
+**Page URL:**
+{{url}}
+
+**Fields:**
+{{fields}}
+
+**Rules:**
+1. Use short camelCase identifiers that say what the value is, e.g. firstName, shippingPostcode, orderNumber
+2. Base names on the label, placeholder, aria-label and attributes; the suggested name is a starting point
+3. Every name must be unique; never use headless, timeout or password
+4. Keep the suggested name when it is already clear
+
+Respond with only a JSON object:
+{ "names": [{ "index": 0, "name": "firstName" }] }`,
+
+  samples: `Generate realistic but fictional test data for the parameters of an API that replays a recorded browser automation.
+
+**Parameters:**
+{{parameters}}
+
+**Rules:**
+1. Generate {{count}} samples, each with a value for every parameter
+2. Respect each parameter's type, format, enum, minimum, maximum and maxLength
+3. Values within one sample should belong together, e.g. a name and a matching email address
+4. Never use real people, companies' customer data or live contact details; use example.com, example.org or example.net for emails and URLs
+5. Vary the samples so they cover different realistic inputs
+6. Write every value as a string, e.g. "42" for a number and "true" for a boolean
+
+Respond with only a JSON object:
+{ "samples": [{ "values": [{ "name": "email", "value": "jane.doe@example.com" }] }] }`
+};
+
+// Wording changed after a template first shipped
+const LATER_BUILT_INS = {
+  enhancement: [{
+    builtIn: 2,
+    note: 'Built-in: typed values come from config[parameterName]',
+    template: DEFAULT_TEMPLATES.enhancement.replace(
+      '8. **Configuration**: Make the script configurable with parameters',
+      '8. **Configuration**: Make the script configurable with parameters, reading each typed value from `config[parameterName]` of its interaction'
+    )
+  }]
+};
+
+// Built-in versions of each template, oldest first. Each is stored once under the next free version number,
+// tagged with its builtIn number, and never changed; new wording ships as a new built-in version.
+const BUILT_IN_TEMPLATES = Object.fromEntries(Object.entries(DEFAULT_TEMPLATES).map(([name, template]) =>
+  [name, [{ builtIn: 1, note: 'Built-in default', template }, ...(LATER_BUILT_INS[name] || [])]]
+));
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptTemplateService {
+  /**
+   * Add the built-in versions missing from the stored templates after the stored ones.
+   * Stored versions keep their numbers; a template still on a built-in version moves to the latest one.
+   */
+  normalize(stored = {}) {
+    const templates = {};
+
+    Object.entries(BUILT_IN_TEMPLATES).forEach(([name, builtIns]) => {
+      const entry = stored?.[name];
+      const versions = entry && Array.isArray(entry.versions) ? entry.versions.map(version => ({ ...version })) : [];
+
+      // Versions stored before built-ins were tagged are matched to a built-in by their text
+      versions.forEach(version => {
+        const same = version.createdAt === null && !version.builtIn && builtIns.find(b => b.template === version.template);
+        if (same) version.builtIn = same.builtIn;
+      });
+
+      const active = versions.find(version => version.version === entry?.activeVersion);
+      builtIns.forEach(({ builtIn, note, template }) => {
+        if (versions.some(version => version.builtIn === builtIn)) return;
+        const number = versions.length > 0 ? Math.max(...versions.map(version => version.version)) + 1 : 1;
+        versions.push({ version: number, template, note, createdAt: null, builtIn });
+      });
+
+      const latestBuiltIn = versions.find(version => version.builtIn === builtIns[builtIns.length - 1].builtIn);
+      templates[name] = {
+        activeVersion: active && !active.builtIn ? active.version : latestBuiltIn.version,
+        versions
+      };
+    });
+
+    return templates;
+  }
+
+  /**
+   * Get the active (or a specific) version of a template from stored templates
+   */
+  getVersion(stored, name, version = null) {
+    const entry = this.normalize(stored)[name];
+    if (!entry) {
+      throw this.createError(`Unknown prompt template: ${name}`, 'NOT_FOUND');
+    }
+
+    const wanted = version || entry.activeVersion;
+    const found = entry.versions.find(v => v.version === wanted);
+    if (!found) {
+      throw this.createError(`Prompt template ${name} has no version ${wanted}`, 'NOT_FOUND');
+    }
+
+    return found;
+  }
+
+  /**
+   * Active version number of each template
+   */
+  getActiveVersions(stored) {
+    const templates = this.normalize(stored);
+    return Object.fromEntries(Object.entries(templates).map(([name, entry]) => [name, entry.activeVersion]));
+  }
+
+  /**
+   * Compute template variables from the generation input
+   */
+  buildVariables(name, { interactions = [], script = '', metadata = {}, candidates = [], fields = [], parameters = [] }) {
+    const limits = { enhancement: 10, analysis: Infinity, documentation: 5, task: 0, healing: 1, naming: 0, samples: 0 };
+    const limit = limits[name];
+    // The selector and accessibility fields already name the element; the full candidate list would only
+    // multiply the size of prompts that include every interaction
+    const shown = interactions.slice(0, limit).map(({ selectors, ...interaction }) => interaction);
+
+    return {
+      interactionCount: String(interactions.length),
+      duration: String(metadata.duration || 'unknown'),
+      url: metadata.url || 'unknown',
+      interactions: JSON.stringify(shown, null, 2) + (name === 'enhancement' && interactions.length > limit ? '\n... (truncated)' : ''),
+      script,
+      description: metadata.taskDescription || '',
+      candidates: JSON.stringify(candidates.map((candidate, index) => ({ index, ...candidate })), null, 2),
+      fields: JSON.stringify(fields.map((field, index) => ({ index, ...field })), null, 2),
+      parameters: JSON.stringify(parameters, null, 2),
+      count: String(metadata.sampleCount || 1)
+    };
+  }
+
+  /**
+   * Render a template, substituting {{variables}} in a single pass
+   */
+  render(name, template, input) {
+    const variables = this.buildVariables(name, input);
+    return template.replace(VARIABLE_PATTERN, (match, variable) =>
+      TEMPLATE_VARIABLES[name].includes(variable) ? variables[variable] : match
+    );
+  }
+
+  /**
+   * Check a template only uses variables known for its kind
+   */
+  validateTemplate(name, template) {
+    if (!TEMPLATE_VARIABLES[name]) {
+      return [`Unknown prompt template: ${name}`];
+    }
+    if (typeof template !== 'string' || template.trim().length === 0) {
+      return ['Template must not be empty'];
+    }
+
+    const unknown = [...template.matchAll(VARIABLE_PATTERN)]
+      .map(match => match[1])
+      .filter(variable => !TEMPLATE_VARIABLES[name].includes(variable));
+
+    return [...new Set(unknown)].map(variable =>
+      `Unknown variable {{${variable}}}; available: ${TEMPLATE_VARIABLES[name].join(', ')}`
+    );
+  }
+
+  /**
+   * Load all templates with their version history
+   */
+  async load() {
+    const stored = global.db && global.db.isHealthy() ? await global.db.getSetting(SETTINGS_KEY) : null;
+    return this.normalize(stored);
+  }
+
+  /**
+   * Store the built-in versions that are not stored yet, so their version numbers never change
+   */
+  async storeBuiltIns() {
+    await global.db.updateSetting(SETTINGS_KEY, stored => {
+      const templates = this.normalize(stored);
+      return isDeepStrictEqual(templates, stored) ? undefined : templates;
+    });
+  }
+
+  /**
+   * Change one template under the settings row lock, so concurrent saves do not overwrite each other
+   */
+  async updateTemplate(name, change) {
+    let updated;
+    await global.db.updateSetting(SETTINGS_KEY, stored => {
+      const templates = this.normalize(stored);
+      const entry = templates[name];
+      if (!entry) {
+        throw this.createError(`Unknown prompt template: ${name}`, 'NOT_FOUND');
+      }
+
+      change(entry);
+      updated = { name, ...entry };
+      return templates;
+    });
+    return updated;
+  }
+
+  /**
+   * Store a new version of a template and make it active
+   */
+  async saveVersion(name, template, note = '') {
+    const errors = this.validateTemplate(name, template);
+    if (errors.length > 0) {
+      throw this.createError(errors.join('; '), 'VALIDATION_ERROR');
+    }
+
+    return this.updateTemplate(name, entry => {
+      const version = Math.max(...entry.versions.map(v => v.version)) + 1;
+      entry.versions.push({ version, template, note, createdAt: new Date().toISOString() });
+      entry.activeVersion = version;
+    });
+  }
+
+  /**
+   * Make an earlier version active again; the history is kept
+   */
+  async rollback(name, version) {
+    return this.updateTemplate(name, entry => {
+      if (!entry.versions.some(v => v.version === version)) {
+        throw this.createError(`Prompt template ${name} has no version ${version}`, 'NOT_FOUND');
+      }
+      entry.activeVersion = version;
+    });
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = PromptTemplateService;
+module.exports.SETTINGS_KEY = SETTINGS_KEY;
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+module.exports.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
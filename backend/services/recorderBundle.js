@@ -0,0 +1,219 @@
+/**
+ * Recorder Bundle
+ * Standalone recorder script for ordinary browser tabs, loaded from a bookmarklet or a script tag.
+ * It shows a floating start/stop widget and posts interactions to the backend under a recording token.
+ */
+const { buildInstallScript } = require('./pageRecorder');
+
+const BINDING_NAME = '__bookmarkletRecord';
+const WIDGET_ID = '__automation-recorder-widget';
+
+/**
+ * Runs in the page: the widget and the transport to the backend. Must not reference anything outside itself.
+ */
+function runWidget({ token, backendUrl, bindingName, widgetId }) {
+  const existing = document.getElementById(widgetId);
+  if (existing) {
+    existing.style.display = '';
+    return;
+  }
+
+  const endpoint = `${backendUrl}/api/recordings/tokens/${encodeURIComponent(token)}`;
+  // A recording resumes by itself on the next page once the bookmarklet is clicked there
+  const storageKey = `__automationRecorder:${token}`;
+  const FLUSH_DELAY = 1000;
+
+  let recording = false;
+  let count = 0;
+  let queue = [];
+  let flushTimer = null;
+  let inFlight = Promise.resolve();
+  // Stopped, but the interactions or the finish did not reach the backend yet
+  let unsaved = false;
+
+  const host = document.createElement('div');
+  host.id = widgetId;
+  host.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;';
+  const root = host.attachShadow({ mode: 'open' });
+  root.innerHTML = `
+    <style>
+      .panel { font: 13px system-ui, sans-serif; background: #1f2937; color: white; border-radius: 8px;
+        padding: 10px 12px; box-shadow: 0 4px 16px rgba(0,0,0,.3); display: flex; gap: 8px; align-items: center; }
+      .dot { width: 10px; height: 10px; border-radius: 50%; background: #9ca3af; }
+      .dot.on { background: #ef4444; }
+      button { font: inherit; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; }
+      .primary { background: #4f46e5; color: white; }
+      .close { background: transparent; color: #9ca3af; padding: 4px; }
+      button:disabled { opacity: .6; cursor: default; }
+    </style>
+    <div class="panel">
+      <span class="dot"></span>
+      <span class="status">Loading...</span>
+      <button class="primary" disabled>Start</button>
+      <button class="close" title="Hide">&times;</button>
+    </div>`;
+  document.documentElement.appendChild(host);
+
+  const dot = root.querySelector('.dot');
+  const status = root.querySelector('.status');
+  const button = root.querySelector('.primary');
+
+  const render = text => {
+    dot.classList.toggle('on', recording);
+    status.textContent = text || (recording ? `Recording · ${count} actions` : `${count} actions recorded`);
+  };
+
+  // Rejects when the queued interactions could not be delivered; error.rejected marks a backend refusal,
+  // which ends the recording
+  const send = () => {
+    if (queue.length === 0) return Promise.resolve();
+
+    const batch = queue;
+    queue = [];
+    // text/plain keeps the request simple, so it needs no CORS preflight and survives page unloads
+    return fetch(`${endpoint}/interactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ interactions: batch, metadata: { userAgent: navigator.userAgent } }),
+      keepalive: true
+    })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          recording = false;
+          sessionStorage.removeItem(storageKey);
+          button.disabled = true;
+          render(result.error);
+          const error = new Error(result.error);
+          error.rejected = true;
+          throw error;
+        }
+      }, error => {
+        queue = batch.concat(queue);
+        throw error;
+      });
+  };
+
+  // Sends after any post still in flight, so /finish never overtakes a batch
+  const flush = () => {
+    clearTimeout(flushTimer);
+    inFlight = inFlight.catch(() => {}).then(send);
+    return inFlight;
+  };
+
+  window[bindingName] = interaction => {
+    if (!recording) return;
+    queue.push({ ...interaction, timestamp: Date.now() });
+    count++;
+    render();
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => flush().catch(() => {}), FLUSH_DELAY);
+  };
+
+  const recordNavigation = () => window[bindingName]({ action: 'navigation', url: location.href });
+
+  const start = () => {
+    recording = true;
+    sessionStorage.setItem(storageKey, 'recording');
+    button.textContent = 'Stop & save';
+    recordNavigation();
+  };
+
+  const stop = () => {
+    recording = false;
+    unsaved = false;
+    sessionStorage.removeItem(storageKey);
+    button.disabled = true;
+    render('Saving...');
+
+    flush()
+      .then(() => fetch(`${endpoint}/finish`, { method: 'POST' }))
+      .then(response => response.json())
+      .then(result => {
+        render(result.success ? 'Saved. It is processed in the app like any other recording.' : result.error);
+        if (result.success) setTimeout(() => host.remove(), 4000);
+      })
+      .catch(error => {
+        // flush already showed why the backend refused the interactions
+        if (error.rejected) return;
+        unsaved = true;
+        button.textContent = 'Retry save';
+        button.disabled = false;
+        render('Could not reach the backend to save the recording');
+      });
+  };
+
+  button.addEventListener('click', () => (recording || unsaved ? stop() : start()));
+  root.querySelector('.close').addEventListener('click', () => {
+    host.style.display = 'none';
+  });
+
+  window.addEventListener('popstate', () => recording && recordNavigation());
+  // The page is going away, so this cannot wait for a post in flight
+  window.addEventListener('pagehide', () => {
+    clearTimeout(flushTimer);
+    send().catch(() => {});
+  });
+
+  fetch(endpoint)
+    .then(response => response.json())
+    .then(result => {
+      if (!result.success) {
+        render(result.error);
+        return;
+      }
+      count = result.data.interactionCount;
+      button.disabled = false;
+      if (sessionStorage.getItem(storageKey)) {
+        start();
+      } else {
+        render();
+      }
+    })
+    .catch(() => render('Could not reach the backend'));
+}
+
+/**
+ * The recorder script served to pages. It reads the token and backend URL from its script tag's
+ * data-token and data-backend attributes; the backend defaults to the script's own origin.
+ * Throws RECORDER_NOT_BUILT when the page recorder bundle has not been built.
+ */
+function buildRecorderScript() {
+  return `(function () {
+  var script = document.currentScript;
+  if (!script || !script.dataset.token) {
+    console.error('Automation recorder: the script tag needs a data-token attribute');
+    return;
+  }
+  var backendUrl = (script.dataset.backend || new URL(script.src).origin).replace(/\\/+$/, '');
+  ${buildInstallScript({ bindingName: BINDING_NAME, ignoreSelector: `#${WIDGET_ID}` })}
+  (${runWidget})({
+    token: script.dataset.token,
+    backendUrl: backendUrl,
+    bindingName: ${JSON.stringify(BINDING_NAME)},
+    widgetId: ${JSON.stringify(WIDGET_ID)}
+  });
+})();
+`;
+}
+
+/**
+ * A script tag and a bookmarklet that load the recorder script with a token
+ */
+function buildLoaders({ scriptUrl, token, backendUrl }) {
+  const attributes = { src: scriptUrl, 'data-token': token, 'data-backend': backendUrl };
+
+  const scriptTag = `<script ${Object.entries(attributes).map(([name, value]) => `${name}="${value}"`).join(' ')}></script>`;
+  const bookmarklet = `javascript:(function(){var s=document.createElement('script');${
+    Object.entries(attributes).map(([name, value]) => `s.setAttribute(${JSON.stringify(name)},${JSON.stringify(value)});`).join('')
+  }document.documentElement.appendChild(s);})();`
+    // Browsers percent-decode javascript: URLs before running them
+    .replace(/%/g, '%25');
+
+  return { scriptTag, bookmarklet };
+}
+
+module.exports = {
+  buildRecorderScript,
+  buildLoaders
+};
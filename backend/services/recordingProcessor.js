@@ -0,0 +1,345 @@
+/**
+ * Recording Processor Service
+ * Durable, Postgres-backed queue that turns recordings into automation packages
+ */
+const os = require('os');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const APIExportService = require('./apiExportService');
+
+// How long finished progress histories are kept for late subscribers
+const PROGRESS_RETENTION_MS = 5 * 60 * 1000;
+
+class RecordingProcessor extends EventEmitter {
+  constructor(db, scriptGenerator, options = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.db = db;
+    this.scriptGenerator = scriptGenerator;
+    this.apiExport = new APIExportService();
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.concurrency = options.concurrency || parseInt(process.env.RECORDING_WORKER_CONCURRENCY) || 1;
+    this.pollInterval = options.pollInterval || parseInt(process.env.RECORDING_WORKER_POLL_INTERVAL) || 2000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RECORDING_JOB_MAX_ATTEMPTS) || 3;
+    this.backoffBase = options.backoffBase || 5000;
+    this.lockTimeout = options.lockTimeout || 10 * 60 * 1000;
+
+    this.running = false;
+    this.claiming = false;
+    this.activeJobs = 0;
+    this.pollTimer = null;
+    this.progress = new Map();
+  }
+
+  /**
+   * Queue a recording for processing
+   */
+  async enqueue(recordingId) {
+    const job = await this.db.createProcessingJob({
+      recording_id: recordingId,
+      max_attempts: this.maxAttempts
+    });
+
+    this.poke();
+    return job;
+  }
+
+  /**
+   * Recover stuck recordings and start polling for jobs
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const resumed = await this.db.enqueueStuckRecordings(this.maxAttempts);
+      if (resumed.length > 0) {
+        console.log(`Resumed processing for ${resumed.length} stuck recordings`);
+      }
+    } catch (error) {
+      console.error('Failed to recover stuck recordings:', error);
+    }
+
+    console.log(`✅ Recording worker ${this.workerId} started`);
+    this.poke();
+  }
+
+  /**
+   * Stop claiming new jobs; jobs in flight finish normally
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+  }
+
+  /**
+   * Claim as many jobs as there are free worker slots, then schedule the next poll
+   */
+  async poke() {
+    if (!this.running || this.claiming) return;
+    this.claiming = true;
+    clearTimeout(this.pollTimer);
+
+    try {
+      await this.failAbandonedJobs();
+
+      while (this.running && this.activeJobs < this.concurrency) {
+        const job = await this.db.claimProcessingJob(this.workerId, this.lockTimeout);
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+          this.poke();
+        });
+      }
+    } catch (error) {
+      console.error('Failed to claim processing job:', error);
+    } finally {
+      this.claiming = false;
+    }
+
+    if (this.running) {
+      this.pollTimer = setTimeout(() => this.poke(), this.pollInterval);
+      this.pollTimer.unref();
+    }
+  }
+
+  /**
+   * Process a claimed job, retrying with exponential backoff on failure
+   */
+  async runJob(job) {
+    // Hold the lock while the pipeline runs: renew it as each stage starts and on a timer for long stages
+    const renewLock = () => this.extendLock(job);
+    const onProgress = entry => {
+      if (entry.recordingId === String(job.recording_id) && entry.status === 'started') renewLock();
+    };
+    const lockTimer = setInterval(renewLock, this.lockTimeout / 3);
+    lockTimer.unref();
+    this.on('progress', onProgress);
+
+    try {
+      await this.processRecording(job.recording_id, () => this.holdLock(job));
+      await this.holdLock(job);
+      await this.db.completeProcessingJob(job.id);
+    } catch (error) {
+      // Another worker reclaimed the job and owns its outcome now
+      if (error.code === 'LOCK_LOST') {
+        console.warn(`Abandoning processing job ${job.id}: ${error.message}`);
+        return;
+      }
+
+      console.error(`Processing job ${job.id} attempt ${job.attempts} failed:`, error);
+
+      try {
+        if (job.attempts < job.max_attempts) {
+          const delay = this.backoffBase * Math.pow(2, job.attempts - 1);
+          await this.db.retryProcessingJob(job.id, error.message, new Date(Date.now() + delay));
+          console.log(`Retrying recording ${job.recording_id} in ${delay}ms`);
+          this.emitProgress(job.recording_id, {
+            stage: 'retry',
+            status: 'scheduled',
+            attempt: job.attempts,
+            maxAttempts: job.max_attempts,
+            delay,
+            error: error.message
+          });
+        } else {
+          await this.db.failProcessingJob(job.id, error.message);
+          await this.db.updateRecording(job.recording_id, {
+            status: 'error',
+            error_message: error.message
+          });
+          this.emitProgress(job.recording_id, { stage: 'done', status: 'error', error: error.message });
+        }
+      } catch (updateError) {
+        console.error('Failed to update processing job with error:', updateError);
+      }
+    } finally {
+      clearInterval(lockTimer);
+      this.off('progress', onProgress);
+    }
+  }
+
+  /**
+   * Renew the job's lock. Marks the job as lost once another worker has taken it over.
+   */
+  async extendLock(job) {
+    if (job.lockLost) return;
+    try {
+      const extended = await this.db.extendProcessingJobLock(job.id, this.workerId, this.lockTimeout);
+      if (!extended) {
+        job.lockLost = true;
+        console.warn(`Processing job ${job.id} is no longer locked by worker ${this.workerId}`);
+      }
+    } catch (error) {
+      console.error(`Failed to extend the lock of processing job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Renew the job's lock before a write, throwing LOCK_LOST when this worker no longer holds it
+   */
+  async holdLock(job) {
+    await this.extendLock(job);
+    if (job.lockLost) {
+      const error = new Error(`Worker ${this.workerId} lost the lock of processing job ${job.id}`);
+      error.code = 'LOCK_LOST';
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the recordings of jobs abandoned on their last attempt as failed instead of reclaiming them
+   */
+  async failAbandonedJobs() {
+    const abandoned = await this.db.failAbandonedProcessingJobs();
+    for (const job of abandoned) {
+      await this.db.updateRecording(job.recording_id, {
+        status: 'error',
+        error_message: job.last_error
+      });
+      this.emitProgress(job.recording_id, { stage: 'done', status: 'error', error: job.last_error });
+    }
+  }
+
+  /**
+   * Process recording and generate script. holdLock runs before each write and throws when the job was lost.
+   */
+  async processRecording(recordingId, holdLock = async () => {}) {
+    const recording = await this.db.getRecording(recordingId);
+    if (!recording) {
+      throw new Error(`Recording not found: ${recordingId}`);
+    }
+
+    const recorded = recording.interactions || [];
+    console.log(`Processing recording ${recordingId} with ${recorded.length} interactions`);
+    const onProgress = event => this.emitProgress(recordingId, event);
+
+    // Parameter names are stored on the recording so exported APIs and live executions agree on them
+    const interactions = await this.scriptGenerator.nameParameters(recorded, recording.metadata || {}, onProgress, { recordingId });
+    if (interactions.some((interaction, index) => interaction !== recorded[index])) {
+      await holdLock();
+      await this.db.updateRecording(recordingId, { interactions });
+    }
+
+    // Generate comprehensive automation package using AI
+    const automationPackage = await this.scriptGenerator.generateAutomationPackage(
+      interactions,
+      recording.metadata,
+      onProgress,
+      { recordingId }
+    );
+
+    // Update recording with generated automation package
+    await holdLock();
+    await this.db.updateRecording(recordingId, {
+      status: 'completed',
+      automation_package: automationPackage,
+      completed_at: new Date()
+    });
+
+    // Auto-register API if automation package includes API export
+    this.emitProgress(recordingId, { stage: 'api_registration', status: 'started' });
+    try {
+      const reason = this.registrationBlocker(recording, automationPackage);
+      if (reason) {
+        console.warn(`API registration blocked for recording ${recordingId}: ${reason}`);
+        this.emitProgress(recordingId, { stage: 'api_registration', status: 'blocked', reason });
+      } else {
+        await holdLock();
+        const api = await this.registerAPI({ ...recording, interactions }, automationPackage);
+        this.emitProgress(recordingId, { stage: 'api_registration', status: 'completed', apiId: api.id });
+      }
+    } catch (apiError) {
+      if (apiError.code === 'LOCK_LOST') throw apiError;
+      console.error('Failed to register API:', apiError);
+      this.emitProgress(recordingId, { stage: 'api_registration', status: 'failed', error: apiError.message });
+    }
+
+    console.log(`Recording ${recordingId} processed successfully`);
+    this.emitProgress(recordingId, { stage: 'done', status: 'completed' });
+  }
+
+  /**
+   * Why the recording's API must not be registered automatically, or null
+   */
+  registrationBlocker(recording, automationPackage) {
+    const highSeverity = automationPackage.analysis?.safetyScan?.highSeverity || 0;
+    if (highSeverity > 0) {
+      return `Generated code has ${highSeverity} high-severity safety finding(s); review analysis.security before registering an API`;
+    }
+    if (recording.metadata?.needsReview) {
+      return 'The steps were planned by AI and never recorded; approve the recording after reviewing them to register its API';
+    }
+    return null;
+  }
+
+  /**
+   * Register the live API of a processed recording
+   */
+  async registerAPI(recording, automationPackage) {
+    // The live routes serve this row by its id and replay the recording it points to
+    const apiPackage = await this.apiExport.generateAPIPackage({ ...recording, metadata: recording.metadata || {} }, automationPackage);
+    const api = await this.db.createAPI({
+      recording_id: recording.id,
+      name: recording.title || `API for ${recording.id}`,
+      description: recording.description || 'Generated API from browser automation',
+      version: apiPackage.metadata.version,
+      endpoints: apiPackage.metadata.endpoints,
+      openapi_spec: apiPackage.apis.openapi
+    });
+
+    console.log(`API ${api.id} registered for recording ${recording.id}`);
+    return api;
+  }
+
+  /**
+   * Record a progress event and notify subscribers
+   */
+  emitProgress(recordingId, event) {
+    const key = String(recordingId);
+    const entry = {
+      recordingId: key,
+      ...event,
+      timestamp: new Date().toISOString()
+    };
+
+    // A new attempt starts with a clean history
+    if (event.stage === 'basic_script' && event.status === 'started') {
+      this.progress.set(key, []);
+    }
+
+    if (!this.progress.has(key)) {
+      this.progress.set(key, []);
+    }
+    this.progress.get(key).push(entry);
+
+    if (event.stage === 'done') {
+      setTimeout(() => this.progress.delete(key), PROGRESS_RETENTION_MS).unref();
+    }
+
+    this.emit('progress', entry);
+  }
+
+  /**
+   * Get progress events recorded so far for a recording
+   */
+  getProgress(recordingId) {
+    return this.progress.get(String(recordingId)) || [];
+  }
+
+  /**
+   * Get worker statistics
+   */
+  getStats() {
+    return {
+      workerId: this.workerId,
+      running: this.running,
+      activeJobs: this.activeJobs,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = RecordingProcessor;
@@ -0,0 +1,234 @@
+/**
+ * Remote Recorder Service
+ * Records flows on third-party sites: launches a visible browser at the target URL, injects the page
+ * recorder into every page and frame, and emits the captured interactions as they happen
+ */
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { chromium } = require('playwright');
+const { buildInstallScript } = require('./pageRecorder');
+
+const BINDING_NAME = '__recordInteraction';
+
+// Stopped sessions keep their interactions this long for the client to collect them
+const RESULT_TTL = 10 * 60 * 1000;
+
+class RemoteRecorder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxSessions = options.maxSessions || parseInt(process.env.REMOTE_RECORDING_MAX_SESSIONS) || 2;
+    this.maxDuration = options.maxDuration || (parseInt(process.env.REMOTE_RECORDING_MAX_MINUTES) || 30) * 60 * 1000;
+    this.launchOptions = {
+      // A person records the flow in this window, so it is never headless
+      headless: false,
+      args: ['--no-sandbox', '--disable-dev-shm-usage'],
+      ...options.launchOptions
+    };
+
+    this.sessions = new Map();
+  }
+
+  /**
+   * Open a browser at url and start recording. Returns the session summary.
+   */
+  async startSession({ url, title = null }) {
+    const active = [...this.sessions.values()].filter(session => session.status !== 'stopped').length;
+    if (active >= this.maxSessions) {
+      throw this.createError(`At most ${this.maxSessions} remote recordings can run at once`, 'TOO_MANY_SESSIONS');
+    }
+
+    // The app's recorder, built by the frontend; throws RECORDER_NOT_BUILT before any browser is opened
+    const recorderScript = buildInstallScript({ bindingName: BINDING_NAME });
+
+    const session = {
+      id: uuidv4(),
+      url,
+      title,
+      status: 'starting',
+      interactions: [],
+      startTime: Date.now(),
+      stoppedAt: null,
+      stopReason: null,
+      userAgent: null,
+      browser: null,
+      timers: []
+    };
+    this.sessions.set(session.id, session);
+
+    try {
+      session.browser = await chromium.launch(this.launchOptions);
+      const context = await session.browser.newContext({ viewport: null });
+
+      await context.exposeBinding(BINDING_NAME, (source, interaction) => this.handleInteraction(session, source, interaction));
+      // Init scripts run in every page and frame before the site's own scripts
+      await context.addInitScript({ content: recorderScript });
+
+      context.on('page', page => this.watchPage(session, page));
+      session.browser.on('disconnected', () => this.finish(session, 'browser_closed'));
+
+      const page = await context.newPage();
+      session.userAgent = await page.evaluate(() => navigator.userAgent);
+      session.status = 'recording';
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+    } catch (error) {
+      await this.finish(session, 'launch_failed');
+      this.sessions.delete(session.id);
+      if (/display|x server|headed/i.test(error.message)) {
+        throw this.createError('Remote recording needs a display on the server to show the browser window', 'NO_DISPLAY');
+      }
+      throw error;
+    }
+
+    session.timers.push(setTimeout(() => this.finish(session, 'max_duration'), this.maxDuration));
+    return this.summarize(session);
+  }
+
+  /**
+   * Record main-frame navigations of a page, including the first one
+   */
+  watchPage(session, page) {
+    page.on('framenavigated', frame => {
+      if (frame !== page.mainFrame() || frame.url() === 'about:blank') return;
+      this.addInteraction(session, { action: 'navigation', url: frame.url() });
+    });
+  }
+
+  /**
+   * An interaction reported by the page recorder; steps in child frames are tagged with
+   * the selectors of the <iframe> elements leading to them, outermost first
+   */
+  async handleInteraction(session, source, interaction) {
+    if (session.status !== 'recording' || !interaction || typeof interaction.action !== 'string') return;
+
+    const frames = [];
+    try {
+      for (let frame = source.frame; frame.parentFrame(); frame = frame.parentFrame()) {
+        const element = await frame.frameElement();
+        frames.unshift(await element.evaluate(el => window.__automationRecorder?.selectorFor(el) || el.tagName.toLowerCase()));
+      }
+    } catch (error) {
+      // The frame went away before it could be located
+    }
+
+    this.addInteraction(session, frames.length > 0 ? { ...interaction, frames } : interaction);
+  }
+
+  addInteraction(session, interaction) {
+    if (session.status !== 'recording') return;
+
+    const entry = {
+      ...interaction,
+      timestamp: Date.now(),
+      relativeTime: Date.now() - session.startTime
+    };
+    session.interactions.push(entry);
+    this.emit('interaction', { sessionId: session.id, interaction: entry });
+  }
+
+  getSession(id) {
+    const session = this.sessions.get(id);
+    return session ? this.summarize(session) : null;
+  }
+
+  /**
+   * Interactions recorded so far in a session
+   */
+  getInteractions(id) {
+    return this.sessions.get(id)?.interactions || [];
+  }
+
+  /**
+   * Stop a session and hand over its recording as { interactions, metadata }, ready for POST /api/recordings.
+   * The session is forgotten afterwards.
+   */
+  async stopSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw this.createError('Remote recording session not found', 'NOT_FOUND');
+    }
+
+    await this.finish(session, 'stopped');
+    this.sessions.delete(id);
+
+    const duration = session.stoppedAt - session.startTime;
+    return {
+      interactions: session.interactions,
+      metadata: {
+        title: session.title || `Remote recording of ${new URL(session.url).hostname}`,
+        url: session.url,
+        userAgent: session.userAgent,
+        interactionCount: session.interactions.length,
+        duration,
+        source: 'remote'
+      }
+    };
+  }
+
+  /**
+   * Stop a session and throw its interactions away
+   */
+  async discardSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw this.createError('Remote recording session not found', 'NOT_FOUND');
+    }
+
+    await this.finish(session, 'discarded');
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Close the session's browser; the interactions stay available until collected or expired
+   */
+  async finish(session, reason) {
+    if (session.status === 'stopped') return;
+
+    session.status = 'stopped';
+    session.stoppedAt = Date.now();
+    session.stopReason = reason;
+    session.timers.forEach(timer => clearTimeout(timer));
+    session.timers = [];
+
+    if (session.browser) {
+      await session.browser.close().catch(error => {
+        console.error('Failed to close remote recording browser:', error.message);
+      });
+    }
+
+    if (this.sessions.has(session.id)) {
+      const expiry = setTimeout(() => this.sessions.delete(session.id), RESULT_TTL);
+      expiry.unref();
+    }
+
+    this.emit('stopped', { sessionId: session.id, reason, interactionCount: session.interactions.length });
+  }
+
+  summarize(session) {
+    return {
+      id: session.id,
+      url: session.url,
+      title: session.title,
+      status: session.status,
+      stopReason: session.stopReason,
+      interactionCount: session.interactions.length,
+      startedAt: new Date(session.startTime).toISOString(),
+      duration: (session.stoppedAt || Date.now()) - session.startTime
+    };
+  }
+
+  /**
+   * Close every session's browser, e.g. on shutdown
+   */
+  async close() {
+    await Promise.all([...this.sessions.values()].map(session => this.finish(session, 'shutdown')));
+    this.sessions.clear();
+  }
+
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = RemoteRecorder;
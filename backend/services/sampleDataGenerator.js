@@ -0,0 +1,250 @@
+/**
+ * Sample Data Generator
+ * Produces realistic request payloads for API parameters from their names, types and constraints,
+ * offline from built-in word lists or through the AI service
+ */
+
+const FIRST_NAMES = ['Olivia', 'Liam', 'Emma', 'Noah', 'Ava', 'Mateo', 'Sofia', 'Lucas', 'Mia', 'Amara', 'Kenji', 'Priya', 'Jonas', 'Leila', 'Diego', 'Hannah'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Nguyen', 'Müller', 'Okafor', 'Rossi', 'Tanaka', 'Kowalski', 'Johnson', 'Patel', 'Silva', 'Andersson', 'Dubois', 'Kim'];
+const CITIES = ['Springfield', 'Riverside', 'Portland', 'Austin', 'Denver', 'Madison', 'Salem', 'Franklin', 'Greenville', 'Bristol'];
+const STREETS = ['Main St', 'Oak Avenue', 'Maple Drive', 'Cedar Lane', 'Park Road', 'Elm Street', 'Lakeview Blvd', 'Hillcrest Way'];
+const STATES = ['California', 'Texas', 'Oregon', 'Colorado', 'New York', 'Ohio', 'Washington', 'Georgia'];
+const COUNTRIES = ['United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Australia', 'Japan', 'Brazil'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Stark Industries', 'Wayne Enterprises', 'Hooli', 'Vandelay Imports'];
+const SEARCH_TERMS = ['wireless headphones', 'running shoes', 'coffee grinder', 'standing desk', 'winter jacket', 'usb-c cable', 'yoga mat'];
+const WORDS = ['quick', 'order', 'review', 'update', 'request', 'delivery', 'account', 'project', 'weekly', 'report', 'sample', 'support'];
+// Reserved for documentation, so sample requests never reach a real mailbox or site
+const DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+const DEFAULT_COUNT = 3;
+const MAX_COUNT = 10;
+
+// Parameters the generated APIs add themselves; they keep their documented defaults
+const OPTION_PARAMETERS = ['headless', 'timeout'];
+
+/**
+ * Small deterministic PRNG so the examples in a spec are the same every time it is generated
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function pad(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function asciiLower(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class SampleDataGenerator {
+  constructor(options = {}) {
+    this.aiService = options.aiService || null;
+  }
+
+  /**
+   * Generate count payloads offline. The same parameters and seed always give the same payloads.
+   */
+  generate(parameters, options = {}) {
+    const count = this.normalizeCount(options.count);
+    const seed = options.seed ?? hashString(parameters.map(p => p.name).join(','));
+    const random = createRandom(seed);
+
+    return Array.from({ length: count }, () => {
+      // Names and emails in one payload describe the same person
+      const person = {
+        first: random.pick(FIRST_NAMES),
+        last: random.pick(LAST_NAMES),
+        domain: random.pick(DOMAINS)
+      };
+      return Object.fromEntries(
+        this.payloadParameters(parameters).map(parameter => [parameter.name, this.generateValue(parameter, random, person)])
+      );
+    });
+  }
+
+  /**
+   * Generate payloads with the AI service, falling back to offline generation.
+   * Returns { samples, source } where source is 'ai' or 'offline'.
+   */
+  async generateWithAI(parameters, options = {}) {
+    const count = this.normalizeCount(options.count);
+    const aiService = this.aiService || global.aiService;
+    const offline = () => ({ samples: this.generate(parameters, { ...options, count }), source: 'offline' });
+
+    // Sensitive values are always generated locally
+    const fields = this.payloadParameters(parameters).filter(parameter => !this.isSensitive(parameter));
+    if (!aiService || fields.length === 0) {
+      return offline();
+    }
+
+    const generated = await aiService.generateSampleData(fields.map(parameter => this.describeParameter(parameter)), count, options.context);
+    if (!generated) {
+      return offline();
+    }
+
+    const local = this.generate(parameters, { ...options, count });
+    const samples = local.map((payload, index) => {
+      const values = generated[index] || {};
+      fields.forEach(parameter => {
+        if (values[parameter.name] !== undefined) {
+          payload[parameter.name] = this.coerce(parameter, values[parameter.name], payload[parameter.name]);
+        }
+      });
+      return payload;
+    });
+
+    return { samples, source: 'ai' };
+  }
+
+  /**
+   * Parameters a caller fills in; the generated APIs' own options are left to their defaults
+   */
+  payloadParameters(parameters) {
+    return parameters.filter(parameter => !OPTION_PARAMETERS.includes(parameter.name));
+  }
+
+  /**
+   * What the AI service may see about a parameter: never the recorded example value
+   */
+  describeParameter(parameter) {
+    const description = { name: parameter.name, type: this.baseType(parameter) };
+    ['format', 'description', 'enum', 'minimum', 'maximum', 'maxLength'].forEach(key => {
+      if (parameter[key] !== undefined && parameter[key] !== null) description[key] = parameter[key];
+    });
+    return description;
+  }
+
+  normalizeCount(count) {
+    const parsed = parseInt(count);
+    return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 1), MAX_COUNT) : DEFAULT_COUNT;
+  }
+
+  isSensitive(parameter) {
+    return parameter.sensitive === true || /password|secret|token|pin$/i.test(parameter.name);
+  }
+
+  /**
+   * JSON type of a parameter; the exporter infers 'email' as a type of its own
+   */
+  baseType(parameter) {
+    return parameter.type === 'email' ? 'string' : parameter.type || 'string';
+  }
+
+  /**
+   * Convert an AI-provided value to the parameter's type, keeping the local value when it does not fit
+   */
+  coerce(parameter, value, fallback) {
+    const type = this.baseType(parameter);
+    if (parameter.enum && !parameter.enum.includes(String(value))) return fallback;
+    if (type === 'number' || type === 'integer') {
+      const number = toNumber(value);
+      const minimum = toNumber(parameter.minimum);
+      const maximum = toNumber(parameter.maximum);
+      if (number === null || (minimum !== null && number < minimum) || (maximum !== null && number > maximum)) {
+        return fallback;
+      }
+      return type === 'integer' ? Math.round(number) : number;
+    }
+    if (type === 'boolean') return value === true || value === 'true';
+    const text = String(value);
+    return parameter.maxLength ? text.slice(0, parameter.maxLength) : text;
+  }
+
+  /**
+   * One realistic value for a parameter, chosen by its constraints, then its name, then its type
+   */
+  generateValue(parameter, random, person) {
+    if (Array.isArray(parameter.enum) && parameter.enum.length > 0) {
+      return random.pick(parameter.enum);
+    }
+
+    const type = this.baseType(parameter);
+    if (type === 'boolean') return random.next() < 0.5;
+    if (type === 'number' || type === 'integer') return this.generateNumber(parameter, random);
+
+    const value = this.generateString(parameter, random, person);
+    return parameter.maxLength ? value.slice(0, parameter.maxLength) : value;
+  }
+
+  generateNumber(parameter, random) {
+    const name = parameter.name.toLowerCase();
+    const min = toNumber(parameter.minimum);
+    const max = toNumber(parameter.maximum);
+    let low = min ?? (/age/.test(name) ? 18 : 1);
+    let high = max ?? (/age/.test(name) ? 80 : /price|amount|total|cost/.test(name) ? 500 : 100);
+    if (high < low) [low, high] = [high, low];
+
+    if (/price|amount|total|cost/.test(name) && parameter.type !== 'integer') {
+      return Math.round((low + random.next() * (high - low)) * 100) / 100;
+    }
+    return random.int(Math.ceil(low), Math.floor(high));
+  }
+
+  generateString(parameter, random, person) {
+    const name = parameter.name.toLowerCase();
+    const format = parameter.format;
+
+    if (format === 'email' || parameter.type === 'email' || /e?mail/.test(name)) {
+      return `${asciiLower(person.first)}.${asciiLower(person.last)}@${person.domain}`;
+    }
+    if (format === 'date' || /date|dob|birthday/.test(name)) {
+      const year = /birth|dob/.test(name) ? random.int(1960, 2004) : random.int(2024, 2026);
+      return `${year}-${pad(random.int(1, 12), 2)}-${pad(random.int(1, 28), 2)}`;
+    }
+    if (format === 'uri' || /url|website|link|homepage/.test(name)) {
+      return `https://www.${person.domain}/${random.pick(WORDS)}`;
+    }
+    if (/phone|mobile|tel/.test(name)) return `+1-555-01${pad(random.int(0, 99), 2)}`;
+    if (/password|secret|token/.test(name)) return `Sample-${random.int(1000, 9999)}-${random.pick(WORDS)}!`;
+    if (/first|given|fname/.test(name)) return person.first;
+    if (/last|surname|family|lname/.test(name)) return person.last;
+    if (/user|login|handle/.test(name)) return `${asciiLower(person.first)}${random.int(10, 99)}`;
+    if (/name/.test(name) && !/company|org|product/.test(name)) return `${person.first} ${person.last}`;
+    if (/company|organi[sz]ation|employer|org/.test(name)) return random.pick(COMPANIES);
+    if (/zip|postal|postcode/.test(name)) return pad(random.int(10000, 99999), 5);
+    if (/city|town/.test(name)) return random.pick(CITIES);
+    if (/state|province|region/.test(name)) return random.pick(STATES);
+    if (/country/.test(name)) return random.pick(COUNTRIES);
+    if (/street|address/.test(name)) return `${random.int(1, 9999)} ${random.pick(STREETS)}`;
+    if (/time/.test(name)) return `${pad(random.int(8, 18), 2)}:${random.pick(['00', '15', '30', '45'])}`;
+    if (/search|query|keyword|term|^q$/.test(name)) return random.pick(SEARCH_TERMS);
+    if (/comment|message|note|description|body/.test(name)) {
+      return `Please ${random.pick(WORDS)} the ${random.pick(WORDS)} ${random.pick(WORDS)} by Friday.`;
+    }
+    if (/title|subject/.test(name)) return `${random.pick(WORDS)} ${random.pick(WORDS)}`.replace(/^\w/, c => c.toUpperCase());
+    if (/code|coupon|promo/.test(name)) return `${random.pick(WORDS).toUpperCase()}${random.int(10, 99)}`;
+
+    return `${random.pick(WORDS)} ${random.pick(WORDS)}`;
+  }
+}
+
+SampleDataGenerator.MAX_COUNT = MAX_COUNT;
+
+module.exports = SampleDataGenerator;
@@ -0,0 +1,79 @@
+/**
+ * Samples Schema
+ * Declared JSON schema for synthetic test payloads the model generates for API parameters
+ */
+const { toProviderSchema, validate } = require('./analysisSchema');
+
+const SAMPLES_SCHEMA = {
+  type: 'object',
+  properties: {
+    samples: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          values: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', minLength: 1 },
+                value: { type: 'string' }
+              },
+              required: ['name', 'value'],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['values'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['samples'],
+  additionalProperties: false
+};
+
+const SAMPLES_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'sample_data',
+    schema: toProviderSchema(SAMPLES_SCHEMA),
+    strict: true
+  }
+};
+
+/**
+ * Build a validator for count samples that each give a value for every one of the parameter names
+ */
+function createSamplesValidator(names, count) {
+  return value => {
+    const errors = validate(value, SAMPLES_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (value.samples.length !== count) {
+      errors.push(`$.samples must contain ${count} samples, got ${value.samples.length}`);
+    }
+    value.samples.forEach((sample, position) => {
+      const given = sample.values.map(entry => entry.name);
+      const unknown = given.filter(name => !names.includes(name));
+      const missing = names.filter(name => !given.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`$.samples[${position}] has unknown parameters: ${unknown.join(', ')}`);
+      }
+      if (missing.length > 0) {
+        errors.push(`$.samples[${position}] is missing parameters: ${missing.join(', ')}`);
+      }
+    });
+
+    return errors;
+  };
+}
+
+module.exports = {
+  SAMPLES_SCHEMA,
+  SAMPLES_RESPONSE_FORMAT,
+  createSamplesValidator
+};
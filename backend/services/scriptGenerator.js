@@ -1,4 +1,8 @@
 const AIService = require('./aiService');
+const { validateScript } = require('./scriptValidator');
+const CodeSafetyScanner = require('./codeSafetyScanner');
+const { DESCRIPTIVE_SOURCES, describeUnnamedFields, assignParameterNames } = require('./parameterNaming');
+const { toPlaywrightLocatorCode, needsLocateUnique, LOCATE_UNIQUE_SOURCE } = require('./selectorCandidates');
 
 /**
  * Advanced Script Generator Service
@@ -7,37 +11,80 @@ const AIService = require('./aiService');
 class ScriptGenerator {
   constructor() {
     this.aiService = new AIService();
+    this.safetyScanner = new CodeSafetyScanner();
   }
 
   /**
    * Generate comprehensive automation package
+   * onProgress receives { stage, status } events as each stage starts and finishes
+   * options.recordingId attributes AI token usage to the recording
    */
-  async generateAutomationPackage(interactions, metadata = {}) {
+  async generateAutomationPackage(interactions, metadata = {}, onProgress = () => {}, options = {}) {
+    // Pin the prompt templates so every stage uses the versions recorded on the package
+    const promptTemplates = await this.aiService.getPromptTemplates();
+    // Personal data is replaced with placeholders once and the same mapping is used by every AI stage
+    const redaction = await this.aiService.createRedaction(interactions);
+    const context = { recordingId: options.recordingId, promptTemplates, redaction };
+
     try {
       console.log('Generating automation package for', interactions.length, 'interactions');
       
       // 1. Generate basic Playwright script
-      const basicScript = this.generateBasicPlaywrightScript(interactions);
+      const basicScript = await this.runStage('basic_script', onProgress, () =>
+        this.generateBasicPlaywrightScript(interactions)
+      );
       
       // 2. Analyze interactions with AI
-      const analysis = await this.aiService.analyzeInteractions(interactions);
-      
-      // 3. Generate enhanced script with AI
-      const enhancedScript = await this.aiService.generateEnhancedScript(
-        basicScript, 
-        interactions, 
-        metadata
+      const analysis = await this.runStage('analysis', onProgress, () =>
+        this.aiService.analyzeInteractions(interactions, context)
       );
       
+      // 3. Generate enhanced script with AI, keeping the basic script when the result is not usable
+      const warnings = [];
+      const enhancedScript = await this.runStage('enhancement', onProgress, async () => {
+        let script;
+        try {
+          script = await this.aiService.generateEnhancedScript(basicScript, interactions, metadata, context);
+        } catch (error) {
+          if (error.code !== 'ALL_MODELS_FAILED') throw error;
+
+          const message = `No AI model could enhance the script (${error.message}); the basic script is used instead`;
+          console.warn(message);
+          warnings.push({ stage: 'enhancement', message });
+          return basicScript;
+        }
+
+        const validation = validateScript(script);
+        if (validation.valid) {
+          return script;
+        }
+
+        const message = `Enhanced script failed validation (${validation.errors.join('; ')}); the basic script is used instead`;
+        console.warn(message);
+        warnings.push({ stage: 'enhancement', message });
+        return basicScript;
+      });
+      
       // 4. Generate alternative formats
-      const puppeteerScript = this.generatePuppeteerScript(interactions);
-      const seleniumScript = this.generateSeleniumScript(interactions);
-      const cypressScript = this.generateCypressScript(interactions);
+      const { puppeteerScript, seleniumScript, cypressScript } = await this.runStage('alternative_formats', onProgress, () => ({
+        puppeteerScript: this.generatePuppeteerScript(interactions),
+        seleniumScript: this.generateSeleniumScript(interactions),
+        cypressScript: this.generateCypressScript(interactions)
+      }));
       
       // 5. Generate API documentation
-      const apiDoc = await this.aiService.generateAPIDocumentation(enhancedScript, interactions);
+      const apiDoc = await this.runStage('documentation', onProgress, () =>
+        this.aiService.generateAPIDocumentation(enhancedScript, interactions, context)
+      );
+      
+      // 6. Scan the scripts for dangerous constructs; high-severity findings block API registration
+      const safetyScan = await this.runStage('safety_scan', onProgress, () =>
+        this.safetyScanner.scanPackage({ playwright: { basic: basicScript, enhanced: enhancedScript } }, interactions, metadata)
+      );
+      analysis.security = [...(analysis.security || []), ...this.safetyScanner.describe(safetyScan.findings)];
+      analysis.safetyScan = safetyScan;
       
-      // 6. Generate configuration file
+      // 7. Generate configuration file
       const config = this.generateConfigFile(interactions, analysis);
       
       return {
@@ -53,11 +100,14 @@ class ScriptGenerator {
         },
         documentation: apiDoc,
         configuration: config,
+        warnings,
         metadata: {
           ...metadata,
           generatedAt: new Date().toISOString(),
           interactionCount: interactions.length,
           complexity: analysis.complexity,
+          promptVersions: this.aiService.promptTemplates.getActiveVersions(promptTemplates),
+          redactedParameters: this.aiService.scrubber.describe(redaction),
           estimatedRuntime: this.estimateRuntime(interactions)
         }
       };
@@ -67,6 +117,35 @@ class ScriptGenerator {
     }
   }
 
+  /**
+   * Name the parameter of every typed field, asking the AI service about fields without a descriptive label.
+   * Returns the interactions with parameterName set; names already set are kept.
+   */
+  async nameParameters(interactions, metadata = {}, onProgress = () => {}, options = {}) {
+    return this.runStage('parameter_naming', onProgress, async () => {
+      const unclear = describeUnnamedFields(interactions).filter(field => !DESCRIPTIVE_SOURCES.includes(field.source));
+      const suggestions = await this.aiService.suggestParameterNames(unclear, metadata.url, { recordingId: options.recordingId });
+      return assignParameterNames(interactions, suggestions);
+    });
+  }
+
+  /**
+   * Run a generation stage, reporting its start, completion or failure
+   */
+  async runStage(stage, onProgress, callback) {
+    const startTime = Date.now();
+    onProgress({ stage, status: 'started' });
+
+    try {
+      const result = await callback();
+      onProgress({ stage, status: 'completed', duration: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      onProgress({ stage, status: 'failed', duration: Date.now() - startTime, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Generate basic Playwright script
    */
@@ -78,7 +157,9 @@ class ScriptGenerator {
  * Created: ${new Date().toISOString()}
  * Interactions: ${interactions.length}
  */
-
+${interactions.some(needsLocateUnique) ? `
+${LOCATE_UNIQUE_SOURCE}
+` : ''}
 async function runAutomation(config = {}) {
   const browser = await chromium.launch({ 
     headless: config.headless ?? false,
@@ -131,6 +212,8 @@ if (require.main === module) {
    */
   generateInteractionCode(interaction, index) {
     const stepComment = `    // Step ${index + 1}: ${interaction.action}`;
+    // Prefer the recorded role, label or test id; steps recorded without them use their CSS selector
+    const locator = toPlaywrightLocatorCode(interaction, { timeout: interaction.action === 'wait' ? '15000' : '10000' });
     
     switch (interaction.action) {
       case 'navigation':
@@ -144,8 +227,8 @@ if (require.main === module) {
       case 'click':
         return `${stepComment}
     console.log('Clicking element: ${interaction.selector}');
-    await page.waitForSelector('${interaction.selector}', { timeout: 10000 });
-    await page.click('${interaction.selector}');
+${locator ? `    await ${locator}.click({ timeout: 10000 });` : `    await page.waitForSelector('${interaction.selector}', { timeout: 10000 });
+    await page.click('${interaction.selector}');`}
     await page.waitForTimeout(500); // Brief pause after click
 
 `;
@@ -154,8 +237,8 @@ if (require.main === module) {
         const text = interaction.text === '[PASSWORD]' ? '${config.password || "[PASSWORD]"}' : interaction.text;
         return `${stepComment}
     console.log('Typing into element: ${interaction.selector}');
-    await page.waitForSelector('${interaction.selector}', { timeout: 10000 });
-    await page.fill('${interaction.selector}', '${text}');
+${locator ? `    await ${locator}.fill('${text}', { timeout: 10000 });` : `    await page.waitForSelector('${interaction.selector}', { timeout: 10000 });
+    await page.fill('${interaction.selector}', '${text}');`}
 
 `;
 
@@ -170,7 +253,7 @@ if (require.main === module) {
       case 'wait':
         return `${stepComment}
     console.log('Waiting for element: ${interaction.selector}');
-    await page.waitForSelector('${interaction.selector}', { timeout: 15000 });
+${locator ? `    await ${locator}.waitFor({ timeout: 15000 });` : `    await page.waitForSelector('${interaction.selector}', { timeout: 15000 });`}
 
 `;
 
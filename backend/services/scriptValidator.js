@@ -0,0 +1,131 @@
+/**
+ * Script Validator
+ * Extracts generated code from model replies and checks it parses and exports runAutomation
+ */
+const acorn = require('acorn');
+
+const FENCE_PATTERN = /```([\w-]*)[^\n]*\n([\s\S]*?)```/g;
+const JS_LANGUAGES = ['', 'js', 'javascript', 'node', 'jsx'];
+
+/**
+ * Pull the code out of a reply that may wrap it in markdown fences or prose.
+ * Returns the largest JavaScript fenced block, or the whole reply when it has none.
+ */
+function extractCode(response) {
+  const text = (response || '').trim();
+  const blocks = [...text.matchAll(FENCE_PATTERN)]
+    .filter(match => JS_LANGUAGES.includes(match[1].toLowerCase()))
+    .map(match => match[2].trim());
+
+  if (blocks.length === 0) {
+    return text;
+  }
+
+  return blocks.reduce((largest, block) => block.length > largest.length ? block : largest);
+}
+
+/**
+ * Whether a node is `module.exports` or `exports`
+ */
+function isExportsObject(node) {
+  if (node.type === 'Identifier') {
+    return node.name === 'exports';
+  }
+  return node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.name === 'exports';
+}
+
+function propertyName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Literal') return String(node.value);
+  return null;
+}
+
+/**
+ * Names declared at the top level of the script
+ */
+function topLevelNames(program) {
+  const names = new Set();
+
+  program.body.forEach(statement => {
+    if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+      names.add(statement.id.name);
+    }
+    if (statement.type === 'VariableDeclaration') {
+      statement.declarations.forEach(declaration => {
+        if (declaration.id.type === 'Identifier') {
+          names.add(declaration.id.name);
+        }
+      });
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Find how runAutomation is exported from the top level, returns the exported value node or null
+ */
+function findRunAutomationExport(program) {
+  for (const statement of program.body) {
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    if (!expression || expression.type !== 'AssignmentExpression' || expression.operator !== '=') {
+      continue;
+    }
+
+    const { left, right } = expression;
+
+    // module.exports = { runAutomation } or exports = { runAutomation: ... }
+    if (isExportsObject(left) && right.type === 'ObjectExpression') {
+      const property = right.properties.find(p => p.type === 'Property' && propertyName(p.key) === 'runAutomation');
+      if (property) return property.value;
+    }
+
+    // module.exports.runAutomation = ... or exports.runAutomation = ...
+    if (left.type === 'MemberExpression' && isExportsObject(left.object) && propertyName(left.property) === 'runAutomation') {
+      return right;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a script and check it exports a runAutomation function.
+ * Returns { valid, errors } where errors lists what is wrong.
+ */
+function validateScript(code) {
+  if (!code || !code.trim()) {
+    return { valid: false, errors: ['Script is empty'] };
+  }
+
+  let program;
+  try {
+    program = acorn.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowHashBang: true
+    });
+  } catch (error) {
+    return { valid: false, errors: [`Syntax error: ${error.message}`] };
+  }
+
+  const exported = findRunAutomationExport(program);
+  if (!exported) {
+    return { valid: false, errors: ['Script does not export runAutomation'] };
+  }
+
+  // An exported identifier must refer to something the script declares
+  if (exported.type === 'Identifier' && !topLevelNames(program).has(exported.name)) {
+    return { valid: false, errors: [`Exported runAutomation refers to undeclared ${exported.name}`] };
+  }
+
+  return { valid: true, errors: [] };
+}
+
+module.exports = {
+  extractCode,
+  validateScript
+};
@@ -0,0 +1,145 @@
+/**
+ * Selector Candidates
+ * The recorders store, next to each step's CSS selector, a ranked list of candidate locators that were
+ * unique on the page at record time: { type, value } plus name for role candidates. These helpers turn them
+ * into CSS selectors and Playwright locators.
+ */
+
+const CANDIDATE_TYPES = ['id', 'testid', 'role', 'label', 'text', 'css', 'xpath'];
+
+// Candidates that don't depend on the element's position in the page
+const STABLE_TYPES = ['id', 'testid', 'role', 'label', 'text'];
+
+// Candidates generated scripts locate with Playwright's getByRole, getByLabel and getByTestId, most preferred first
+const ACCESSIBLE_TYPES = ['role', 'label', 'testid'];
+
+function escapeCss(value) {
+  return String(value).replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * CSS selector for a candidate, or null when it can only be located by role, label, text or XPath
+ */
+function toCssSelector(candidate) {
+  switch (candidate.type) {
+    case 'id':
+      return `[id="${escapeCss(candidate.value)}"]`;
+    case 'testid':
+      return `[data-testid="${escapeCss(candidate.value)}"]`;
+    case 'css':
+      return candidate.value;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Playwright locator for a candidate within a page or frame locator
+ */
+function toPlaywrightLocator(scope, candidate) {
+  switch (candidate.type) {
+    case 'role':
+      return scope.getByRole(candidate.value, { name: candidate.name, exact: true });
+    case 'label':
+      return scope.getByLabel(candidate.value, { exact: true });
+    case 'text':
+      return scope.getByText(candidate.value, { exact: true });
+    case 'xpath':
+      return scope.locator(`xpath=${candidate.value}`);
+    default:
+      return scope.locator(toCssSelector(candidate));
+  }
+}
+
+/**
+ * The well-formed candidates of an interaction, in their recorded order
+ */
+function getCandidates(interaction) {
+  if (!Array.isArray(interaction?.selectors)) return [];
+
+  return interaction.selectors.filter(candidate =>
+    candidate
+    && CANDIDATE_TYPES.includes(candidate.type)
+    && typeof candidate.value === 'string'
+    && candidate.value
+    && (candidate.type !== 'role' || typeof candidate.name === 'string')
+  );
+}
+
+function hasStableCandidate(interaction) {
+  return getCandidates(interaction).some(candidate => STABLE_TYPES.includes(candidate.type));
+}
+
+function singleQuote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Source of the helper generated scripts pick a step's locator with. Like executions, it uses the first locator
+ * that matches exactly one element; when none does, the preferred one reports the strict-mode error.
+ */
+const LOCATE_UNIQUE_SOURCE = `async function locateUnique(locators, timeout) {
+  await locators.reduce((union, locator) => union.or(locator)).first().waitFor({ timeout });
+  for (const locator of locators) {
+    if (await locator.count() === 1) return locator;
+  }
+  return locators[0];
+}`;
+
+function preferredCandidate(interaction) {
+  const candidates = getCandidates(interaction);
+  return ACCESSIBLE_TYPES.map(type => candidates.find(candidate => candidate.type === type)).find(Boolean) || null;
+}
+
+/**
+ * The recorded CSS selector, unless it would only repeat the preferred test id
+ */
+function fallbackSelector(interaction, preferred) {
+  const selector = interaction.selector;
+  if (!selector || selector === toCssSelector(preferred) || selector === `[data-testid="${preferred.value}"]`) return null;
+  return selector;
+}
+
+/**
+ * Whether the locator code of a step calls locateUnique, so the script has to define it
+ */
+function needsLocateUnique(interaction) {
+  const preferred = preferredCandidate(interaction);
+  return Boolean(preferred && fallbackSelector(interaction, preferred));
+}
+
+/**
+ * Source code of a Playwright locator for a step that prefers its recorded role, label or test id, inside the
+ * step's frames if any. With a CSS selector to fall back to, it picks between them through locateUnique, waiting
+ * up to options.timeout. Null when the step has none of those candidates.
+ * options.quote turns a string into a JavaScript string literal.
+ */
+function toPlaywrightLocatorCode(interaction, { page = 'page', quote = singleQuote, timeout = '10000' } = {}) {
+  const preferred = preferredCandidate(interaction);
+  if (!preferred) return null;
+
+  const scope = (interaction.frames || []).reduce((parent, frame) => `${parent}.frameLocator(${quote(frame)})`, page);
+  let code;
+  if (preferred.type === 'role') {
+    code = `${scope}.getByRole(${quote(preferred.value)}, { name: ${quote(preferred.name)}, exact: true })`;
+  } else if (preferred.type === 'label') {
+    code = `${scope}.getByLabel(${quote(preferred.value)}, { exact: true })`;
+  } else {
+    code = `${scope}.getByTestId(${quote(preferred.value)})`;
+  }
+
+  // A union of both would match two elements whenever the selector finds another one, failing every action
+  const fallback = fallbackSelector(interaction, preferred);
+  return fallback ? `(await locateUnique([${code}, ${scope}.locator(${quote(fallback)})], ${timeout}))` : code;
+}
+
+module.exports = {
+  CANDIDATE_TYPES,
+  toCssSelector,
+  toPlaywrightLocator,
+  toPlaywrightLocatorCode,
+  needsLocateUnique,
+  LOCATE_UNIQUE_SOURCE,
+  getCandidates,
+  hasStableCandidate
+};
@@ -0,0 +1,401 @@
+/**
+ * Selector Healer
+ * Finds a replacement for a recorded selector that no longer matches the page, by matching the
+ * recorded text and attributes against the live DOM and asking the AI service when that is not conclusive
+ */
+const { getCandidates } = require('./selectorCandidates');
+
+// Actions whose recorded selector can be replaced and the step retried
+const HEALABLE_ACTIONS = ['click', 'type', 'wait'];
+
+// How much each recorded hint counts towards a candidate's score
+const WEIGHTS = {
+  id: 5,
+  testId: 5,
+  name: 4,
+  ariaLabel: 3,
+  placeholder: 3,
+  text: 3,
+  partial: 1.5,
+  tag: 1,
+  inputType: 1,
+  className: 1
+};
+
+const MIN_SCORE = 3;
+// The best candidate must beat the runner-up by this much, otherwise the match is ambiguous
+const MIN_MARGIN = 1;
+const MAX_CANDIDATES = 150;
+
+const ATTRIBUTE_HINTS = {
+  'data-testid': 'testId',
+  name: 'name',
+  'aria-label': 'ariaLabel',
+  placeholder: 'placeholder'
+};
+
+function normalize(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Runs in the page: describe the interactive elements inside the first scope selector that still
+ * matches (or the whole body), each with a unique CSS selector. Must not reference anything outside itself.
+ */
+function captureCandidates({ scopeSelectors, limit }) {
+  const INTERACTIVE = 'a, button, input, select, textarea, label, summary, [role], [onclick], [tabindex], [data-testid]';
+
+  let scope = document.body;
+  let scopeSelector = null;
+  for (const selector of scopeSelectors) {
+    try {
+      const found = document.querySelector(selector);
+      if (found) {
+        scope = found;
+        scopeSelector = selector;
+        break;
+      }
+    } catch (error) {
+      // Recorder-only syntax such as :contains() is not valid CSS
+    }
+  }
+
+  const escapeId = value => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1'));
+  const escapeValue = value => value.replace(/["\\]/g, '\\$&');
+  const isUnique = selector => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const selectorFor = element => {
+    const tag = element.tagName.toLowerCase();
+    if (element.id && isUnique(`#${escapeId(element.id)}`)) {
+      return `#${escapeId(element.id)}`;
+    }
+    for (const attribute of ['data-testid', 'name', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(attribute);
+      const selector = value && `${tag}[${attribute}="${escapeValue(value)}"]`;
+      if (selector && isUnique(selector)) {
+        return selector;
+      }
+    }
+
+    // A path of nth-of-type steps up to the closest ancestor with a unique id
+    const parts = [];
+    let current = element;
+    while (current && current !== document.body) {
+      if (current !== element && current.id && isUnique(`#${escapeId(current.id)}`)) {
+        parts.unshift(`#${escapeId(current.id)}`);
+        return parts.join(' > ');
+      }
+      const siblings = Array.from(current.parentElement ? current.parentElement.children : [])
+        .filter(sibling => sibling.tagName === current.tagName);
+      const step = current.tagName.toLowerCase();
+      parts.unshift(siblings.length > 1 ? `${step}:nth-of-type(${siblings.indexOf(current) + 1})` : step);
+      current = current.parentElement;
+    }
+    parts.unshift('body');
+    return parts.join(' > ');
+  };
+
+  const isVisible = element => {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  const elements = Array.from(scope.querySelectorAll(INTERACTIVE));
+  if (scope !== document.body && scope.matches(INTERACTIVE)) {
+    elements.unshift(scope);
+  }
+
+  const candidates = elements.filter(isVisible).slice(0, limit).map(element => {
+    const candidate = {
+      selector: selectorFor(element),
+      tag: element.tagName.toLowerCase(),
+      text: (element.innerText || element.value || '').replace(/\s+/g, ' ').trim().slice(0, 80)
+    };
+    const optional = {
+      id: element.id,
+      testId: element.getAttribute('data-testid'),
+      name: element.getAttribute('name'),
+      ariaLabel: element.getAttribute('aria-label'),
+      placeholder: element.getAttribute('placeholder'),
+      type: element.getAttribute('type'),
+      role: element.getAttribute('role')
+    };
+    Object.entries(optional).forEach(([key, value]) => {
+      if (value) candidate[key] = value;
+    });
+    if (element.classList.length > 0) {
+      candidate.classes = Array.from(element.classList).slice(0, 5);
+    }
+    return candidate;
+  });
+
+  return { scope: scopeSelector, candidates };
+}
+
+class SelectorHealer {
+  constructor(options = {}) {
+    this.aiService = options.aiService || null;
+    this.enabled = options.enabled ?? process.env.SELECTOR_HEALING_ENABLED !== 'false';
+    this.maxCandidates = options.maxCandidates || MAX_CANDIDATES;
+  }
+
+  /**
+   * Whether a failed step is worth healing: a selector step that timed out or matched several elements
+   */
+  canHeal(interaction, error) {
+    // Candidates are captured from the top document only, not from inside frames
+    if (!this.enabled || !HEALABLE_ACTIONS.includes(interaction.action) || !interaction.selector || interaction.frames?.length) {
+      return false;
+    }
+    return error.name === 'TimeoutError' || /strict mode violation/i.test(error.message || '');
+  }
+
+  /**
+   * Find a replacement selector for a step on the current page.
+   * Returns { from, to, method, confidence, reason } or null when no element can be matched with confidence.
+   */
+  async heal(page, interaction, context = {}) {
+    const hints = this.describeTarget(interaction);
+
+    let snapshot = await this.captureDom(page, this.scopeSelectors(interaction.selector));
+    let match = this.matchHeuristically(hints, snapshot.candidates);
+
+    // The surviving ancestor may not contain the element any more, look at the whole page
+    if (!match && snapshot.scope) {
+      snapshot = await this.captureDom(page, []);
+      match = this.matchHeuristically(hints, snapshot.candidates);
+    }
+
+    if (!match) {
+      match = await this.matchWithAI(page, interaction, snapshot.candidates, context);
+    }
+
+    if (!match || match.selector === interaction.selector || !(await this.isUnique(page, match.selector))) {
+      return null;
+    }
+
+    return {
+      from: interaction.selector,
+      to: match.selector,
+      method: match.method,
+      confidence: match.confidence,
+      reason: match.reason
+    };
+  }
+
+  /**
+   * Describe the interactive elements around where the recorded selector pointed
+   */
+  async captureDom(page, scopeSelectors) {
+    try {
+      return await page.evaluate(captureCandidates, { scopeSelectors, limit: this.maxCandidates });
+    } catch (error) {
+      console.warn('Could not capture the page for selector healing:', error.message);
+      return { scope: null, candidates: [] };
+    }
+  }
+
+  /**
+   * Ancestor selectors of a child-combinator selector, closest first,
+   * e.g. 'main > div > span:nth-child(3)' gives ['main > div', 'main']
+   */
+  scopeSelectors(selector) {
+    const parts = (selector || '').split(/\s*>\s*/).filter(Boolean);
+    const scopes = [];
+    for (let length = parts.length - 1; length > 0; length--) {
+      scopes.push(parts.slice(0, length).join(' > '));
+    }
+    return scopes;
+  }
+
+  /**
+   * What the recording tells us about the target: the tag, text and the attributes its selector was built from
+   */
+  describeTarget(interaction) {
+    const selector = interaction.selector || '';
+    // The recorder's fallback selectors end in the target element, e.g. '#form > button:nth-child(2)'
+    const last = selector.split(/\s*>\s*/).pop() || '';
+    const hints = {
+      tag: interaction.element || (last.match(/^[a-z][a-z0-9-]*/i) || [])[0] || null,
+      inputType: interaction.inputType || null,
+      classes: []
+    };
+
+    const id = last.match(/^#([\w-]+)/);
+    if (id) hints.id = id[1];
+
+    for (const [, attribute, value] of last.matchAll(/\[([\w-]+)="((?:[^"\\]|\\.)*)"\]/g)) {
+      if (ATTRIBUTE_HINTS[attribute]) hints[ATTRIBUTE_HINTS[attribute]] = value.replace(/\\(.)/g, '$1');
+    }
+
+    for (const [, className] of last.matchAll(/\.([\w-]+)/g)) {
+      hints.classes.push(className);
+    }
+
+    const contains = last.match(/:(?:contains|has-text)\("((?:[^"\\]|\\.)*)"\)/);
+    // Typed text is the value entered, not a label of the field
+    const text = contains ? contains[1] : interaction.action === 'click' ? interaction.text : null;
+    if (text) hints.text = normalize(text);
+
+    // Candidate locators recorded next to the selector describe the element beyond what its selector says
+    getCandidates(interaction).forEach(candidate => {
+      if (candidate.type === 'id') hints.id = hints.id || candidate.value;
+      if (candidate.type === 'testid') hints.testId = hints.testId || candidate.value;
+      if (candidate.type === 'text' && !hints.text) hints.text = normalize(candidate.value);
+      if (candidate.type === 'role' && !hints.text && interaction.action !== 'type') hints.text = normalize(candidate.name);
+    });
+    // The accessible name is recorded even when it was not unique on the page
+    if (!hints.text && interaction.accessibility?.name && interaction.action !== 'type') {
+      hints.text = normalize(interaction.accessibility.name);
+    }
+
+    return hints;
+  }
+
+  /**
+   * Score one candidate element against the recorded hints
+   */
+  scoreCandidate(hints, candidate) {
+    let score = 0;
+
+    const exactOrPartial = (hint, value, weight) => {
+      if (!hint || !value) return;
+      const a = normalize(hint);
+      const b = normalize(value);
+      if (a === b) score += weight;
+      else if (a.length > 2 && b.length > 2 && (a.includes(b) || b.includes(a))) score += WEIGHTS.partial;
+    };
+
+    exactOrPartial(hints.id, candidate.id, WEIGHTS.id);
+    exactOrPartial(hints.testId, candidate.testId, WEIGHTS.testId);
+    exactOrPartial(hints.name, candidate.name, WEIGHTS.name);
+    exactOrPartial(hints.ariaLabel, candidate.ariaLabel, WEIGHTS.ariaLabel);
+    exactOrPartial(hints.placeholder, candidate.placeholder, WEIGHTS.placeholder);
+    exactOrPartial(hints.text, candidate.text, WEIGHTS.text);
+
+    if (hints.tag && candidate.tag === hints.tag) score += WEIGHTS.tag;
+    if (hints.inputType && candidate.type === hints.inputType) score += WEIGHTS.inputType;
+
+    const classes = candidate.classes || [];
+    score += Math.min(2, hints.classes.filter(className => classes.includes(className)).length) * WEIGHTS.className;
+
+    return score;
+  }
+
+  /**
+   * Pick the best scoring candidate when it is a clear winner
+   */
+  matchHeuristically(hints, candidates) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const ranked = candidates
+      .map(candidate => ({ candidate, score: this.scoreCandidate(hints, candidate) }))
+      .sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = ranked;
+
+    if (best.score < MIN_SCORE || (runnerUp && best.score - runnerUp.score < MIN_MARGIN)) {
+      return null;
+    }
+
+    return {
+      selector: best.candidate.selector,
+      method: 'heuristic',
+      confidence: Math.round(Math.min(1, best.score / (MIN_SCORE * 2)) * 100) / 100,
+      reason: `Best match on recorded attributes (score ${best.score})`
+    };
+  }
+
+  /**
+   * Ask the AI service which candidate the step was meant for
+   */
+  async matchWithAI(page, interaction, candidates, context) {
+    const aiService = this.aiService || global.aiService;
+    if (!aiService || candidates.length === 0) {
+      return null;
+    }
+
+    const step = { ...interaction };
+    delete step.timestamp;
+    delete step.relativeTime;
+
+    const pick = await aiService.suggestSelector(step, candidates, page.url(), context);
+    if (!pick) {
+      return null;
+    }
+
+    return {
+      selector: candidates[pick.index].selector,
+      method: 'ai',
+      confidence: null,
+      reason: `${pick.reason} (${pick.model})`
+    };
+  }
+
+  /**
+   * Whether a selector matches exactly one element, so the retry cannot hit a different one
+   */
+  async isUnique(page, selector) {
+    try {
+      return (await page.locator(selector).count()) === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Store a healed selector as a proposed update to the recording, for a person to apply or dismiss
+   */
+  async propose(recordingId, stepIndex, healing) {
+    if (!recordingId || !global.db?.isHealthy()) {
+      return null;
+    }
+
+    try {
+      return await global.db.recordSelectorProposal({
+        recording_id: recordingId,
+        step_index: stepIndex,
+        original_selector: healing.from,
+        proposed_selector: healing.to,
+        method: healing.method,
+        confidence: healing.confidence,
+        reason: healing.reason
+      });
+    } catch (error) {
+      console.error('Failed to store selector proposal:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Propose a selector healed earlier in the execution for another step, unless that step
+   * already has the same replacement waiting for review or applied
+   */
+  async proposeReused(recordingId, stepIndex, healing) {
+    if (!recordingId || !global.db?.isHealthy()) {
+      return null;
+    }
+
+    try {
+      const existing = await global.db.findOpenSelectorProposal({
+        recording_id: recordingId,
+        step_index: stepIndex,
+        original_selector: healing.from,
+        proposed_selector: healing.to
+      });
+      return existing || await this.propose(recordingId, stepIndex, healing);
+    } catch (error) {
+      console.error('Failed to look up selector proposals:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = SelectorHealer;
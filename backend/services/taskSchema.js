@@ -0,0 +1,88 @@
+/**
+ * Task Schema
+ * Declared JSON schema for interaction lists planned from a task description, plus the checks
+ * that make a planned list replayable by the script generators
+ */
+const { toProviderSchema, validate } = require('./analysisSchema');
+
+const TASK_ACTIONS = ['navigation', 'click', 'type', 'keypress', 'wait', 'submit'];
+
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+
+// Strict structured-output modes need every property listed as required, so unused ones are null
+const TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    interactions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: TASK_ACTIONS },
+          selector: OPTIONAL_STRING,
+          url: OPTIONAL_STRING,
+          text: OPTIONAL_STRING,
+          key: OPTIONAL_STRING,
+          inputType: OPTIONAL_STRING,
+          description: { type: 'string' }
+        },
+        required: ['action', 'selector', 'url', 'text', 'key', 'inputType', 'description'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['title', 'interactions'],
+  additionalProperties: false
+};
+
+const TASK_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'task_interactions',
+    schema: toProviderSchema(TASK_SCHEMA),
+    strict: true
+  }
+};
+
+// Fields each action needs to be replayed
+const REQUIRED_FIELDS = {
+  navigation: ['url'],
+  click: ['selector'],
+  type: ['selector', 'text'],
+  keypress: ['key'],
+  wait: ['selector'],
+  submit: ['selector']
+};
+
+/**
+ * Validate a planned task against the schema and check every step has what its action needs
+ */
+function validateTask(value) {
+  const errors = validate(value, TASK_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  value.interactions.forEach((interaction, index) => {
+    (REQUIRED_FIELDS[interaction.action] || []).forEach(field => {
+      if (typeof interaction[field] !== 'string' || !interaction[field].trim()) {
+        errors.push(`$.interactions[${index}].${field} is required for ${interaction.action}`);
+      }
+    });
+
+    if (interaction.action === 'navigation' && interaction.url && !/^https?:\/\//i.test(interaction.url)) {
+      errors.push(`$.interactions[${index}].url must be an absolute http(s) URL`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  TASK_ACTIONS,
+  TASK_SCHEMA,
+  TASK_RESPONSE_FORMAT,
+  validateTask
+};
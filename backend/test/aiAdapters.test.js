@@ -0,0 +1,278 @@
+/**
+ * AI adapter tests against local servers that mimic the Anthropic Messages and Gemini generateContent wire formats
+ */
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { AnthropicAdapter, GeminiAdapter } = require('../services/aiAdapters');
+
+/**
+ * A server that records each request and answers with the next queued { status, body } reply
+ */
+function createMockServer() {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const reply = server.replies.shift() || { status: 500, body: { error: { message: 'No reply queued' } } };
+      res.writeHead(reply.status, { 'content-type': 'application/json' });
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+  server.requests = [];
+  server.replies = [];
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+const MESSAGES = [
+  { role: 'system', content: 'You write Playwright scripts.' },
+  { role: 'user', content: 'Click the login button' },
+  { role: 'assistant', content: 'Which page?' },
+  { role: 'user', content: 'The home page' }
+];
+
+describe('AnthropicAdapter', () => {
+  let server;
+  let adapter;
+
+  before(async () => {
+    server = await createMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.requests = [];
+    server.replies = [];
+    adapter = new AnthropicAdapter({ apiKey: 'sk-ant-test', baseUrl: `${server.baseUrl}/v1/`, timeout: 2000, retryAttempts: 1 });
+  });
+
+  test('posts a Messages request and maps the text and usage', async () => {
+    server.replies.push({
+      status: 200,
+      body: {
+        model: 'claude-test-20250101',
+        content: [{ type: 'text', text: 'await page.click(' }, { type: 'text', text: '"#login");' }],
+        usage: { input_tokens: 12, output_tokens: 8 }
+      }
+    });
+
+    const result = await adapter.complete('claude-test', MESSAGES, { max_tokens: 500, temperature: 0.2, top_p: 0.9 });
+
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/messages');
+    assert.equal(request.headers['x-api-key'], 'sk-ant-test');
+    assert.equal(request.headers['anthropic-version'], '2023-06-01');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.deepEqual(request.body, {
+      model: 'claude-test',
+      max_tokens: 500,
+      system: 'You write Playwright scripts.',
+      messages: [
+        { role: 'user', content: 'Click the login button' },
+        { role: 'assistant', content: 'Which page?' },
+        { role: 'user', content: 'The home page' }
+      ],
+      temperature: 0.2
+    });
+
+    assert.deepEqual(result, {
+      content: 'await page.click("#login");',
+      usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 },
+      model: 'claude-test-20250101'
+    });
+  });
+
+  test('forces a tool call for JSON schema output and returns its input', async () => {
+    server.replies.push({
+      status: 200,
+      body: {
+        content: [{ type: 'tool_use', name: 'analysis', input: { complexity: 'low' } }],
+        usage: { input_tokens: 3, output_tokens: 2 }
+      }
+    });
+
+    const schema = { type: 'object', properties: { complexity: { type: 'string' } }, required: ['complexity'] };
+    const result = await adapter.complete('claude-test', [{ role: 'user', content: 'Analyze' }], {
+      response_format: { type: 'json_schema', json_schema: { name: 'analysis', schema } }
+    });
+
+    const { body } = server.requests[0];
+    assert.equal(body.max_tokens, 1024);
+    assert.equal(body.system, undefined);
+    assert.deepEqual(body.tools, [{ name: 'analysis', description: 'Return the result as structured data', input_schema: schema }]);
+    assert.deepEqual(body.tool_choice, { type: 'tool', name: 'analysis' });
+    assert.equal(result.content, '{"complexity":"low"}');
+    assert.equal(result.model, 'claude-test');
+  });
+
+  test('maps authentication errors without retrying', async () => {
+    server.replies.push({
+      status: 401,
+      body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }
+    });
+
+    await assert.rejects(adapter.complete('claude-test', MESSAGES), error => {
+      assert.equal(error.status, 401);
+      assert.equal(error.code, 'invalid_api_key');
+      assert.match(error.message, /invalid x-api-key/);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('retries overloaded and unavailable responses', async () => {
+    adapter.retryAttempts = 2;
+    server.replies.push(
+      { status: 529, body: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } },
+      { status: 503, body: { type: 'error', error: { type: 'api_error', message: 'Unavailable' } } },
+      { status: 200, body: { content: [{ type: 'text', text: 'ok' }] } }
+    );
+
+    const result = await adapter.complete('claude-test', MESSAGES);
+    assert.equal(result.content, 'ok');
+    assert.equal(result.usage, null);
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('rejects invalid requests without retrying', async () => {
+    server.replies.push({
+      status: 400,
+      body: { type: 'error', error: { type: 'invalid_request_error', message: 'max_tokens: too large' } }
+    });
+
+    await assert.rejects(adapter.complete('claude-test', MESSAGES), { status: 400, code: null, message: '400 max_tokens: too large' });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('rejects responses without text', async () => {
+    server.replies.push({ status: 200, body: { content: [] } });
+
+    await assert.rejects(adapter.complete('claude-test', MESSAGES), /No response received from AI provider/);
+  });
+});
+
+describe('GeminiAdapter', () => {
+  let server;
+  let adapter;
+
+  before(async () => {
+    server = await createMockServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.requests = [];
+    server.replies = [];
+    adapter = new GeminiAdapter({ apiKey: 'gemini-test-key', baseUrl: `${server.baseUrl}/v1beta`, timeout: 2000, retryAttempts: 1 });
+  });
+
+  test('posts a generateContent request and maps the text and usage', async () => {
+    server.replies.push({
+      status: 200,
+      body: {
+        modelVersion: 'gemini-test-001',
+        candidates: [{ content: { role: 'model', parts: [{ text: 'Hello' }, { text: ' world' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 9, candidatesTokenCount: 4, totalTokenCount: 13 }
+      }
+    });
+
+    const result = await adapter.complete('gemini-test', MESSAGES, { max_tokens: 256, temperature: 0.1, top_p: 0.8 });
+
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1beta/models/gemini-test:generateContent');
+    assert.equal(request.headers['x-goog-api-key'], 'gemini-test-key');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.deepEqual(request.body, {
+      contents: [
+        { role: 'user', parts: [{ text: 'Click the login button' }] },
+        { role: 'model', parts: [{ text: 'Which page?' }] },
+        { role: 'user', parts: [{ text: 'The home page' }] }
+      ],
+      generationConfig: { maxOutputTokens: 256, temperature: 0.1, topP: 0.8 },
+      systemInstruction: { parts: [{ text: 'You write Playwright scripts.' }] }
+    });
+
+    assert.deepEqual(result, {
+      content: 'Hello world',
+      usage: { prompt_tokens: 9, completion_tokens: 4, total_tokens: 13 },
+      model: 'gemini-test-001'
+    });
+  });
+
+  test('sends JSON schemas in the OpenAPI subset Gemini accepts', async () => {
+    server.replies.push({ status: 200, body: { candidates: [{ content: { parts: [{ text: '{"name":null}' }] } }] } });
+
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: { type: ['string', 'null'] },
+        tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } }
+      },
+      required: ['name', 'tags']
+    };
+    const result = await adapter.complete('gemini-test', [{ role: 'user', content: 'Name it' }], {
+      response_format: { type: 'json_schema', json_schema: { name: 'naming', schema } }
+    });
+
+    const { body } = server.requests[0];
+    assert.equal(body.systemInstruction, undefined);
+    assert.deepEqual(body.generationConfig, {
+      responseMimeType: 'application/json',
+      responseSchema: {
+        type: 'object',
+        required: ['name', 'tags'],
+        properties: {
+          name: { type: 'string', nullable: true },
+          tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } }
+        }
+      }
+    });
+    assert.equal(result.content, '{"name":null}');
+    assert.equal(result.usage, null);
+    assert.equal(result.model, 'gemini-test');
+  });
+
+  test('maps invalid keys and unknown models', async () => {
+    server.replies.push(
+      {
+        status: 400,
+        body: { error: { code: 400, message: 'API key not valid.', status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] } }
+      },
+      { status: 404, body: { error: { code: 404, message: 'models/nope is not found', status: 'NOT_FOUND' } } }
+    );
+
+    await assert.rejects(adapter.complete('gemini-test', MESSAGES), { status: 400, code: 'invalid_api_key' });
+    await assert.rejects(adapter.complete('nope', MESSAGES), { status: 404, code: 'model_not_found' });
+    assert.equal(server.requests.length, 2);
+  });
+
+  test('retries exhausted quota and reports it once retries run out', async () => {
+    const quota = { status: 429, body: { error: { code: 429, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } } };
+    server.replies.push(quota, quota);
+
+    await assert.rejects(adapter.complete('gemini-test', MESSAGES), error => {
+      assert.equal(error.code, 'insufficient_quota');
+      assert.match(error.message, /^429 Quota exceeded/);
+      return true;
+    });
+    assert.equal(server.requests.length, 2);
+  });
+
+  test('reports why a response was blocked', async () => {
+    server.replies.push({ status: 200, body: { promptFeedback: { blockReason: 'SAFETY' } } });
+
+    await assert.rejects(adapter.complete('gemini-test', MESSAGES), /No response received from AI provider \(SAFETY\)/);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Code safety scanner tests for the ways a generated script can reach the file system, processes and eval
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const CodeSafetyScanner = require('../services/codeSafetyScanner');
+
+const scanner = new CodeSafetyScanner();
+const rulesOf = code => scanner.scan(code).map(finding => `${finding.severity}:${finding.rule}`);
+
+describe('CodeSafetyScanner', () => {
+  test('reports file writes through destructured fs functions', () => {
+    assert.deepEqual(rulesOf('const { writeFileSync } = require("fs"); writeFileSync("/etc/passwd", "x");'), ['high:fs_write']);
+    assert.deepEqual(rulesOf('const { writeFile: save } = require("node:fs/promises"); save("/etc/passwd", "x");'), ['high:fs_write']);
+    assert.deepEqual(rulesOf('const { promises: { rm } } = require("fs"); rm("/srv", { recursive: true });'), ['high:fs_write']);
+    assert.deepEqual(rulesOf('async function run() { const { unlink } = await import("fs/promises"); await unlink("/etc/hosts"); }'), ['high:fs_write']);
+  });
+
+  test('allows destructured fs writes to temporary directories', () => {
+    assert.deepEqual(rulesOf('const { writeFileSync } = require("fs"); writeFileSync("/tmp/shot.png", "x");'), []);
+    assert.deepEqual(rulesOf('const { readFileSync } = require("fs"); readFileSync("/etc/hosts");'), []);
+  });
+
+  test('reports modules loaded through a require member', () => {
+    assert.deepEqual(rulesOf('module.require("child_process").execSync("id");'), ['high:process']);
+    assert.deepEqual(rulesOf('process.mainModule.require("child_process").execSync("id");'), ['high:process']);
+    assert.deepEqual(rulesOf('(0, require)("net").connect(4444, "1.2.3.4");'), ['medium:network']);
+    assert.deepEqual(rulesOf('module.require(name);'), ['medium:dynamic_require']);
+  });
+
+  test('reports calls to destructured child_process functions', () => {
+    assert.deepEqual(rulesOf('const { execSync: run } = require("child_process"); run("id");'), ['high:process', 'high:process']);
+  });
+
+  test('reports eval reached through a sequence or a member', () => {
+    assert.deepEqual(rulesOf('(0, eval)("1 + 1");'), ['high:eval']);
+    assert.deepEqual(rulesOf('globalThis.eval("1 + 1");'), ['high:eval']);
+    assert.deepEqual(rulesOf('window["eval"]("1 + 1");'), ['high:eval']);
+    assert.deepEqual(rulesOf('new globalThis.Function("return 1")();'), ['high:eval']);
+  });
+
+  test('leaves ordinary Playwright scripts alone', () => {
+    const code = `
+      const { chromium } = require('playwright');
+      (async () => {
+        const browser = await chromium.launch();
+        const page = await browser.newPage();
+        await page.goto(config.url);
+        await page.evaluate(() => document.title);
+        await page.screenshot({ path: '/tmp/result.png' });
+        await browser.close();
+      })();
+    `;
+    assert.deepEqual(rulesOf(code), []);
+  });
+});
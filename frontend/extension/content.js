@@ -0,0 +1,58 @@
+/**
+ * Extension Content Script
+ * Runs the app's BrowserRecorder in recorded tabs and forwards each interaction to the background worker,
+ * which keeps the recording across page loads
+ */
+import { BrowserRecorder } from '../src/utils/recorder.js';
+
+class ExtensionRecorder extends BrowserRecorder {
+  // Interactions are collected by the background worker instead of in this page
+  addInteraction(interaction) {
+    if (!this.isRecording) return;
+
+    chrome.runtime.sendMessage({
+      type: 'interaction',
+      interaction: { ...interaction, timestamp: Date.now() }
+    }).catch(() => {
+      // The extension was reloaded or removed; nothing can be recorded any more
+      this.stopRecording();
+    });
+  }
+
+  // Resume after a pause, recording a navigation only if the tab left the last recorded page meanwhile
+  resumeRecording(lastUrl) {
+    if (this.isRecording) return;
+    if (window.location.href !== lastUrl) {
+      this.startRecording();
+      return;
+    }
+
+    this.isRecording = true;
+    this.attachEventListeners();
+  }
+}
+
+// The background worker may inject this script into a tab that already has it
+if (!window.__automationExtensionRecorder) {
+  const recorder = new ExtensionRecorder();
+  window.__automationExtensionRecorder = recorder;
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type !== 'state') return;
+
+    if (!message.recording) {
+      recorder.stopRecording();
+    } else if (message.resumed) {
+      recorder.resumeRecording(message.lastUrl);
+    } else {
+      recorder.startRecording();
+    }
+  });
+
+  // Pick up a recording that was in progress when this page loaded
+  chrome.runtime.sendMessage({ type: 'hello' }).then((response) => {
+    if (response?.recording) {
+      recorder.startRecording();
+    }
+  }).catch(() => {});
+}
@@ -0,0 +1,243 @@
+/**
+ * Extension Background Worker
+ * Owns the in-progress recording. It lives in session storage, so it survives page loads in the recorded tab
+ * and restarts of this worker, and is uploaded to the backend's /api/recordings when the recording stops.
+ */
+
+const STATE_KEY = 'recording';
+const IDLE_STATE = { status: 'idle', interactions: [] };
+
+// Storage reads and writes are asynchronous, so every change to the state runs one after another
+let pending = Promise.resolve();
+
+function getState() {
+  return chrome.storage.session.get(STATE_KEY).then(stored => stored[STATE_KEY] || IDLE_STATE);
+}
+
+function updateState(change) {
+  const result = pending.then(async () => {
+    const state = await getState();
+    const next = change(state);
+    if (!next) return state;
+
+    await chrome.storage.session.set({ [STATE_KEY]: next });
+    updateBadge(next);
+    return next;
+  });
+  pending = result.catch(() => {});
+  return result;
+}
+
+function updateBadge(state) {
+  const text = { recording: 'REC', paused: '||' }[state.status] || '';
+  chrome.action.setBadgeText({ text });
+  chrome.action.setBadgeBackgroundColor({ color: state.status === 'recording' ? '#ef4444' : '#6b7280' });
+}
+
+function summarize(state) {
+  return {
+    status: state.status,
+    title: state.title || null,
+    tabId: state.tabId || null,
+    interactionCount: state.interactions.length,
+    error: state.error || null
+  };
+}
+
+/**
+ * Tell the recorded tab to start, resume or stop listening, injecting the content script into tabs
+ * that were open before the extension was installed
+ */
+async function notifyTab(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'state', ...message });
+  } catch {
+    if (!message.recording) return;
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+    if (message.resumed) {
+      await chrome.tabs.sendMessage(tabId, { type: 'state', ...message });
+    }
+  }
+}
+
+async function start(tabId, title) {
+  const state = await getState();
+  if (state.status !== 'idle') {
+    throw new Error('A recording is already in progress');
+  }
+
+  await updateState(() => ({
+    status: 'recording',
+    title: title || null,
+    tabId,
+    startTime: Date.now(),
+    pausedAt: null,
+    pausedDuration: 0,
+    interactions: []
+  }));
+
+  try {
+    await notifyTab(tabId, { recording: true });
+  } catch {
+    await updateState(() => IDLE_STATE);
+    throw new Error('This page cannot be recorded');
+  }
+}
+
+async function pause() {
+  const state = await updateState(current => current.status === 'recording'
+    ? { ...current, status: 'paused', pausedAt: Date.now() }
+    : null);
+  if (state.status !== 'paused') return;
+
+  await notifyTab(state.tabId, { recording: false });
+}
+
+async function resume() {
+  const state = await updateState(current => current.status === 'paused'
+    ? { ...current, status: 'recording', pausedDuration: current.pausedDuration + Date.now() - current.pausedAt, pausedAt: null }
+    : null);
+  if (state.status !== 'recording') return;
+
+  // The tab may have moved to another page while paused, which then needs its own navigation step
+  const lastUrl = state.interactions.filter(interaction => interaction.action === 'navigation').pop()?.url;
+  await notifyTab(state.tabId, { recording: true, resumed: true, lastUrl });
+}
+
+async function stop() {
+  const state = await updateState(current => ['recording', 'paused'].includes(current.status)
+    ? { ...current, status: 'stopped', error: null }
+    : null);
+  if (state.status !== 'stopped') {
+    throw new Error('Nothing is being recorded');
+  }
+
+  notifyTab(state.tabId, { recording: false }).catch(() => {});
+  return upload();
+}
+
+/**
+ * Submit a stopped recording like the app does, authenticated with the user's API token
+ */
+async function upload() {
+  const state = await getState();
+  if (state.status !== 'stopped') {
+    throw new Error('Stop the recording before uploading it');
+  }
+  if (state.interactions.length === 0) {
+    await updateState(() => IDLE_STATE);
+    throw new Error('No interactions were recorded');
+  }
+
+  const interactions = state.interactions;
+  const title = state.title || `Extension recording ${new Date().toISOString()}`;
+
+  try {
+    const { backendUrl, apiToken } = await chrome.storage.local.get(['backendUrl', 'apiToken']);
+    if (!backendUrl || !apiToken) {
+      throw new Error('Set the backend URL and API token first');
+    }
+
+    const response = await fetch(`${backendUrl.replace(/\/+$/, '')}/api/recordings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiToken}`
+      },
+      body: JSON.stringify({
+        interactions,
+        metadata: {
+          title,
+          url: interactions.find(interaction => interaction.action === 'navigation')?.url || null,
+          userAgent: navigator.userAgent,
+          interactionCount: interactions.length,
+          duration: interactions[interactions.length - 1].relativeTime,
+          source: 'extension'
+        }
+      })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Upload failed with status ${response.status}`);
+    }
+
+    await updateState(() => IDLE_STATE);
+    return { recordingId: result.id };
+  } catch (error) {
+    // Keep the recording so the upload can be retried once the settings or backend are fixed
+    await updateState(current => ({ ...current, error: error.message }));
+    throw error;
+  }
+}
+
+async function discard() {
+  const state = await getState();
+  if (state.tabId) {
+    notifyTab(state.tabId, { recording: false }).catch(() => {});
+  }
+  await updateState(() => IDLE_STATE);
+}
+
+function recordInteraction(interaction, tabId) {
+  return updateState(state => {
+    if (state.status !== 'recording' || state.tabId !== tabId) return null;
+
+    return {
+      ...state,
+      interactions: [
+        ...state.interactions,
+        { ...interaction, relativeTime: interaction.timestamp - state.startTime - state.pausedDuration }
+      ]
+    };
+  });
+}
+
+const handlers = {
+  hello: async (message, sender) => {
+    const state = await getState();
+    return { recording: state.status === 'recording' && state.tabId === sender.tab?.id };
+  },
+  interaction: async (message, sender) => {
+    await recordInteraction(message.interaction, sender.tab?.id);
+    return {};
+  },
+  getState: async () => summarize(await getState()),
+  start: async (message) => {
+    await start(message.tabId, message.title);
+    return summarize(await getState());
+  },
+  pause: async () => {
+    await pause();
+    return summarize(await getState());
+  },
+  resume: async () => {
+    await resume();
+    return summarize(await getState());
+  },
+  stop: async () => stop(),
+  upload: async () => upload(),
+  discard: async () => {
+    await discard();
+    return summarize(await getState());
+  }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = handlers[message.type];
+  if (!handler) return false;
+
+  handler(message, sender)
+    .then(data => sendResponse({ success: true, data }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  // Keep the channel open for the asynchronous response
+  return true;
+});
+
+// A recording whose tab is closed can still be uploaded or discarded from the popup
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateState(state => ['recording', 'paused'].includes(state.status) && state.tabId === tabId
+    ? { ...state, status: 'stopped', error: 'The recorded tab was closed' }
+    : null);
+});
+
+getState().then(updateBadge);
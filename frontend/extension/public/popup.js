@@ -0,0 +1,91 @@
+/**
+ * Extension Popup
+ * Starts, pauses and stops the recording held by the background worker and stores the connection settings
+ */
+
+const $ = id => document.getElementById(id);
+
+const STATUS_TEXT = {
+  idle: () => 'Not recording',
+  recording: state => `Recording · ${state.interactionCount} actions`,
+  paused: state => `Paused · ${state.interactionCount} actions`,
+  stopped: state => `Stopped · ${state.interactionCount} actions`
+};
+
+function showMessage(text, isError = false) {
+  $('message').textContent = text || '';
+  $('message').className = isError ? 'message error' : 'message';
+}
+
+function render(state) {
+  $('dot').className = `dot ${state.status}`;
+  $('status').textContent = STATUS_TEXT[state.status](state);
+  $('idle').hidden = state.status !== 'idle';
+  $('active').hidden = !['recording', 'paused'].includes(state.status);
+  $('stopped').hidden = state.status !== 'stopped';
+  $('pause').textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+  if (state.error) showMessage(state.error, true);
+}
+
+async function send(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+  return response.data;
+}
+
+/**
+ * Run a popup action with its buttons disabled, then show the resulting state
+ */
+async function run(action) {
+  document.querySelectorAll('button').forEach(button => { button.disabled = true; });
+  showMessage('');
+  try {
+    const result = await action();
+    if (result?.recordingId) {
+      showMessage(`Uploaded as recording ${result.recordingId}. It is processed in the app like any other recording.`);
+    }
+  } catch (error) {
+    showMessage(error.message, true);
+  } finally {
+    render(await send({ type: 'getState' }));
+    document.querySelectorAll('button').forEach(button => { button.disabled = false; });
+  }
+}
+
+$('start').addEventListener('click', () => run(async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  await send({ type: 'start', tabId: tab.id, title: $('title').value.trim() });
+}));
+
+$('pause').addEventListener('click', () => run(async () => {
+  const state = await send({ type: 'getState' });
+  await send({ type: state.status === 'paused' ? 'resume' : 'pause' });
+}));
+
+$('stop').addEventListener('click', () => run(() => send({ type: 'stop' })));
+$('upload').addEventListener('click', () => run(() => send({ type: 'upload' })));
+$('discard').addEventListener('click', () => run(() => send({ type: 'discard' })));
+
+$('saveSettings').addEventListener('click', async () => {
+  await chrome.storage.local.set({
+    backendUrl: $('backendUrl').value.trim(),
+    apiToken: $('apiToken').value.trim()
+  });
+  showMessage('Connection saved');
+});
+
+chrome.storage.local.get(['backendUrl', 'apiToken']).then(({ backendUrl, apiToken }) => {
+  $('backendUrl').value = backendUrl || '';
+  $('apiToken').value = apiToken || '';
+  // Open the connection settings until they are filled in
+  $('settings').open = !backendUrl || !apiToken;
+});
+
+send({ type: 'getState' }).then(render);
+
+// Keep the action count current while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session') send({ type: 'getState' }).then(render);
+});
@@ -0,0 +1,66 @@
+/**
+ * Page Recorder
+ * Runs the app's BrowserRecorder in third-party pages and frames, for remote recordings and the bookmarklet,
+ * and hands each interaction to a reporting function the host page provides
+ */
+import { BrowserRecorder } from '../src/utils/recorder.js';
+
+// Only the position a scroll comes to rest at is reported
+const SCROLL_SETTLE_DELAY = 250;
+
+class PageRecorder extends BrowserRecorder {
+  constructor({ bindingName, ignoreSelector = null }) {
+    super();
+    this.bindingName = bindingName;
+    this.ignoreSelector = ignoreSelector;
+    this.scrollTimer = null;
+  }
+
+  // Record from now on; the hosts record navigations themselves
+  start() {
+    this.isRecording = true;
+    this.startTime = Date.now();
+    this.attachEventListeners();
+  }
+
+  // Skip events inside the host's own controls, e.g. the bookmarklet widget
+  isIgnored(event) {
+    return Boolean(this.ignoreSelector && event.target instanceof Element && event.target.closest(this.ignoreSelector));
+  }
+
+  addInteraction(interaction) {
+    if (!this.isRecording || interaction.action === 'navigation') return;
+
+    if (interaction.action === 'scroll') {
+      clearTimeout(this.scrollTimer);
+      this.scrollTimer = setTimeout(() => this.report(interaction), SCROLL_SETTLE_DELAY);
+      return;
+    }
+
+    this.report(interaction);
+  }
+
+  report(interaction) {
+    const send = window[this.bindingName];
+    if (typeof send === 'function') {
+      send(interaction);
+    }
+  }
+}
+
+/**
+ * Start recording the page and pass each interaction to window[bindingName].
+ * Events inside ignoreSelector are skipped.
+ */
+export function installRecorder({ bindingName, ignoreSelector = null }) {
+  if (window.__automationRecorder) return;
+
+  const recorder = new PageRecorder({ bindingName, ignoreSelector });
+  recorder.start();
+
+  // Lets the host locate the <iframe> elements of child frames with the same selector strategy
+  Object.defineProperty(window, '__automationRecorder', {
+    value: { selectorFor: element => recorder.generateSelector(element) },
+    enumerable: false
+  });
+}
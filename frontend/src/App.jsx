@@ -16,6 +16,9 @@ import {
   LogOut
 } from 'lucide-react'
 import RecordingControls from './components/RecordingControls'
+import TaskPrompt from './components/TaskPrompt'
+import RemoteRecording from './components/RemoteRecording'
+import BookmarkletRecorder from './components/BookmarkletRecorder'
 import RecordingsList from './components/RecordingsList'
 import ScriptViewer from './components/ScriptViewer'
 import APIExporter from './components/APIExporter'
@@ -184,6 +187,9 @@ function App() {
               {/* Left Column - Recording Controls */}
               <div className="space-y-6">
                 <RecordingControls onRecordingComplete={handleRecordingComplete} />
+                <TaskPrompt onRecordingComplete={handleRecordingComplete} />
+                <RemoteRecording onRecordingComplete={handleRecordingComplete} />
+                <BookmarkletRecorder />
                 
                 {/* Features Overview */}
                 <Card>
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  KeyRound,
+  Plus,
+  Copy,
+  Check,
+  Ban,
+  RefreshCw,
+  AlertCircle
+} from 'lucide-react'
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([])
+  const [name, setName] = useState('')
+  const [created, setCreated] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+  const [creating, setCreating] = useState(false)
+
+  useEffect(() => {
+    loadTokens()
+  }, [])
+
+  const loadTokens = async () => {
+    try {
+      const response = await fetch('/api/settings/tokens')
+      const result = await response.json()
+      if (result.success) {
+        setTokens(result.data)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to load API tokens:', err)
+      setError('Failed to load API tokens')
+    }
+  }
+
+  const createToken = async () => {
+    setCreating(true)
+    setError(null)
+    setCopied(false)
+
+    try {
+      const response = await fetch('/api/settings/tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: name.trim() })
+      })
+      const result = await response.json()
+      if (result.success) {
+        setCreated(result.data)
+        setName('')
+        loadTokens()
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to create API token:', err)
+      setError('Failed to create API token')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const revokeToken = async (id) => {
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/settings/tokens/${id}`, { method: 'DELETE' })
+      const result = await response.json()
+      if (result.success) {
+        setTokens(prev => prev.map(t => t.id === id ? result.data : t))
+        if (created?.id === id) setCreated(null)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to revoke API token:', err)
+      setError('Failed to revoke API token')
+    }
+  }
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(created.token)
+      setCopied(true)
+    } catch (err) {
+      console.error('Failed to copy API token:', err)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2 mb-4">
+        <KeyRound className="w-5 h-5 text-amber-500" />
+        <h3 className="text-lg font-medium">API Tokens</h3>
+      </div>
+
+      <p className="text-sm text-muted-foreground">
+        Tokens let the browser extension and other clients submit recordings. Paste one into the extension popup.
+      </p>
+
+      <div className="flex items-end space-x-2">
+        <div className="flex-1 space-y-2">
+          <Label htmlFor="tokenName">Token Name</Label>
+          <Input
+            id="tokenName"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Chrome extension on my laptop"
+          />
+        </div>
+        <Button onClick={createToken} disabled={creating || !name.trim()}>
+          {creating ? (
+            <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Plus className="w-4 h-4 mr-2" />
+          )}
+          Create Token
+        </Button>
+      </div>
+
+      {created && (
+        <div className="space-y-2 p-3 bg-green-50 rounded-lg">
+          <p className="text-sm">Copy this token now. It is not shown again.</p>
+          <div className="flex items-center space-x-2">
+            <Input value={created.token} readOnly className="font-mono text-sm" />
+            <Button variant="outline" size="sm" onClick={copyToken}>
+              {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-600">
+          <AlertCircle className="w-4 h-4" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {tokens.map(token => (
+          <div key={token.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+            <div className="space-y-0.5">
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-medium">{token.name}</span>
+                <Badge variant="outline" className="font-mono">{token.token_prefix}…</Badge>
+                {token.revoked_at && <Badge variant="secondary">Revoked</Badge>}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Created {new Date(token.created_at).toLocaleString()}
+                {` · ${token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : 'never used'}`}
+              </p>
+            </div>
+            {!token.revoked_at && (
+              <Button variant="outline" size="sm" onClick={() => revokeToken(token.id)}>
+                <Ban className="w-4 h-4 mr-2" />
+                Revoke
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ApiTokens
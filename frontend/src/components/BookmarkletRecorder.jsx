@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Bookmark, Copy, Check, Loader2, AlertCircle } from 'lucide-react';
+import apiService from '../services/api';
+
+const BookmarkletRecorder = () => {
+  const [title, setTitle] = useState('');
+  const [loader, setLoader] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const linkRef = useRef(null);
+
+  // React refuses javascript: URLs in href, so the bookmarklet is set on the element directly
+  useEffect(() => {
+    if (loader && linkRef.current) {
+      linkRef.current.setAttribute('href', loader.bookmarklet);
+    }
+  }, [loader]);
+
+  const create = async () => {
+    setLoading(true);
+    setError(null);
+    setCopied(false);
+
+    try {
+      const response = await apiService.createRecordingToken(title.trim() || undefined);
+      setLoader(response.data);
+    } catch (error) {
+      console.error('Failed to create recording token:', error);
+      setError('Could not create a bookmarklet. Check that the backend and database are available.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyScriptTag = async () => {
+    try {
+      await navigator.clipboard.writeText(loader.scriptTag);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy script tag:', error);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bookmark className="w-4 h-4" />
+          Record in Any Tab
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="bookmarkletTitle">Recording title</Label>
+          <Input
+            id="bookmarkletTitle"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Checkout on the staging shop"
+          />
+        </div>
+
+        <Button onClick={create} disabled={loading} className="w-full">
+          {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Bookmark className="w-4 h-4 mr-2" />}
+          {loader ? 'Create New Bookmarklet' : 'Create Bookmarklet'}
+        </Button>
+
+        {loader && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-2 text-sm">
+              <span>Drag to your bookmarks bar:</span>
+              <a
+                ref={linkRef}
+                className="px-2 py-1 rounded bg-primary text-primary-foreground text-xs font-medium"
+                onClick={(e) => e.preventDefault()}
+              >
+                ● {loader.title || 'Record automation'}
+              </a>
+            </div>
+
+            <Button variant="outline" size="sm" onClick={copyScriptTag} className="w-full">
+              {copied ? <Check className="w-4 h-4 mr-2" /> : <Copy className="w-4 h-4 mr-2" />}
+              {copied ? 'Copied' : 'Copy Script Tag'}
+            </Button>
+
+            <p className="text-xs text-muted-foreground">
+              Open the site, click the bookmark and press Start in the widget. Click the bookmark again after each page load to keep recording.
+              Stop &amp; save adds the recording to your list. Valid until {new Date(loader.expiresAt).toLocaleTimeString()}.
+            </p>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BookmarkletRecorder;
@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  FileText,
+  Save,
+  RefreshCw,
+  RotateCcw,
+  Eye,
+  AlertCircle
+} from 'lucide-react'
+
+const TEMPLATE_LABELS = {
+  enhancement: 'Script Enhancement',
+  analysis: 'Interaction Analysis',
+  documentation: 'API Documentation',
+  task: 'Task Planning',
+  healing: 'Selector Healing',
+  naming: 'Parameter Naming',
+  samples: 'Sample Data'
+}
+
+const PromptTemplates = () => {
+  const [templates, setTemplates] = useState([])
+  const [selectedName, setSelectedName] = useState('enhancement')
+  const [draft, setDraft] = useState('')
+  const [note, setNote] = useState('')
+  const [recordingId, setRecordingId] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [previewing, setPreviewing] = useState(false)
+
+  const selected = templates.find(t => t.name === selectedName)
+  const activeTemplate = selected?.versions.find(v => v.version === selected.activeVersion)
+
+  useEffect(() => {
+    loadTemplates()
+  }, [])
+
+  useEffect(() => {
+    setDraft(activeTemplate?.template || '')
+    setPreview(null)
+    setError(null)
+  }, [selectedName, activeTemplate?.template])
+
+  const loadTemplates = async () => {
+    try {
+      const response = await fetch('/api/settings/prompts')
+      const result = await response.json()
+      if (result.success) {
+        setTemplates(result.data)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to load prompt templates:', err)
+      setError('Failed to load prompt templates')
+    }
+  }
+
+  const postJSON = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    })
+    return response.json()
+  }
+
+  const updateTemplate = (entry) => {
+    setTemplates(prev => prev.map(t => t.name === entry.name ? { ...t, ...entry } : t))
+  }
+
+  const saveVersion = async () => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      const result = await postJSON(`/api/settings/prompts/${selectedName}`, { template: draft, note })
+      if (result.success) {
+        updateTemplate(result.data)
+        setNote('')
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to save prompt template:', err)
+      setError('Failed to save prompt template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rollback = async (version) => {
+    setError(null)
+
+    try {
+      const result = await postJSON(`/api/settings/prompts/${selectedName}/rollback`, { version })
+      if (result.success) {
+        updateTemplate(result.data)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to roll back prompt template:', err)
+      setError('Failed to roll back prompt template')
+    }
+  }
+
+  const previewTemplate = async () => {
+    setPreviewing(true)
+    setError(null)
+
+    try {
+      const result = await postJSON(`/api/settings/prompts/${selectedName}/preview`, {
+        recordingId,
+        template: draft
+      })
+      if (result.success) {
+        setPreview(result.data)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      console.error('Failed to preview prompt template:', err)
+      setError('Failed to preview prompt template')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2 mb-4">
+        <FileText className="w-5 h-5 text-blue-500" />
+        <h3 className="text-lg font-medium">Prompt Templates</h3>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Template</Label>
+          <Select value={selectedName} onValueChange={setSelectedName}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select Template" />
+            </SelectTrigger>
+            <SelectContent>
+              {templates.map(t => (
+                <SelectItem key={t.name} value={t.name}>
+                  {TEMPLATE_LABELS[t.name] || t.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Available Variables</Label>
+          <div className="flex flex-wrap gap-2">
+            {selected?.variables.map(variable => (
+              <Badge key={variable} variant="outline">{`{{${variable}}}`}</Badge>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="promptTemplate">
+          Template (active version: v{selected?.activeVersion ?? '-'})
+        </Label>
+        <Textarea
+          id="promptTemplate"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={14}
+          className="font-mono text-sm"
+        />
+      </div>
+
+      <div className="flex items-end space-x-2">
+        <div className="flex-1 space-y-2">
+          <Label htmlFor="promptNote">Version Note</Label>
+          <Input
+            id="promptNote"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What changed in this version"
+          />
+        </div>
+        <Button onClick={saveVersion} disabled={saving || draft === activeTemplate?.template}>
+          {saving ? (
+            <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Save className="w-4 h-4 mr-2" />
+          )}
+          Save as New Version
+        </Button>
+      </div>
+
+      <div className="flex items-end space-x-2">
+        <div className="flex-1 space-y-2">
+          <Label htmlFor="previewRecording">Preview Against Recording</Label>
+          <Input
+            id="previewRecording"
+            value={recordingId}
+            onChange={(e) => setRecordingId(e.target.value)}
+            placeholder="Recording ID"
+          />
+        </div>
+        <Button variant="outline" onClick={previewTemplate} disabled={previewing || !recordingId}>
+          {previewing ? (
+            <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Eye className="w-4 h-4 mr-2" />
+          )}
+          Preview
+        </Button>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-600">
+          <AlertCircle className="w-4 h-4" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+
+      {preview && (
+        <div className="space-y-2">
+          {!preview.scriptAvailable && (
+            <p className="text-sm text-muted-foreground">
+              This recording has no generated script yet, so {'{{script}}'} renders empty.
+            </p>
+          )}
+          <pre className="bg-gray-50 p-4 rounded-lg text-xs overflow-auto max-h-96 whitespace-pre-wrap">
+            {preview.prompt}
+          </pre>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label>Version History</Label>
+        <div className="space-y-2">
+          {selected?.versions.slice().reverse().map(version => (
+            <div key={version.version} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div className="space-y-0.5">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium">v{version.version}</span>
+                  {version.version === selected.activeVersion && <Badge>Active</Badge>}
+                </div>
+                <p className="text-sm text-muted-foreground">
+                  {version.note || 'No note'}
+                  {version.createdAt && ` · ${new Date(version.createdAt).toLocaleString()}`}
+                </p>
+              </div>
+              {version.version !== selected.activeVersion && (
+                <Button variant="outline" size="sm" onClick={() => rollback(version.version)}>
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Roll Back
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PromptTemplates
@@ -1,17 +1,37 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { Play, Square, Circle, Clock, MousePointer } from 'lucide-react';
+import { Play, Square, Circle, Clock, MousePointer, CheckCircle, Loader2, XCircle, MinusCircle, ShieldAlert } from 'lucide-react';
 import recorder from '../utils/recorder';
 import apiService from '../services/api';
 
+// Stages reported by the backend while generating the automation package
+const PROCESSING_STAGES = [
+  { id: 'parameter_naming', label: 'Parameter naming' },
+  { id: 'basic_script', label: 'Basic script' },
+  { id: 'analysis', label: 'Interaction analysis' },
+  { id: 'enhancement', label: 'AI enhancement' },
+  { id: 'alternative_formats', label: 'Alternative formats' },
+  { id: 'documentation', label: 'Documentation' },
+  { id: 'safety_scan', label: 'Safety scan' },
+  { id: 'api_registration', label: 'API registration' }
+];
+
 const RecordingControls = ({ onRecordingComplete }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [recordingStatus, setRecordingStatus] = useState(null);
   const [interactionCount, setInteractionCount] = useState(0);
   const [duration, setDuration] = useState(0);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [stageStatuses, setStageStatuses] = useState({});
+  const [retryInfo, setRetryInfo] = useState(null);
+  const unsubscribeRef = useRef(null);
+
+  // Close the progress stream when the component unmounts
+  useEffect(() => {
+    return () => unsubscribeRef.current && unsubscribeRef.current();
+  }, []);
 
   // Update recording status periodically
   useEffect(() => {
@@ -49,6 +69,8 @@ const RecordingControls = ({ onRecordingComplete }) => {
     }
 
     setIsProcessing(true);
+    setStageStatuses({});
+    setRetryInfo(null);
     
     try {
       // Send recording to backend for processing
@@ -60,18 +82,31 @@ const RecordingControls = ({ onRecordingComplete }) => {
       
       console.log('Recording submitted:', response);
       
-      // Poll for completion
-      apiService.pollRecordingStatus(response.id, (recording) => {
-        console.log('Recording status update:', recording);
-        
-        if (recording.status === 'completed') {
+      // Follow processing progress stage by stage
+      unsubscribeRef.current = apiService.subscribeToRecordingEvents(response.id, {
+        onStage: (event) => {
+          if (event.stage === 'retry') {
+            setRetryInfo(event);
+            setStageStatuses({});
+            return;
+          }
+          setStageStatuses((current) => ({ ...current, [event.stage]: event.status }));
+        },
+        onCompleted: async () => {
           setIsProcessing(false);
           setRecordingStatus('completed');
-          onRecordingComplete && onRecordingComplete(recording);
-        } else if (recording.status === 'error') {
+          setRetryInfo(null);
+          try {
+            const recording = await apiService.getRecording(response.id);
+            onRecordingComplete && onRecordingComplete(recording);
+          } catch (error) {
+            console.error('Failed to load processed recording:', error);
+          }
+        },
+        onFailed: (event) => {
           setIsProcessing(false);
           setRecordingStatus('error');
-          console.error('Recording processing failed:', recording.error);
+          console.error('Recording processing failed:', event.error);
         }
       });
       
@@ -83,6 +118,17 @@ const RecordingControls = ({ onRecordingComplete }) => {
     }
   };
 
+  const getStageIcon = (status) => {
+    switch (status) {
+      case 'started': return <Loader2 className="w-4 h-4 animate-spin text-primary" />;
+      case 'completed': return <CheckCircle className="w-4 h-4 text-green-500" />;
+      case 'failed': return <XCircle className="w-4 h-4 text-red-500" />;
+      case 'skipped': return <MinusCircle className="w-4 h-4 text-muted-foreground" />;
+      case 'blocked': return <ShieldAlert className="w-4 h-4 text-red-500" />;
+      default: return <Circle className="w-4 h-4 text-muted-foreground" />;
+    }
+  };
+
   const formatDuration = (ms) => {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -144,6 +190,25 @@ const RecordingControls = ({ onRecordingComplete }) => {
           </div>
         )}
 
+        {/* Processing Progress */}
+        {(isProcessing || Object.keys(stageStatuses).length > 0) && (
+          <div className="space-y-2">
+            {PROCESSING_STAGES.map((stage) => (
+              <div key={stage.id} className="flex items-center gap-2 text-sm">
+                {getStageIcon(stageStatuses[stage.id])}
+                <span className={stageStatuses[stage.id] ? '' : 'text-muted-foreground'}>
+                  {stage.label}
+                </span>
+              </div>
+            ))}
+            {retryInfo && (
+              <p className="text-xs text-yellow-600">
+                Attempt {retryInfo.attempt} of {retryInfo.maxAttempts} failed, retrying in {Math.round(retryInfo.delay / 1000)}s
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Control Buttons */}
         <div className="flex gap-2">
           {!isRecording ? (
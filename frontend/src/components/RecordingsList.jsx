@@ -130,6 +130,9 @@ const RecordingsList = ({ onSelectRecording, selectedRecordingId }) => {
                         {recording.metadata.title}
                       </span>
                     )}
+                    {recording.metadata?.aiAuthored && (
+                      <Badge variant="outline">AI-authored</Badge>
+                    )}
                   </div>
                   <div className="flex gap-2">
                     <Button
@@ -0,0 +1,202 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Globe, Square, Trash2, Loader2, AlertCircle, MousePointer } from 'lucide-react';
+import apiService from '../services/api';
+
+// Interactions listed while recording, newest last
+const VISIBLE_INTERACTIONS = 5;
+
+const STOP_REASONS = {
+  browser_closed: 'The browser window was closed.',
+  max_duration: 'The recording reached its time limit.',
+  shutdown: 'The server shut down.'
+};
+
+const describeInteraction = (interaction) => {
+  switch (interaction.action) {
+    case 'navigation': return `Open ${interaction.url}`;
+    case 'type': return `Type into ${interaction.selector}`;
+    case 'keypress': return `Press ${interaction.key}`;
+    case 'scroll': return `Scroll to ${interaction.y}`;
+    default: return `${interaction.action} ${interaction.selector || ''}`;
+  }
+};
+
+const RemoteRecording = ({ onRecordingComplete }) => {
+  const [targetUrl, setTargetUrl] = useState('');
+  const [session, setSession] = useState(null);
+  const [interactions, setInteractions] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const unsubscribeRef = useRef(null);
+
+  // Close the interaction and progress streams when the component unmounts
+  useEffect(() => {
+    return () => unsubscribeRef.current && unsubscribeRef.current();
+  }, []);
+
+  const start = async () => {
+    setStatus('starting');
+    setError(null);
+    setNotice(null);
+    setInteractions([]);
+
+    try {
+      const response = await apiService.startRemoteRecording(targetUrl.trim());
+      setSession(response.data);
+      setStatus('recording');
+
+      unsubscribeRef.current = apiService.subscribeToRemoteRecording(response.data.id, {
+        onInteraction: (interaction) => setInteractions((current) => [...current, interaction]),
+        onStopped: (event) => {
+          if (STOP_REASONS[event.reason]) {
+            setNotice(`${STOP_REASONS[event.reason]} Save the ${event.interactionCount} recorded actions or discard them.`);
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Failed to start remote recording:', error);
+      setStatus(null);
+      setError('Could not open a browser at this URL. Remote recording needs the backend server running with a display.');
+    }
+  };
+
+  const save = async () => {
+    unsubscribeRef.current && unsubscribeRef.current();
+    setStatus('processing');
+    setNotice(null);
+
+    try {
+      const { data } = await apiService.stopRemoteRecording(session.id);
+      if (data.interactions.length === 0) {
+        setStatus(null);
+        setSession(null);
+        setError('No interactions were recorded.');
+        return;
+      }
+
+      // Submitted like an in-app recording, so it goes through the same processing pipeline
+      const response = await apiService.createRecording(data.interactions, data.metadata);
+      unsubscribeRef.current = apiService.subscribeToRecordingEvents(response.id, {
+        onCompleted: async () => {
+          setStatus(null);
+          setSession(null);
+          try {
+            const recording = await apiService.getRecording(response.id);
+            onRecordingComplete && onRecordingComplete(recording);
+          } catch (error) {
+            console.error('Failed to load remote recording:', error);
+          }
+        },
+        onFailed: (event) => {
+          setStatus(null);
+          setSession(null);
+          setError(event.error || 'Processing the remote recording failed');
+        }
+      });
+    } catch (error) {
+      console.error('Failed to save remote recording:', error);
+      setStatus(null);
+      setSession(null);
+      setError('Could not save the remote recording. It may have expired.');
+    }
+  };
+
+  const discard = async () => {
+    unsubscribeRef.current && unsubscribeRef.current();
+    try {
+      await apiService.discardRemoteRecording(session.id);
+    } catch (error) {
+      console.error('Failed to discard remote recording:', error);
+    }
+    setStatus(null);
+    setSession(null);
+    setNotice(null);
+    setInteractions([]);
+  };
+
+  return (
+    <Card className="w-full max-w-md">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="w-4 h-4" />
+          Record Another Site
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!session ? (
+          <>
+            <div className="space-y-2">
+              <Label htmlFor="remoteUrl">Site URL</Label>
+              <Input
+                id="remoteUrl"
+                value={targetUrl}
+                onChange={(e) => setTargetUrl(e.target.value)}
+                placeholder="https://shop.example.com"
+              />
+            </div>
+
+            <Button onClick={start} disabled={status !== null || !targetUrl.trim()} className="w-full">
+              {status === 'starting' ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Globe className="w-4 h-4 mr-2" />
+              )}
+              {status === 'starting' ? 'Opening browser...' : 'Open and Record'}
+            </Button>
+
+            <p className="text-xs text-muted-foreground">
+              Opens a browser window on the server at this URL. Everything you do there, including inside frames, is recorded.
+            </p>
+          </>
+        ) : (
+          <>
+            <div className="flex items-center gap-2 text-sm">
+              <MousePointer className="w-4 h-4 text-muted-foreground" />
+              <span>{interactions.length} actions on {new URL(session.url).hostname}</span>
+            </div>
+
+            {interactions.length > 0 && (
+              <ul className="space-y-1 text-xs font-mono text-muted-foreground">
+                {interactions.slice(-VISIBLE_INTERACTIONS).map((interaction) => (
+                  <li key={`${interaction.timestamp}-${interaction.action}`} className="truncate">
+                    {describeInteraction(interaction)}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {notice && <p className="text-xs text-yellow-600">{notice}</p>}
+
+            <div className="flex gap-2">
+              <Button onClick={save} variant="destructive" className="flex-1" disabled={status === 'processing'}>
+                {status === 'processing' ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Square className="w-4 h-4 mr-2" />
+                )}
+                {status === 'processing' ? 'Generating scripts...' : 'Stop and Save'}
+              </Button>
+              <Button onClick={discard} variant="outline" disabled={status === 'processing'}>
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </>
+        )}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RemoteRecording;
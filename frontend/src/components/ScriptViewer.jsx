@@ -13,11 +13,15 @@ import {
   Clock,
   AlertCircle,
   CheckCircle,
-  Info
+  Info,
+  Shield
 } from 'lucide-react';
+import SelectorProposals from './SelectorProposals';
+import apiService from '../services/api';
 
 const ScriptViewer = ({ recording }) => {
   const [copiedScript, setCopiedScript] = useState(null);
+  const [review, setReview] = useState({ approving: false, approved: false, error: null });
 
   if (!recording || !recording.automationPackage) {
     return (
@@ -55,6 +59,17 @@ const ScriptViewer = ({ recording }) => {
     URL.revokeObjectURL(url);
   };
 
+  const approveRecording = async () => {
+    setReview({ approving: true, approved: false, error: null });
+    try {
+      await apiService.approveRecording(recording.id);
+      setReview({ approving: false, approved: true, error: null });
+    } catch (error) {
+      console.error('Failed to approve recording:', error);
+      setReview({ approving: false, approved: false, error: 'Could not approve the recording. Its generated code may have safety findings.' });
+    }
+  };
+
   const getComplexityColor = (complexity) => {
     switch (complexity) {
       case 'low': return 'bg-green-500';
@@ -99,8 +114,34 @@ const ScriptViewer = ({ recording }) => {
               <Badge className={getComplexityColor(analysis.complexity)}>
                 {analysis.complexity} complexity
               </Badge>
+              {metadata.aiAuthored && (
+                <Badge variant="outline">AI-authored</Badge>
+              )}
             </div>
           </div>
+
+          {metadata.aiAuthored && (
+            <div className="flex items-start gap-2 mb-4 p-3 bg-yellow-50 rounded-lg text-sm">
+              <AlertCircle className="w-4 h-4 text-yellow-500 mt-0.5" />
+              <div className="flex-1 space-y-2">
+                <span>
+                  These steps were planned by AI from the task "{metadata.taskDescription}" and were never recorded.
+                  Review the selectors and values before relying on this automation.
+                </span>
+                {recording.metadata?.needsReview && !review.approved && (
+                  <div className="flex items-center gap-2">
+                    <Button size="sm" onClick={approveRecording} disabled={review.approving}>
+                      <CheckCircle className="w-4 h-4 mr-2" />
+                      Approve and register API
+                    </Button>
+                    <span className="text-xs text-muted-foreground">Its API is registered only after approval.</span>
+                  </div>
+                )}
+                {review.approved && <p className="text-green-700">Approved; the API is registered.</p>}
+                {review.error && <p className="text-red-600">{review.error}</p>}
+              </div>
+            </div>
+          )}
           
           <div className="space-y-3">
             <div>
@@ -108,7 +149,7 @@ const ScriptViewer = ({ recording }) => {
               <p className="text-sm text-muted-foreground">{analysis.workflow}</p>
             </div>
             
-            {analysis.issues && analysis.issues.length > 0 && (
+            {analysis.issues?.length > 0 && (
               <div>
                 <h4 className="font-medium mb-2 flex items-center gap-2">
                   <AlertCircle className="w-4 h-4 text-yellow-500" />
@@ -125,7 +166,7 @@ const ScriptViewer = ({ recording }) => {
               </div>
             )}
             
-            {analysis.optimizations && analysis.optimizations.length > 0 && (
+            {analysis.optimizations?.length > 0 && (
               <div>
                 <h4 className="font-medium mb-2 flex items-center gap-2">
                   <CheckCircle className="w-4 h-4 text-green-500" />
@@ -141,6 +182,40 @@ const ScriptViewer = ({ recording }) => {
                 </ul>
               </div>
             )}
+
+            {Array.isArray(analysis.security) && analysis.security.length > 0 && (
+              <div>
+                <h4 className="font-medium mb-2 flex items-center gap-2">
+                  <Shield className="w-4 h-4 text-blue-500" />
+                  Security Considerations
+                </h4>
+                <ul className="text-sm text-muted-foreground space-y-1">
+                  {analysis.security.map((consideration, index) => (
+                    <li key={index} className="flex items-start gap-2">
+                      <span className="text-blue-500 mt-1">•</span>
+                      {consideration}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {automationPackage.warnings?.length > 0 && (
+              <div>
+                <h4 className="font-medium mb-2 flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-500" />
+                  Generation Warnings
+                </h4>
+                <ul className="text-sm text-muted-foreground space-y-1">
+                  {automationPackage.warnings.map((warning, index) => (
+                    <li key={index} className="flex items-start gap-2">
+                      <span className="text-red-500 mt-1">•</span>
+                      {warning.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -284,6 +359,9 @@ const ScriptViewer = ({ recording }) => {
         </CardContent>
       </Card>
 
+      {/* Selectors healed during live executions */}
+      <SelectorProposals recordingId={recording.id} />
+
       {/* Configuration */}
       <Card>
         <CardHeader>
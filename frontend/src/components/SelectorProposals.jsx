@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Wrench, Check, X, AlertCircle } from 'lucide-react';
+import apiService from '../services/api';
+
+const SelectorProposals = ({ recordingId }) => {
+  const [proposals, setProposals] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!recordingId) return;
+
+    apiService.getSelectorProposals(recordingId)
+      .then(response => setProposals(response.data || []))
+      .catch(error => console.error('Failed to load selector proposals:', error));
+  }, [recordingId]);
+
+  const resolve = async (proposal, action) => {
+    setBusyId(proposal.id);
+    setError(null);
+
+    try {
+      if (action === 'apply') {
+        await apiService.applySelectorProposal(recordingId, proposal.id);
+        // Applying supersedes the other proposals for the same step
+        setProposals(current => current.filter(p => p.step_index !== proposal.step_index));
+      } else {
+        await apiService.dismissSelectorProposal(recordingId, proposal.id);
+        setProposals(current => current.filter(p => p.id !== proposal.id));
+      }
+    } catch (error) {
+      console.error(`Failed to ${action} selector proposal:`, error);
+      setError(`Could not ${action} the proposal for step ${proposal.step_index + 1}. The recording may have changed since it was proposed.`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (proposals.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Wrench className="w-5 h-5" />
+          Selector Proposals
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <p className="text-sm text-muted-foreground">
+          These selectors stopped matching during live executions and were replaced on the fly. Apply a proposal to store it in the recording.
+        </p>
+
+        {proposals.map(proposal => (
+          <div key={proposal.id} className="border rounded-lg p-3 space-y-2">
+            <div className="flex items-center gap-2 flex-wrap">
+              <span className="text-sm font-medium">Step {proposal.step_index + 1}</span>
+              <Badge variant="outline">{proposal.method === 'ai' ? 'AI match' : 'Attribute match'}</Badge>
+              {proposal.confidence !== null && (
+                <Badge variant="secondary">{Math.round(proposal.confidence * 100)}% confidence</Badge>
+              )}
+              <span className="text-xs text-muted-foreground">
+                Healed {proposal.occurrences} time{proposal.occurrences === 1 ? '' : 's'}
+              </span>
+            </div>
+            <div className="text-sm font-mono break-all">
+              <div className="text-red-600 line-through">{proposal.original_selector}</div>
+              <div className="text-green-600">{proposal.proposed_selector}</div>
+            </div>
+            {proposal.reason && (
+              <p className="text-xs text-muted-foreground">{proposal.reason}</p>
+            )}
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => resolve(proposal, 'apply')} disabled={busyId !== null}>
+                <Check className="w-4 h-4 mr-2" />
+                Apply
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => resolve(proposal, 'dismiss')} disabled={busyId !== null}>
+                <X className="w-4 h-4 mr-2" />
+                Dismiss
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SelectorProposals;
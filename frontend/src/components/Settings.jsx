@@ -7,6 +7,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Textarea } from '@/components/ui/textarea'
 import { Switch } from '@/components/ui/switch'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import PromptTemplates from './PromptTemplates'
+import ApiTokens from './ApiTokens'
 import { 
   Settings as SettingsIcon, 
   Brain, 
@@ -16,17 +18,32 @@ import {
   RefreshCw,
   AlertCircle,
   CheckCircle,
-  Code
+  Code,
+  Plus,
+  Trash2
 } from 'lucide-react'
 
 const Settings = () => {
   const [settings, setSettings] = useState({
+    aiMode: 'ai',
     aiProvider: 'openai',
     aiModel: 'gpt-4.1-mini',
     customBaseUrl: '',
     apiKey: '',
     timeout: 30,
     retryAttempts: 3,
+    monthlyBudget: 0,
+    fallbackChain: [],
+    providerCredentials: {},
+    piiRedaction: {
+      enabled: true,
+      emails: true,
+      phoneNumbers: true,
+      cardNumbers: true,
+      customPatterns: [],
+      selectorRules: []
+    },
+    aiParameterNames: true,
     enableAnalytics: true,
     enableErrorReporting: true,
     maxRecordingDuration: 300,
@@ -38,18 +55,12 @@ const Settings = () => {
   const [saved, setSaved] = useState(false)
   const [testing, setTesting] = useState(false)
   const [testResult, setTestResult] = useState(null)
+  const [aiUsage, setAIUsage] = useState(null)
+  // Custom PII rules are edited as text, one rule per line
+  const [piiPatternsText, setPIIPatternsText] = useState('')
+  const [piiSelectorsText, setPIISelectorsText] = useState('')
 
-  const aiProviders = [
-    { value: 'openai', label: 'OpenAI', models: ['gpt-4.1-mini', 'gpt-4.1-nano'] },
-    { value: 'anthropic', label: 'Anthropic', models: ['claude-3-sonnet', 'claude-3-haiku'] },
-    { value: 'gemini', label: 'Google Gemini', models: ['gemini-2.5-flash', 'gemini-pro'] },
-    { value: 'openrouter', label: 'OpenRouter', models: ['auto', 'gpt-4', 'claude-3'] },
-    { value: 'groq', label: 'Groq', models: ['llama-3.1-70b', 'mixtral-8x7b'] },
-    { value: 'deepseek', label: 'DeepSeek', models: ['deepseek-chat', 'deepseek-coder'] },
-    { value: 'qwen', label: 'Qwen', models: ['qwen-turbo', 'qwen-plus'] },
-    { value: 'grok', label: 'Grok (X.AI)', models: ['grok-beta', 'grok-vision'] },
-    { value: 'custom', label: 'Custom Provider', models: ['custom-model'] }
-  ]
+  const [aiProviders, setAIProviders] = useState([])
 
   const frameworks = [
     { value: 'playwright', label: 'Playwright' },
@@ -60,14 +71,49 @@ const Settings = () => {
 
   useEffect(() => {
     loadSettings()
+    loadProviders()
+    loadUsage()
   }, [])
 
+  const loadUsage = async () => {
+    try {
+      const response = await fetch('/api/ai/stats')
+      if (response.ok) {
+        const stats = await response.json()
+        setAIUsage(stats.usage)
+      }
+    } catch (error) {
+      console.error('Failed to load AI usage:', error)
+    }
+  }
+
+  const loadProviders = async () => {
+    try {
+      const response = await fetch('/api/settings/ai-providers')
+      if (response.ok) {
+        const result = await response.json()
+        setAIProviders(result.data.map(provider => ({
+          value: provider.id,
+          label: provider.name,
+          models: provider.models,
+          defaultBaseUrl: provider.defaultBaseUrl
+        })))
+      }
+    } catch (error) {
+      console.error('Failed to load AI providers:', error)
+    }
+  }
+
   const loadSettings = async () => {
     try {
       const response = await fetch('/api/settings')
       if (response.ok) {
         const data = await response.json()
         setSettings(prev => ({ ...prev, ...data }))
+        setPIIPatternsText((data.piiRedaction?.customPatterns || [])
+          .map(rule => `${rule.name}: ${rule.pattern}`).join('\n'))
+        setPIISelectorsText((data.piiRedaction?.selectorRules || [])
+          .map(rule => `${rule.selector} => ${rule.parameter}`).join('\n'))
       }
     } catch (error) {
       console.error('Failed to load settings:', error)
@@ -135,9 +181,64 @@ const Settings = () => {
     }))
   }
 
+  const updateFallback = (index, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      fallbackChain: prev.fallbackChain.map((entry, i) => i === index ? { ...entry, ...changes } : entry)
+    }))
+  }
+
+  const addFallback = () => {
+    setSettings(prev => ({
+      ...prev,
+      fallbackChain: [...prev.fallbackChain, { provider: 'openai', model: 'gpt-4.1-nano' }]
+    }))
+  }
+
+  const removeFallback = (index) => {
+    setSettings(prev => ({
+      ...prev,
+      fallbackChain: prev.fallbackChain.filter((_, i) => i !== index)
+    }))
+  }
+
+  const handleCredentialChange = (provider, key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      providerCredentials: {
+        ...prev.providerCredentials,
+        [provider]: { ...prev.providerCredentials[provider], [key]: value }
+      }
+    }))
+  }
+
+  const handlePIIChange = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      piiRedaction: { ...prev.piiRedaction, [key]: value }
+    }))
+  }
+
+  const handlePIIPatternsChange = (text) => {
+    setPIIPatternsText(text)
+    handlePIIChange('customPatterns', text.split('\n')
+      .map(line => line.match(/^\s*([^:]+?)\s*:\s*(.+?)\s*$/))
+      .filter(Boolean)
+      .map(([, name, pattern]) => ({ name, pattern })))
+  }
+
+  const handlePIISelectorsChange = (text) => {
+    setPIISelectorsText(text)
+    handlePIIChange('selectorRules', text.split('\n')
+      .map(line => line.match(/^\s*(.+?)\s*=>\s*(\S+)\s*$/))
+      .filter(Boolean)
+      .map(([, selector, parameter]) => ({ selector, parameter })))
+  }
+
   const selectedProvider = aiProviders.find(p => p.value === settings.aiProvider)
-  const showCustomFields = settings.aiProvider === 'custom' || 
-    ['openrouter', 'groq', 'deepseek'].includes(settings.aiProvider)
+  // Providers in the fallback chain other than the primary need their own credentials
+  const fallbackProviders = [...new Set(settings.fallbackChain.map(entry => entry.provider))]
+    .filter(provider => provider !== settings.aiProvider)
 
   return (
     <div className="space-y-6">
@@ -150,9 +251,11 @@ const Settings = () => {
         </CardHeader>
         <CardContent>
           <Tabs defaultValue="ai" className="w-full">
-            <TabsList className="grid w-full grid-cols-3">
+            <TabsList className="grid w-full grid-cols-5">
               <TabsTrigger value="ai">AI Configuration</TabsTrigger>
+              <TabsTrigger value="prompts">Prompts</TabsTrigger>
               <TabsTrigger value="automation">Automation</TabsTrigger>
+              <TabsTrigger value="tokens">API Tokens</TabsTrigger>
               <TabsTrigger value="system">System</TabsTrigger>
             </TabsList>
 
@@ -163,6 +266,19 @@ const Settings = () => {
                   <h3 className="text-lg font-medium">AI Provider Settings</h3>
                 </div>
 
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label>Offline Mode</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Generate analysis, scripts and docs with built-in rules instead of an AI provider
+                    </p>
+                  </div>
+                  <Switch
+                    checked={settings.aiMode === 'offline'}
+                    onCheckedChange={(checked) => handleSettingChange('aiMode', checked ? 'offline' : 'ai')}
+                  />
+                </div>
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div className="space-y-2">
                     <Label htmlFor="aiProvider">AI Provider</Label>
@@ -203,30 +319,210 @@ const Settings = () => {
                   </div>
                 </div>
 
-                {showCustomFields && (
-                  <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="space-y-2">
-                      <Label htmlFor="customBaseUrl">Base URL</Label>
-                      <Input
-                        id="customBaseUrl"
-                        value={settings.customBaseUrl}
-                        onChange={(e) => handleSettingChange('customBaseUrl', e.target.value)}
-                        placeholder="https://api.example.com/v1"
-                      />
+                <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+                  <div className="space-y-2">
+                    <Label htmlFor="customBaseUrl">Base URL</Label>
+                    <Input
+                      id="customBaseUrl"
+                      value={settings.customBaseUrl}
+                      onChange={(e) => handleSettingChange('customBaseUrl', e.target.value)}
+                      placeholder={selectedProvider?.defaultBaseUrl || 'https://api.example.com/v1'}
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="apiKey">API Key</Label>
+                    <Input
+                      id="apiKey"
+                      type="password"
+                      value={settings.apiKey}
+                      onChange={(e) => handleSettingChange('apiKey', e.target.value)}
+                      placeholder="Leave empty to use the server environment key"
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label>Fallback Models</Label>
+                      <p className="text-sm text-gray-500">Tried in order when the primary model fails</p>
                     </div>
+                    <Button variant="outline" size="sm" onClick={addFallback}>
+                      <Plus className="w-4 h-4 mr-2" />
+                      Add Fallback
+                    </Button>
+                  </div>
+
+                  {settings.fallbackChain.map((entry, index) => {
+                    const provider = aiProviders.find(p => p.value === entry.provider)
+                    return (
+                      <div key={index} className="flex items-center space-x-2">
+                        <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+                        <Select
+                          value={entry.provider}
+                          onValueChange={(value) => updateFallback(index, {
+                            provider: value,
+                            model: aiProviders.find(p => p.value === value)?.models[0] || ''
+                          })}
+                        >
+                          <SelectTrigger className="flex-1">
+                            <SelectValue placeholder="Provider" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {aiProviders.map(p => (
+                              <SelectItem key={p.value} value={p.value}>
+                                {p.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Select
+                          value={entry.model}
+                          onValueChange={(value) => updateFallback(index, { model: value })}
+                        >
+                          <SelectTrigger className="flex-1">
+                            <SelectValue placeholder="Model" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {provider?.models.map(model => (
+                              <SelectItem key={model} value={model}>
+                                {model}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Button variant="ghost" size="sm" onClick={() => removeFallback(index)}>
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    )
+                  })}
+
+                  {fallbackProviders.map(providerId => (
+                    <div key={providerId} className="space-y-4 p-4 bg-gray-50 rounded-lg">
+                      <p className="text-sm font-medium">
+                        {aiProviders.find(p => p.value === providerId)?.label || providerId} credentials
+                      </p>
+                      <div className="space-y-2">
+                        <Label htmlFor={`${providerId}-baseUrl`}>Base URL</Label>
+                        <Input
+                          id={`${providerId}-baseUrl`}
+                          value={settings.providerCredentials[providerId]?.baseUrl || ''}
+                          onChange={(e) => handleCredentialChange(providerId, 'baseUrl', e.target.value)}
+                          placeholder={aiProviders.find(p => p.value === providerId)?.defaultBaseUrl || 'https://api.example.com/v1'}
+                        />
+                      </div>
 
-                    <div className="space-y-2">
-                      <Label htmlFor="apiKey">API Key</Label>
-                      <Input
-                        id="apiKey"
-                        type="password"
-                        value={settings.apiKey}
-                        onChange={(e) => handleSettingChange('apiKey', e.target.value)}
-                        placeholder="Enter your API key"
-                      />
+                      <div className="space-y-2">
+                        <Label htmlFor={`${providerId}-apiKey`}>API Key</Label>
+                        <Input
+                          id={`${providerId}-apiKey`}
+                          type="password"
+                          value={settings.providerCredentials[providerId]?.apiKey || ''}
+                          onChange={(e) => handleCredentialChange(providerId, 'apiKey', e.target.value)}
+                          placeholder="Leave empty to use the server environment key"
+                        />
+                      </div>
                     </div>
+                  ))}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="monthlyBudget">Monthly Budget (USD)</Label>
+                  <Input
+                    id="monthlyBudget"
+                    type="number"
+                    value={settings.monthlyBudget}
+                    onChange={(e) => handleSettingChange('monthlyBudget', parseFloat(e.target.value) || 0)}
+                    min="0"
+                    step="0.01"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Switches to offline generation once reached. Set to 0 for no limit.
+                    {aiUsage?.available && (
+                      <> Spent this month: ${aiUsage.budget.spent.toFixed(2)} ({aiUsage.month.total_tokens.toLocaleString()} tokens), today: ${aiUsage.today.cost_usd.toFixed(2)}.</>
+                    )}
+                  </p>
+                </div>
+
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-0.5">
+                      <Label>Redact Personal Data</Label>
+                      <p className="text-sm text-muted-foreground">
+                        Replace personal data in interactions with placeholders before they are sent to the AI provider.
+                        Redacted values become parameters of the enhanced script.
+                      </p>
+                    </div>
+                    <Switch
+                      checked={settings.piiRedaction.enabled}
+                      onCheckedChange={(checked) => handlePIIChange('enabled', checked)}
+                    />
+                  </div>
+
+                  {settings.piiRedaction.enabled && (
+                    <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        {[
+                          { key: 'emails', label: 'Email addresses' },
+                          { key: 'phoneNumbers', label: 'Phone numbers' },
+                          { key: 'cardNumbers', label: 'Card numbers' }
+                        ].map(detector => (
+                          <div key={detector.key} className="flex items-center justify-between">
+                            <Label>{detector.label}</Label>
+                            <Switch
+                              checked={settings.piiRedaction[detector.key] !== false}
+                              onCheckedChange={(checked) => handlePIIChange(detector.key, checked)}
+                            />
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="space-y-2">
+                        <Label htmlFor="piiPatterns">Custom Patterns</Label>
+                        <Textarea
+                          id="piiPatterns"
+                          value={piiPatternsText}
+                          onChange={(e) => handlePIIPatternsChange(e.target.value)}
+                          placeholder="customerId: CUST-\d+"
+                          rows={3}
+                          className="font-mono text-sm"
+                        />
+                        <p className="text-sm text-muted-foreground">One per line as name: regular expression</p>
+                      </div>
+
+                      <div className="space-y-2">
+                        <Label htmlFor="piiSelectors">Redacted Fields</Label>
+                        <Textarea
+                          id="piiSelectors"
+                          value={piiSelectorsText}
+                          onChange={(e) => handlePIISelectorsChange(e.target.value)}
+                          placeholder="#shipping-address => address"
+                          rows={3}
+                          className="font-mono text-sm"
+                        />
+                        <p className="text-sm text-muted-foreground">
+                          One per line as selector =&gt; parameter name; anything typed into the field is redacted
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label>Suggest Parameter Names</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Ask the AI provider to name API parameters for form fields without a label, placeholder or aria-label.
+                      Only field attributes are sent, never the typed values.
+                    </p>
                   </div>
-                )}
+                  <Switch
+                    checked={settings.aiParameterNames}
+                    onCheckedChange={(checked) => handleSettingChange('aiParameterNames', checked)}
+                  />
+                </div>
 
                 <div className="flex items-center space-x-2">
                   <Button 
@@ -260,6 +556,10 @@ const Settings = () => {
               </div>
             </TabsContent>
 
+            <TabsContent value="prompts" className="space-y-6">
+              <PromptTemplates />
+            </TabsContent>
+
             <TabsContent value="automation" className="space-y-6">
               <div className="space-y-4">
                 <div className="flex items-center space-x-2 mb-4">
@@ -317,6 +617,10 @@ const Settings = () => {
               </div>
             </TabsContent>
 
+            <TabsContent value="tokens" className="space-y-6">
+              <ApiTokens />
+            </TabsContent>
+
             <TabsContent value="system" className="space-y-6">
               <div className="space-y-4">
                 <div className="flex items-center space-x-2 mb-4">
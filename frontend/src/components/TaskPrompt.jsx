@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Sparkles, Loader2, AlertCircle } from 'lucide-react';
+import apiService from '../services/api';
+
+const TaskPrompt = ({ onRecordingComplete }) => {
+  const [description, setDescription] = useState('');
+  const [startUrl, setStartUrl] = useState('');
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const unsubscribeRef = useRef(null);
+
+  // Close the progress stream when the component unmounts
+  useEffect(() => {
+    return () => unsubscribeRef.current && unsubscribeRef.current();
+  }, []);
+
+  const generate = async () => {
+    setStatus('planning');
+    setError(null);
+
+    try {
+      const response = await apiService.createRecordingFromPrompt(description, startUrl);
+      setStatus('processing');
+
+      unsubscribeRef.current = apiService.subscribeToRecordingEvents(response.id, {
+        onCompleted: async () => {
+          setStatus(null);
+          try {
+            const recording = await apiService.getRecording(response.id);
+            onRecordingComplete && onRecordingComplete(recording);
+          } catch (error) {
+            console.error('Failed to load planned recording:', error);
+          }
+        },
+        onFailed: (event) => {
+          setStatus(null);
+          setError(event.error || 'Processing the planned recording failed');
+        }
+      });
+    } catch (error) {
+      console.error('Failed to plan recording:', error);
+      setStatus(null);
+      setError('Could not plan this task. Check that an AI provider is configured and the start URL is valid.');
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Sparkles className="w-4 h-4" />
+          Describe a Task
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="taskDescription">Task</Label>
+          <Textarea
+            id="taskDescription"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Log in to the staging admin and export last week's orders"
+            rows={3}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="taskStartUrl">Start URL</Label>
+          <Input
+            id="taskStartUrl"
+            value={startUrl}
+            onChange={(e) => setStartUrl(e.target.value)}
+            placeholder="https://staging.example.com/admin"
+          />
+        </div>
+
+        <Button
+          onClick={generate}
+          disabled={status !== null || !description.trim() || !startUrl.trim()}
+          className="w-full"
+        >
+          {status ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Sparkles className="w-4 h-4 mr-2" />
+          )}
+          {status === 'planning' ? 'Planning steps...' : status === 'processing' ? 'Generating scripts...' : 'Generate Automation'}
+        </Button>
+
+        <p className="text-xs text-muted-foreground">
+          The steps are planned by AI without visiting the site and are marked for review.
+        </p>
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TaskPrompt;
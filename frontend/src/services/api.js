@@ -58,15 +58,75 @@ class ApiService {
       body: JSON.stringify({
         interactions,
         metadata: {
-          ...metadata,
           userAgent: navigator.userAgent,
           timestamp: new Date().toISOString(),
-          url: window.location.href
+          url: window.location.href,
+          // Remote recordings bring the browser and site they were recorded in
+          ...metadata
         }
       })
     });
   }
 
+  // Plan a recording from a task description; it is processed like a recorded one
+  async createRecordingFromPrompt(description, startUrl) {
+    return this.request('/recordings/from-prompt', {
+      method: 'POST',
+      body: JSON.stringify({ description, startUrl })
+    });
+  }
+
+  // Approve the reviewed steps of an AI-planned recording, which registers its API
+  async approveRecording(id) {
+    return this.request(`/recordings/${id}/approve`, { method: 'POST' });
+  }
+
+  // Open a server-side browser at url that records the flow performed in it
+  async startRemoteRecording(url, title) {
+    return this.request('/recordings/remote', {
+      method: 'POST',
+      body: JSON.stringify({ url, title })
+    });
+  }
+
+  // Close the remote browser; resolves to { interactions, metadata } for createRecording
+  async stopRemoteRecording(sessionId) {
+    return this.request(`/recordings/remote/${sessionId}/stop`, { method: 'POST' });
+  }
+
+  async discardRemoteRecording(sessionId) {
+    return this.request(`/recordings/remote/${sessionId}`, { method: 'DELETE' });
+  }
+
+  // Stream the interactions of a remote recording as they are captured.
+  // Returns a function that closes the subscription.
+  subscribeToRemoteRecording(sessionId, { onSession, onInteraction, onStopped } = {}) {
+    const socket = new WebSocket(`${this.baseUrl.replace(/^http/, 'ws')}/recordings/remote/${sessionId}/stream`);
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+
+      if (message.type === 'session') onSession && onSession(message.data);
+      if (message.type === 'interaction') onInteraction && onInteraction(message.data);
+      if (message.type === 'stopped') onStopped && onStopped(message.data);
+    };
+
+    return () => socket.close();
+  }
+
+  // Short-lived token with a bookmarklet and script tag that record in any browser tab
+  async createRecordingToken(title) {
+    return this.request('/recordings/tokens', {
+      method: 'POST',
+      body: JSON.stringify({ title })
+    });
+  }
+
   // Get a specific recording by ID
   async getRecording(id) {
     return this.request(`/recordings/${id}`);
@@ -77,6 +137,19 @@ class ApiService {
     return this.request('/recordings');
   }
 
+  // Selectors healed during live executions, proposed as updates to the recording
+  async getSelectorProposals(recordingId, status = 'pending') {
+    return this.request(`/recordings/${recordingId}/selector-proposals?status=${status}`);
+  }
+
+  async applySelectorProposal(recordingId, proposalId) {
+    return this.request(`/recordings/${recordingId}/selector-proposals/${proposalId}/apply`, { method: 'POST' });
+  }
+
+  async dismissSelectorProposal(recordingId, proposalId) {
+    return this.request(`/recordings/${recordingId}/selector-proposals/${proposalId}/dismiss`, { method: 'POST' });
+  }
+
   // Poll for recording status updates
   async pollRecordingStatus(id, onUpdate, maxAttempts = 30) {
     let attempts = 0;
@@ -105,6 +178,92 @@ class ApiService {
     poll();
   }
 
+  // Subscribe to server-sent processing progress events for a recording.
+  // Falls back to polling when the event stream cannot be opened.
+  // Returns a function that closes the subscription.
+  subscribeToRecordingEvents(id, { onStatus, onStage, onCompleted, onFailed } = {}) {
+    let source = null;
+    let finished = false;
+    let pollTimer = null;
+
+    // Failed processing attempts are retried with backoff, so poll until the recording itself finishes
+    const pollFallback = () => {
+      const poll = async () => {
+        try {
+          const recording = await this.getRecording(id);
+          if (finished) return;
+
+          if (recording.status === 'completed' || recording.status === 'error') {
+            finished = true;
+            if (recording.status === 'completed') onCompleted && onCompleted(recording);
+            else onFailed && onFailed(recording);
+            return;
+          }
+        } catch (error) {
+          console.error('Polling error:', error);
+        }
+
+        if (!finished) {
+          pollTimer = setTimeout(poll, 2000);
+        }
+      };
+
+      poll();
+    };
+
+    const unsubscribe = () => {
+      finished = true;
+      clearTimeout(pollTimer);
+      source && source.close();
+    };
+
+    if (typeof EventSource === 'undefined') {
+      pollFallback();
+      return unsubscribe;
+    }
+
+    source = new EventSource(`${this.baseUrl}/recordings/${id}/events`);
+    let polling = false;
+
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch {
+        return {};
+      }
+    };
+
+    source.addEventListener('status', (event) => {
+      onStatus && onStatus(parse(event));
+    });
+
+    source.addEventListener('stage', (event) => {
+      onStage && onStage(parse(event));
+    });
+
+    source.addEventListener('completed', (event) => {
+      finished = true;
+      source.close();
+      onCompleted && onCompleted(parse(event));
+    });
+
+    source.addEventListener('failed', (event) => {
+      finished = true;
+      source.close();
+      onFailed && onFailed(parse(event));
+    });
+
+    // EventSource reconnects on its own unless the server refused the stream
+    source.onerror = () => {
+      if (!finished && !polling && source.readyState === EventSource.CLOSED) {
+        polling = true;
+        pollFallback();
+      }
+    };
+
+    return unsubscribe;
+  }
+
   // Check backend health
   async checkHealth() {
     try {
@@ -3,6 +3,9 @@
  * Captures user interactions and converts them to automation-friendly format
  */
 
+// Elements that have an implicit ARIA role, counted when checking a role and name is unique
+const ROLE_ELEMENTS = 'button, a[href], area[href], input, select, textarea, option, img, h1, h2, h3, h4, h5, h6';
+
 class BrowserRecorder {
   constructor() {
     this.isRecording = false;
@@ -58,10 +61,10 @@ class BrowserRecorder {
   attachEventListeners() {
     // Click events
     const clickHandler = (event) => {
-      const selector = this.generateSelector(event.target);
+      if (this.isIgnored(event)) return;
       this.addInteraction({
         action: 'click',
-        selector,
+        ...this.locate(event.target),
         element: event.target.tagName.toLowerCase(),
         coordinates: {
           x: event.clientX,
@@ -73,31 +76,35 @@ class BrowserRecorder {
 
     // Input events (typing)
     const inputHandler = (event) => {
+      if (this.isIgnored(event)) return;
       if (event.target.type === 'password') {
         // Don't record actual password values for security
         this.addInteraction({
           action: 'type',
-          selector: this.generateSelector(event.target),
+          ...this.locate(event.target),
           element: event.target.tagName.toLowerCase(),
           text: '[PASSWORD]',
-          inputType: event.target.type
+          inputType: event.target.type,
+          field: this.describeField(event.target)
         });
       } else {
         this.addInteraction({
           action: 'type',
-          selector: this.generateSelector(event.target),
+          ...this.locate(event.target),
           element: event.target.tagName.toLowerCase(),
           text: event.target.value,
-          inputType: event.target.type
+          inputType: event.target.type,
+          field: this.describeField(event.target)
         });
       }
     };
 
     // Form submission
     const submitHandler = (event) => {
+      if (this.isIgnored(event)) return;
       this.addInteraction({
         action: 'submit',
-        selector: this.generateSelector(event.target),
+        ...this.locate(event.target),
         element: event.target.tagName.toLowerCase()
       });
     };
@@ -125,12 +132,13 @@ class BrowserRecorder {
 
     // Key events
     const keyHandler = (event) => {
+      if (this.isIgnored(event)) return;
       // Only record special keys
       if (['Enter', 'Tab', 'Escape'].includes(event.key)) {
         this.addInteraction({
           action: 'keypress',
           key: event.key,
-          selector: this.generateSelector(event.target)
+          ...this.locate(event.target)
         });
       }
     };
@@ -154,6 +162,11 @@ class BrowserRecorder {
     ];
   }
 
+  // Events the recorder skips; the page recorder skips those on its host's own controls
+  isIgnored() {
+    return false;
+  }
+
   // Remove all event listeners
   removeEventListeners() {
     this.listeners.forEach(({ element, event, handler, options }) => {
@@ -162,63 +175,330 @@ class BrowserRecorder {
     this.listeners = [];
   }
 
+  // Locate an element for replay: the best CSS selector plus every candidate locator that is unique on the page,
+  // and the element's role, accessible name and label, which generated scripts locate it by
+  locate(element) {
+    const selectors = this.generateSelectors(element);
+    const accessibility = this.describeAccessibility(element);
+    return {
+      selector: this.bestCssSelector(selectors) || element?.tagName?.toLowerCase() || 'document',
+      selectors,
+      ...(accessibility && { accessibility })
+    };
+  }
+
+  // Computed ARIA role, accessible name and associated label of an element, whichever it has
+  describeAccessibility(element) {
+    if (!element || !(element instanceof Element)) return null;
+
+    const info = {
+      role: this.getRole(element),
+      name: this.getAccessibleName(element),
+      label: ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) ? this.normalizeText(this.getFieldLabel(element)) : null
+    };
+    Object.keys(info).forEach(key => {
+      if (info[key]) {
+        info[key] = info[key].slice(0, 100);
+      } else {
+        delete info[key];
+      }
+    });
+
+    return Object.keys(info).length > 0 ? info : null;
+  }
+
   // Generate a robust CSS selector for an element
   generateSelector(element) {
-    if (!element || element === document) return 'document';
-    
-    // Try ID first
+    return this.locate(element).selector;
+  }
+
+  // Ranked candidate locators for an element, keeping only those that match it alone in the document.
+  // Each is { type, value } (plus name for role candidates); id, testid and css values are replayed as CSS,
+  // xpath as XPath, and role, label and text ones by accessible role and name, field label or exact text.
+  generateSelectors(element) {
+    if (!element || element === document || !(element instanceof Element)) return [];
+
+    const candidates = [];
+    const add = (candidate, matches) => {
+      if (matches === 1 && !candidates.some(c => c.type === candidate.type && c.value === candidate.value && c.name === candidate.name)) {
+        candidates.push(candidate);
+      }
+    };
+
     if (element.id) {
-      return `#${element.id}`;
+      add({ type: 'id', value: element.id }, this.countCss(`#${CSS.escape(element.id)}`));
     }
-    
-    // Try data attributes
-    if (element.dataset.testid) {
-      return `[data-testid="${element.dataset.testid}"]`;
+
+    const testId = element.getAttribute('data-testid');
+    if (testId) {
+      add({ type: 'testid', value: testId }, this.countCss(`[data-testid="${this.escapeValue(testId)}"]`));
     }
-    
-    // Try name attribute for form elements
-    if (element.name) {
-      return `[name="${element.name}"]`;
+
+    const role = this.getRole(element);
+    const name = role && this.getAccessibleName(element);
+    if (name && name.length <= 100) {
+      add({ type: 'role', value: role, name }, this.countRole(role, name));
     }
-    
-    // Try class names (use the first meaningful class)
+
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+      const label = this.normalizeText(this.getFieldLabel(element) || element.getAttribute('aria-label'));
+      if (label && label.length <= 100) {
+        add({ type: 'label', value: label }, this.countLabel(label));
+      }
+    }
+
+    // Exact text locators match the innermost element holding the text, so only such an element can use one
+    const text = this.normalizeText(element.textContent);
+    const holdsText = !Array.from(element.children).some(child => this.normalizeText(child.textContent) === text);
+    if (text && text.length < 50 && holdsText && !['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+      add({ type: 'text', value: text }, this.countText(text));
+    }
+
+    // Attribute selectors in the order the recorder has always preferred them
+    const attributeSelectors = [];
+    if (element.name) attributeSelectors.push(`[name="${this.escapeValue(element.name)}"]`);
     if (element.className && typeof element.className === 'string') {
-      const classes = element.className.split(' ').filter(cls => 
-        cls && !cls.startsWith('_') && cls.length > 2
-      );
-      if (classes.length > 0) {
-        return `.${classes[0]}`;
+      element.className.split(' ')
+        .filter(cls => cls && !cls.startsWith('_') && cls.length > 2)
+        .forEach(cls => attributeSelectors.push(`.${CSS.escape(cls)}`));
+    }
+    ['aria-label', 'placeholder'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value) attributeSelectors.push(`[${attribute}="${this.escapeValue(value)}"]`);
+    });
+    const unique = attributeSelectors.find(selector => this.countCss(selector) === 1);
+    if (unique) add({ type: 'css', value: unique }, 1);
+
+    const path = this.cssPath(element);
+    add({ type: 'css', value: path }, this.countCss(path));
+
+    const xpath = this.xPath(element);
+    add({ type: 'xpath', value: xpath }, this.countXPath(xpath));
+
+    return candidates;
+  }
+
+  // The first candidate that can be written as a CSS selector
+  bestCssSelector(selectors) {
+    for (const candidate of selectors) {
+      if (candidate.type === 'id') return `#${CSS.escape(candidate.value)}`;
+      if (candidate.type === 'testid') return `[data-testid="${this.escapeValue(candidate.value)}"]`;
+      if (candidate.type === 'css') return candidate.value;
+    }
+    return null;
+  }
+
+  // nth-child path from the closest ancestor with a unique id, or from the body
+  cssPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.parentElement && current !== document.body) {
+      if (current !== element && current.id && this.countCss(`#${CSS.escape(current.id)}`) === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        return parts.join(' > ');
       }
+      const index = Array.from(current.parentElement.children).indexOf(current) + 1;
+      parts.unshift(`${current.localName}:nth-child(${index})`);
+      current = current.parentElement;
     }
-    
-    // Try aria-label
-    if (element.getAttribute('aria-label')) {
-      return `[aria-label="${element.getAttribute('aria-label')}"]`;
+
+    parts.unshift(current ? current.localName : 'html');
+    return parts.join(' > ');
+  }
+
+  // Positional XPath from the closest ancestor with a unique id, or from the document root
+  xPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current !== element && current.id && !current.id.includes('"') && this.countCss(`#${CSS.escape(current.id)}`) === 1) {
+        return `//*[@id="${current.id}"]/${parts.join('/')}`;
+      }
+
+      // Elements outside the HTML namespace (e.g. SVG) are only matched by their name in XPath
+      const isHtml = current.namespaceURI === 'http://www.w3.org/1999/xhtml';
+      const step = isHtml ? current.localName : `*[local-name()="${current.localName}"]`;
+      const sameName = current.parentElement
+        ? Array.from(current.parentElement.children).filter(child => child.localName === current.localName)
+        : [current];
+      parts.unshift(sameName.length > 1 ? `${step}[${sameName.indexOf(current) + 1}]` : step);
+      current = current.parentElement;
     }
-    
-    // Try placeholder for inputs
-    if (element.placeholder) {
-      return `[placeholder="${element.placeholder}"]`;
+
+    return `/${parts.join('/')}`;
+  }
+
+  // Implicit ARIA role of common elements, or the explicit one
+  getRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+
+    const tag = element.localName;
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+
+    switch (tag) {
+      case 'button':
+        return 'button';
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : null;
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'textarea':
+        return 'textbox';
+      case 'option':
+        return 'option';
+      case 'img':
+        return element.getAttribute('alt') === '' ? null : 'img';
+      case 'input': {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        const roles = {
+          button: 'button', submit: 'button', reset: 'button', image: 'button',
+          checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox',
+          text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox'
+        };
+        return roles[type] || null;
+      }
+      default:
+        return null;
     }
-    
-    // Try text content for buttons and links
-    if (['BUTTON', 'A'].includes(element.tagName) && element.textContent) {
-      const text = element.textContent.trim();
-      if (text.length < 50) {
-        return `${element.tagName.toLowerCase()}:contains("${text}")`;
+  }
+
+  // Accessible name, following the common steps of the accessible name computation
+  getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+      if (text.trim()) return this.normalizeText(text);
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return this.normalizeText(ariaLabel);
+
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      if (['button', 'submit', 'reset'].includes(type)) return this.normalizeText(element.value);
+      if (type === 'image') return this.normalizeText(element.getAttribute('alt'));
+      const label = element.labels && element.labels.length > 0 ? element.labels[0].textContent : null;
+      return this.normalizeText(label || element.getAttribute('title'));
+    }
+
+    if (element.localName === 'img') return this.normalizeText(element.getAttribute('alt') || element.getAttribute('title'));
+
+    // Roles named by their content
+    if (['button', 'link', 'heading', 'option', 'checkbox', 'radio', 'tab', 'menuitem', 'switch'].includes(this.getRole(element))) {
+      return this.normalizeText(element.textContent || element.getAttribute('title'));
+    }
+
+    return this.normalizeText(element.getAttribute('title'));
+  }
+
+  countCss(selector) {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  }
+
+  countXPath(xpath) {
+    try {
+      return document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+    } catch {
+      return 0;
+    }
+  }
+
+  countRole(role, name) {
+    return Array.from(document.querySelectorAll(`[role], ${ROLE_ELEMENTS}`))
+      .filter(candidate => this.getRole(candidate) === role && this.getAccessibleName(candidate) === name)
+      .length;
+  }
+
+  countLabel(label) {
+    return Array.from(document.querySelectorAll('input, select, textarea'))
+      .filter(field => this.normalizeText(this.getFieldLabel(field)) === label || this.normalizeText(field.getAttribute('aria-label')) === label)
+      .length;
+  }
+
+  // Innermost elements whose whole text is the given text
+  countText(text) {
+    const literal = text.includes('"') ? `concat("${text.split('"').join('", \'"\', "')}")` : `"${text}"`;
+    try {
+      const result = document.evaluate(`//body//*[normalize-space(.)=${literal}]`, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      let count = 0;
+      for (let i = 0; i < result.snapshotLength; i++) {
+        const candidate = result.snapshotItem(i);
+        if (!Array.from(candidate.children).some(child => this.normalizeText(child.textContent) === text)) count++;
       }
+      return count;
+    } catch {
+      return 0;
     }
-    
-    // Fall back to nth-child selector
-    const parent = element.parentElement;
-    if (parent) {
-      const siblings = Array.from(parent.children);
-      const index = siblings.indexOf(element) + 1;
-      const parentSelector = this.generateSelector(parent);
-      return `${parentSelector} > ${element.tagName.toLowerCase()}:nth-child(${index})`;
+  }
+
+  normalizeText(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  escapeValue(value) {
+    return value.replace(/["\\]/g, '\\$&');
+  }
+
+  // Describe a form field by its label and attributes, used to name the API parameter it becomes
+  describeField(element) {
+    const field = {
+      label: this.getFieldLabel(element),
+      placeholder: element.getAttribute('placeholder'),
+      ariaLabel: element.getAttribute('aria-label'),
+      name: element.getAttribute('name'),
+      id: element.id,
+      type: element.getAttribute('type'),
+      autocomplete: element.getAttribute('autocomplete'),
+      min: element.getAttribute('min'),
+      max: element.getAttribute('max'),
+      maxLength: element.getAttribute('maxlength')
+    };
+
+    // Only keep the attributes the field actually has
+    Object.keys(field).forEach(key => {
+      const value = typeof field[key] === 'string' ? field[key].replace(/\s+/g, ' ').trim() : '';
+      if (value) {
+        field[key] = value.slice(0, 100);
+      } else {
+        delete field[key];
+      }
+    });
+
+    // The choices of a select become the allowed values of its API parameter
+    if (element.tagName === 'SELECT') {
+      const options = Array.from(element.options).map(option => option.value).filter(Boolean);
+      if (options.length > 0) {
+        field.options = options.slice(0, 50);
+      }
     }
-    
-    return element.tagName.toLowerCase();
+
+    return field;
+  }
+
+  // Find the visible label of a form field
+  getFieldLabel(element) {
+    if (element.labels && element.labels.length > 0) {
+      return element.labels[0].textContent;
+    }
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ');
+      if (text.trim()) return text;
+    }
+
+    return element.closest('label')?.textContent || null;
   }
 
   // Get current recording status
@@ -240,4 +520,7 @@ class BrowserRecorder {
 // Create a global instance
 const recorder = new BrowserRecorder();
 
+// The class is shared with the browser extension's content script
+export { BrowserRecorder };
+
 export default recorder;
@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// Builds the Chrome extension: the content script is bundled with the app's recorder,
+// everything in extension/public (manifest, background worker, popup) is copied as is
+export default defineConfig({
+  publicDir: 'extension/public',
+  build: {
+    outDir: 'dist-extension',
+    emptyOutDir: true,
+    lib: {
+      entry: 'extension/content.js',
+      name: 'AutomationRecorderContent',
+      formats: ['iife'],
+      fileName: () => 'content.js',
+    },
+  },
+})
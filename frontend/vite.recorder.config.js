@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite'
+
+// Builds the page recorder the backend injects into remote recordings and serves to bookmarklets:
+// the app's recorder as one script that defines AutomationPageRecorder.installRecorder
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist-page-recorder',
+    emptyOutDir: true,
+    lib: {
+      entry: 'page-recorder/page-recorder.js',
+      name: 'AutomationPageRecorder',
+      formats: ['iife'],
+      fileName: () => 'page-recorder.js',
+    },
+  },
+})